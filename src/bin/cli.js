@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+import process from 'process';
+import { parseArgs } from 'util';
+import SnapLensWebCrawler from '../lib/crawler.js';
+import { CrawlerFailure, CrawlerAbortedFailure } from '../lib/failure.js';
+
+const commands = {
+    'lens': {
+        usage: 'lens <hash>',
+        description: 'Get a single lens by its 32 char UUID',
+        run: (crawler, [hash], { signal }) => crawler.getLensByHash(hash, { signal }),
+    },
+    'more': {
+        usage: 'more <hash>',
+        description: 'Get related lenses shown on a lens page',
+        run: (crawler, [hash], { signal }) => crawler.getMoreLensesByHash(hash, { signal }),
+    },
+    'creator': {
+        usage: 'creator <slug> [--max <n>]',
+        description: 'Get lenses by obfuscated creator slug',
+        run: (crawler, [slug], { max, signal }) => crawler.getLensesByCreator(slug, max ?? 1000, { signal }),
+    },
+    'user': {
+        usage: 'user <username>',
+        description: 'Get lenses from a public user profile',
+        run: (crawler, [userName], { signal }) => crawler.getLensesByUsername(userName, { signal }),
+    },
+    'search': {
+        usage: 'search <term...>',
+        description: 'Search lenses by term',
+        run: (crawler, terms, { signal }) => crawler.searchLenses(terms.join(' '), { signal }),
+    },
+    'top': {
+        usage: 'top [category] [--max <n>]',
+        description: 'Get top lenses by category',
+        minArgs: 0,
+        run: (crawler, [category], { max, signal }) => crawler.getTopLensesByCategory(category || 'default', max ?? 100, { signal }),
+    },
+    'snapshot': {
+        usage: 'snapshot <hash>',
+        description: 'Get a lens from an archived Wayback Machine snapshot',
+        run: (crawler, [hash], { signal }) => crawler.getLensByArchivedSnapshot(hash, { signal }),
+    },
+    'url': {
+        usage: 'url <url>',
+        description: 'Get all lenses found on a web page',
+        run: (crawler, [url], { signal }) => crawler.getLensesFromUrl(url, {}, { signal }),
+    },
+};
+
+const options = {
+    'max': { type: 'string' },
+    'timeout': { type: 'string' },
+    'retries': { type: 'string' },
+    'delay': { type: 'string' },
+    'discovery': { type: 'string' },
+    'quiet': { type: 'boolean', short: 'q' },
+    'ndjson': { type: 'boolean' },
+    'help': { type: 'boolean', short: 'h' },
+};
+
+function printHelp(stream = process.stdout) {
+    const width = Math.max(...Object.values(commands).map((command) => command.usage.length));
+
+    stream.write(`Usage: snap-lens-web-crawler <command> [arguments] [options]\n\n`);
+    stream.write(`Commands:\n`);
+    for (const command of Object.values(commands)) {
+        stream.write(`  ${command.usage.padEnd(width)}  ${command.description}\n`);
+    }
+    stream.write(`\nOptions:\n`);
+    stream.write(`  --timeout <ms>   Connection timeout per request\n`);
+    stream.write(`  --retries <n>    Maximum request retries\n`);
+    stream.write(`  --delay <ms>     Minimum delay between requests to the same host\n`);
+    stream.write(`  --max <n>        Maximum number of lenses (creator, top)\n`);
+    stream.write(`  --discovery <m>  Snapshot discovery mode: available or cdx (snapshot)\n`);
+    stream.write(`  --ndjson         Print one JSON object per line\n`);
+    stream.write(`  -q, --quiet      Do not log request errors to stderr\n`);
+    stream.write(`  -h, --help       Show this help\n`);
+}
+
+function parseInteger(name, value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const number = parseInt(value);
+    if (isNaN(number) || number < 0) {
+        throw new TypeError(`Option '--${name}' expects a non-negative integer`);
+    }
+
+    return number;
+}
+
+function formatFailure(failure) {
+    return {
+        error: failure.constructor.name,
+        message: failure.message,
+        url: failure.url,
+        code: failure.code,
+    };
+}
+
+function writeResult(result, ndjson) {
+    if (ndjson) {
+        const items = Array.isArray(result) ? result : [result];
+        items.forEach((item) => process.stdout.write(JSON.stringify(item) + '\n'));
+    } else {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    }
+}
+
+let parsed;
+try {
+    parsed = parseArgs({ args: process.argv.slice(2), options, allowPositionals: true });
+} catch (e) {
+    process.stderr.write(`${e.message}\n\n`);
+    printHelp(process.stderr);
+    process.exit(2);
+}
+
+const { values, positionals } = parsed;
+const [commandName, ...commandArgs] = positionals;
+const command = commands[commandName];
+
+if (values.help || !commandName) {
+    printHelp();
+    process.exit(values.help ? 0 : 2);
+}
+
+if (!command) {
+    process.stderr.write(`Unknown command: ${commandName}\n\n`);
+    printHelp(process.stderr);
+    process.exit(2);
+}
+
+if (commandArgs.length < (command.minArgs ?? 1)) {
+    process.stderr.write(`Usage: snap-lens-web-crawler ${command.usage}\n`);
+    process.exit(2);
+}
+
+let crawlerOptions;
+let max;
+try {
+    max = parseInteger('max', values.max);
+    crawlerOptions = {
+        connectionTimeoutMs: parseInteger('timeout', values.timeout),
+        maxRequestRetries: parseInteger('retries', values.retries),
+        minRequestDelayMs: parseInteger('delay', values.delay),
+        snapshotDiscovery: values.discovery,
+        verbose: !values.quiet,
+        gcInterval: false,
+    };
+} catch (e) {
+    process.stderr.write(`${e.message}\n`);
+    process.exit(2);
+}
+
+// let the crawler apply its own defaults for omitted options
+Object.keys(crawlerOptions).forEach((key) => crawlerOptions[key] === undefined && delete crawlerOptions[key]);
+
+let crawler;
+try {
+    crawler = new SnapLensWebCrawler(crawlerOptions);
+} catch (e) {
+    process.stderr.write(`${e.message}\n`);
+    process.exit(2);
+}
+
+// Ctrl+C cancels pending requests and retries
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+try {
+    const result = await command.run(crawler, commandArgs, { max, signal: controller.signal });
+    if (result instanceof CrawlerFailure) {
+        process.stderr.write(JSON.stringify(formatFailure(result)) + '\n');
+        process.exitCode = (result instanceof CrawlerAbortedFailure) ? 130 : 1;
+    } else {
+        writeResult(result, values.ndjson);
+    }
+} catch (e) {
+    process.stderr.write(`${e.message}\n`);
+    process.exitCode = 1;
+} finally {
+    crawler.destroy();
+}
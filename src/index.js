@@ -1,7 +1,14 @@
 import SnapLensWebCrawler from "./lib/crawler.js";
+import { MemoryCache, FileCache } from "./lib/cache.js";
+import { ArchiveProvider, WaybackMachineProvider, MementoProvider } from "./lib/archive.js";
+import { WarcArchiveProvider } from "./lib/warc.js";
+import { SchemaValidator } from "./lib/schema.js";
+import { LensExtractor } from "./lib/extractors.js";
+import { LensDiscovery } from "./lib/discovery.js";
+import { BoltInspector } from "./lib/inspector.js";
 import * as Failures from "./lib/failure.js";
 
-export { SnapLensWebCrawler };
+export { SnapLensWebCrawler, MemoryCache, FileCache, ArchiveProvider, WaybackMachineProvider, MementoProvider, WarcArchiveProvider, SchemaValidator, LensExtractor, LensDiscovery, BoltInspector };
 export * from "./lib/failure.js";
 
-export default { SnapLensWebCrawler, ...Failures };
+export default { SnapLensWebCrawler, MemoryCache, FileCache, ArchiveProvider, WaybackMachineProvider, MementoProvider, WarcArchiveProvider, SchemaValidator, LensExtractor, LensDiscovery, BoltInspector, ...Failures };
@@ -0,0 +1,228 @@
+import { CrawlerFailure } from './failure.js';
+
+class ArchivedSnapshot {
+    constructor(url, date, timestamp = null, provider = null) {
+        this.url = url;
+        this.date = date;
+        this.timestamp = timestamp;
+        this.provider = provider;
+    }
+}
+
+function toArchiveTimestamp(value) {
+    // archives use YYYYMMDDhhmmss timestamps in UTC
+    if (value instanceof Date) {
+        return parseInt(value.toISOString().replace(/\D/g, '').substring(0, 14));
+    }
+
+    const digits = `${value ?? ''}`.replace(/\D/g, '');
+    return digits ? parseInt(digits.padEnd(14, '0').substring(0, 14)) : 0;
+}
+
+function archiveTimestampToDateString(YYYYMMDDhhmmss) {
+    try {
+        if (YYYYMMDDhhmmss) {
+            return new Date(`${YYYYMMDDhhmmss}`.replace(
+                /^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)$/,
+                '$4:$5:$6 $2/$3/$1'
+            )).toDateString();
+        }
+    } catch (e) { }
+
+    return 'Invalid Date';
+}
+
+class ArchiveProvider {
+    // Base class for web archives, the crawler passes a context to every call:
+    // { window: { from, to, timestamp }, discovery, signal, getJson(url), getText(url), getNextData(url), parseNextData(html, url) }
+
+    #name;
+    #candidateLimit;
+
+    constructor({ name = 'archive', candidateLimit = 10 } = {}) {
+        this.#name = name;
+        this.#candidateLimit = Math.max(parseInt(candidateLimit) || 1, 1);
+    }
+
+    getName() { return this.#name; }
+    getCandidateLimit() { return this.#candidateLimit; }
+
+    // resolves to a list of snapshots (newest first) or a CrawlerFailure
+    async findSnapshots(url, context) {
+        return new CrawlerFailure(`${this.constructor.name} does not implement findSnapshots()`, url);
+    }
+
+    // resolves to the __NEXT_DATA__ JSON of a snapshot or a CrawlerFailure
+    async loadSnapshot(snapshot, context) {
+        return await context.getNextData(snapshot.url);
+    }
+
+    // remove archive prefixes from URLs of an archived page
+    restoreUrls(obj) {
+        const text = JSON.stringify(obj);
+        const regex = /https?:\/\/[^"\s]+?\/\d{14}(?:[a-z]{2}_)?\/(?=https?:)/g;
+        return JSON.parse(text.replace(regex, ''));
+    }
+
+    selectCandidates(captures, window) {
+        // captures: [{ timestamp, url, digest }]
+        const digests = new Set();
+        return captures
+            .filter((capture) => capture.url && capture.timestamp >= window.from && capture.timestamp <= window.to)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .filter((capture) => {
+                // identical captures yield identical results
+                if (capture.digest && digests.has(capture.digest)) {
+                    return false;
+                }
+                digests.add(capture.digest);
+                return true;
+            })
+            .slice(0, this.#candidateLimit)
+            .map((capture) => new ArchivedSnapshot(capture.url, archiveTimestampToDateString(capture.timestamp), capture.timestamp, this.#name));
+    }
+}
+
+class WaybackMachineProvider extends ArchiveProvider {
+    static DISCOVERY_MODES = ['available', 'cdx'];
+
+    #discovery;
+
+    constructor({ discovery = 'available', candidateLimit = 10 } = {}) {
+        super({ name: 'wayback', candidateLimit });
+
+        if (!WaybackMachineProvider.DISCOVERY_MODES.includes(discovery)) {
+            throw new TypeError(`Unknown snapshot discovery mode: ${discovery} - valid modes are: ${WaybackMachineProvider.DISCOVERY_MODES.join(', ')}`);
+        }
+        this.#discovery = discovery;
+    }
+
+    getDiscovery() { return this.#discovery; }
+
+    async findSnapshots(url, context) {
+        const discovery = context.discovery || this.#discovery;
+        return (discovery === 'cdx') ? await this.#querySnapshots(url, context) : await this.#queryClosestSnapshot(url, context);
+    }
+
+    restoreUrls(obj) {
+        const text = JSON.stringify(obj);
+        const regex = /https?:\/\/web\.archive\.org\/web\/\d+\//g;
+        return JSON.parse(text.replace(regex, ''));
+    }
+
+    async #queryClosestSnapshot(url, context) {
+        const apiUrl = `https://archive.org/wayback/available?timestamp=${context.window.timestamp}&url=${encodeURIComponent(url)}`;
+
+        const json = await context.getJson(apiUrl);
+        if (json instanceof CrawlerFailure) {
+            return json;
+        }
+
+        const closest = json?.archived_snapshots?.closest;
+        if (!closest?.url || !closest?.timestamp) {
+            return new CrawlerFailure(`Snapshot does not exist`, apiUrl);
+        }
+
+        const snapshotTime = parseInt(closest.timestamp) || 0;
+        if (snapshotTime < context.window.from || snapshotTime > context.window.to) {
+            return new CrawlerFailure(`Snapshot exists but does not match criteria`, apiUrl);
+        }
+
+        try {
+            const snapshotUrl = new URL(closest.url);
+            return [new ArchivedSnapshot(snapshotUrl.toString(), archiveTimestampToDateString(snapshotTime), snapshotTime, this.getName())];
+        } catch (e) {
+            return new CrawlerFailure(e.message, apiUrl);
+        }
+    }
+
+    async #querySnapshots(url, context) {
+        const { from, to } = context.window;
+        const apiUrl = `https://web.archive.org/cdx/search/cdx?url=${encodeURIComponent(url)}&output=json&fl=timestamp,original,statuscode,digest&filter=statuscode:200&from=${from}&to=${to}`;
+
+        const rows = await context.getJson(apiUrl);
+        if (rows instanceof CrawlerFailure) {
+            return rows;
+        }
+
+        if (!Array.isArray(rows) || rows.length < 2) {
+            return new CrawlerFailure(`Snapshot does not exist`, apiUrl);
+        }
+
+        // first row contains the field names
+        const [fields, ...rest] = rows;
+        const index = Object.fromEntries(fields.map((field, i) => [field, i]));
+
+        const captures = rest
+            .filter((row) => row[index.statuscode] === '200' && row[index.original])
+            .map((row) => {
+                const timestamp = parseInt(row[index.timestamp]) || 0;
+                return { timestamp, url: `https://web.archive.org/web/${timestamp}/${row[index.original]}`, digest: row[index.digest] };
+            });
+
+        const snapshots = this.selectCandidates(captures, context.window);
+        if (!snapshots.length) {
+            return new CrawlerFailure(`Snapshots exist but do not match criteria`, apiUrl);
+        }
+
+        return snapshots;
+    }
+}
+
+class MementoProvider extends ArchiveProvider {
+    // any archive (or aggregator) serving RFC 7089 link format TimeMaps
+
+    #timemapUrl;
+
+    constructor({ name = 'memento', timemapUrl = 'https://timetravel.mementoweb.org/timemap/link/', candidateLimit = 10 } = {}) {
+        super({ name, candidateLimit });
+        this.#timemapUrl = timemapUrl;
+    }
+
+    getTimemapUrl() { return this.#timemapUrl; }
+
+    async findSnapshots(url, context) {
+        // TimeMaps do not support wildcards
+        const originalUrl = url.replace(/\*+$/, '');
+        const timemapUrl = `${this.#timemapUrl}${/^https?:\/\//.test(originalUrl) ? originalUrl : `https://${originalUrl}`}`;
+
+        const text = await context.getText(timemapUrl);
+        if (text instanceof CrawlerFailure) {
+            return text;
+        }
+
+        const captures = MementoProvider.parseLinkFormat(text)
+            .filter((link) => link.rel.split(/\s+/).includes('memento') && link.datetime)
+            .map((link) => ({ timestamp: toArchiveTimestamp(new Date(link.datetime)), url: link.url }))
+            .filter((capture) => capture.timestamp);
+
+        if (!captures.length) {
+            return new CrawlerFailure(`Snapshot does not exist`, timemapUrl);
+        }
+
+        const snapshots = this.selectCandidates(captures, context.window);
+        if (!snapshots.length) {
+            return new CrawlerFailure(`Snapshots exist but do not match criteria`, timemapUrl);
+        }
+
+        return snapshots;
+    }
+
+    static parseLinkFormat(text) {
+        const links = [];
+        const regex = /<([^>]+)>((?:\s*;\s*[\w-]+\s*=\s*(?:"[^"]*"|[^\s;,]+))*)/g;
+
+        for (const match of `${text || ''}`.matchAll(regex)) {
+            const link = { url: match[1], rel: '', datetime: '' };
+            for (const param of match[2].matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|([^\s;,]+))/g)) {
+                link[param[1].toLowerCase()] = param[2] ?? param[3];
+            }
+            links.push(link);
+        }
+
+        return links;
+    }
+}
+
+export default ArchiveProvider;
+export { ArchiveProvider, WaybackMachineProvider, MementoProvider, ArchivedSnapshot, toArchiveTimestamp, archiveTimestampToDateString };
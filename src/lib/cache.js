@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+class MemoryCache {
+    #ttl;
+    #entries = new Map();
+
+    constructor({ ttl = 3600 } = {}) {
+        this.#ttl = ttl ? Math.max(parseInt(ttl) * 1000, 1000) : 0;
+    }
+
+    getTTL() { return this.#ttl; }
+
+    async get(key) {
+        const cacheEntry = this.#entries.get(key);
+        if (cacheEntry) {
+            if (this.#ttl && (Date.now() - cacheEntry.timestamp) >= this.#ttl) {
+                this.#entries.delete(key);
+            } else {
+                return cacheEntry.value;
+            }
+        }
+
+        return undefined;
+    }
+
+    async set(key, value) {
+        this.#entries.set(key, {
+            value: value,
+            timestamp: Date.now()
+        });
+    }
+
+    async delete(key) {
+        this.#entries.delete(key);
+    }
+
+    async clear() {
+        this.#entries.clear();
+    }
+
+    async cleanup() {
+        if (this.#ttl) {
+            const now = Date.now();
+            for (const [key, cacheEntry] of this.#entries) {
+                if (now - cacheEntry.timestamp >= this.#ttl) {
+                    this.#entries.delete(key);
+                }
+            }
+        }
+    }
+
+    destroy() {
+        this.#entries.clear();
+    }
+}
+
+class FileCache {
+    #directory;
+    #ttl;
+    #maxSize;
+    #index = new Map();
+    #totalSize = 0;
+    #ready = null;
+
+    constructor({ directory = './output/cache', ttl = 86400, maxSize = 1024 * 1024 * 1024 } = {}) {
+        this.#directory = path.resolve(directory);
+        this.#ttl = ttl ? Math.max(parseInt(ttl) * 1000, 1000) : 0;
+        this.#maxSize = maxSize ? Math.max(parseInt(maxSize), 0) : 0;
+    }
+
+    getTTL() { return this.#ttl; }
+    getMaxSize() { return this.#maxSize; }
+    getDirectory() { return this.#directory; }
+    getSize() { return this.#totalSize; }
+
+    async get(key) {
+        await this.#load();
+
+        const fileName = this.#fileName(key);
+        const indexEntry = this.#index.get(fileName);
+        if (!indexEntry) {
+            return undefined;
+        }
+
+        try {
+            const cacheEntry = JSON.parse(await fs.readFile(this.#filePath(fileName), 'utf8'));
+            if (cacheEntry?.key !== key || (this.#ttl && (Date.now() - cacheEntry.timestamp) >= this.#ttl)) {
+                await this.#remove(fileName);
+                return undefined;
+            }
+
+            // re-insert to keep the index in least recently used order
+            this.#index.delete(fileName);
+            this.#index.set(fileName, indexEntry);
+            return cacheEntry.value;
+        } catch (e) {
+            // unreadable or partially written entries are dropped
+            await this.#remove(fileName);
+        }
+
+        return undefined;
+    }
+
+    async set(key, value) {
+        await this.#load();
+
+        const fileName = this.#fileName(key);
+        const filePath = this.#filePath(fileName);
+        const data = JSON.stringify({ key: key, timestamp: Date.now(), value: value });
+        const size = Buffer.byteLength(data);
+
+        if (this.#maxSize && size > this.#maxSize) {
+            return;
+        }
+
+        // write to a temporary file first so readers never see partial entries
+        // concurrent writes of the same key within one process need their own file
+        const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(tmpPath, data, 'utf8');
+            await fs.rename(tmpPath, filePath);
+        } catch (e) {
+            await fs.rm(tmpPath, { force: true }).catch(() => { });
+            return;
+        }
+
+        this.#totalSize -= this.#index.get(fileName)?.size || 0;
+        this.#index.delete(fileName);
+        this.#index.set(fileName, { size: size, created: Date.now() });
+        this.#totalSize += size;
+
+        await this.#evict();
+    }
+
+    async delete(key) {
+        await this.#load();
+        await this.#remove(this.#fileName(key));
+    }
+
+    async clear() {
+        await this.#load();
+        for (const fileName of [...this.#index.keys()]) {
+            await this.#remove(fileName);
+        }
+    }
+
+    async cleanup() {
+        await this.#load();
+        if (this.#ttl) {
+            const now = Date.now();
+            for (const [fileName, indexEntry] of [...this.#index]) {
+                if (now - indexEntry.created >= this.#ttl) {
+                    await this.#remove(fileName);
+                }
+            }
+        }
+    }
+
+    destroy() {
+        // entries on disk are kept for the next run
+        this.#index.clear();
+        this.#totalSize = 0;
+        this.#ready = null;
+    }
+
+    #load() {
+        if (!this.#ready) {
+            this.#ready = this.#buildIndex();
+        }
+        return this.#ready;
+    }
+
+    async #buildIndex() {
+        let shards = [];
+        try {
+            shards = await fs.readdir(this.#directory);
+        } catch (e) {
+            return;
+        }
+
+        const entries = [];
+        for (const shard of shards) {
+            let files = [];
+            try {
+                files = await fs.readdir(path.join(this.#directory, shard));
+            } catch (e) {
+                continue;
+            }
+
+            for (const fileName of files) {
+                const filePath = path.join(this.#directory, shard, fileName);
+                try {
+                    if (!fileName.endsWith('.json')) {
+                        // leftover from an interrupted write
+                        await fs.unlink(filePath);
+                        continue;
+                    }
+
+                    const stat = await fs.stat(filePath);
+                    entries.push([fileName, { size: stat.size, created: stat.mtimeMs }]);
+                } catch (e) { }
+            }
+        }
+
+        entries.sort((a, b) => a[1].created - b[1].created);
+        for (const [fileName, indexEntry] of entries) {
+            this.#index.set(fileName, indexEntry);
+            this.#totalSize += indexEntry.size;
+        }
+
+        await this.#evict();
+    }
+
+    async #evict() {
+        if (!this.#maxSize || this.#totalSize <= this.#maxSize) {
+            return;
+        }
+
+        // least recently used entries come first in the index
+        for (const fileName of [...this.#index.keys()]) {
+            if (this.#totalSize <= this.#maxSize) {
+                break;
+            }
+            await this.#remove(fileName);
+        }
+    }
+
+    async #remove(fileName) {
+        const indexEntry = this.#index.get(fileName);
+        if (indexEntry) {
+            this.#index.delete(fileName);
+            this.#totalSize -= indexEntry.size;
+        }
+
+        try {
+            await fs.unlink(this.#filePath(fileName));
+        } catch (e) { }
+    }
+
+    #fileName(key) {
+        return `${crypto.createHash('sha256').update(String(key)).digest('hex')}.json`;
+    }
+
+    #filePath(fileName) {
+        // shard by the first two hex chars to keep directories small
+        return path.join(this.#directory, fileName.substring(0, 2), fileName);
+    }
+}
+
+export {
+    MemoryCache,
+    FileCache
+}
+
+export default {
+    MemoryCache,
+    FileCache
+};
@@ -1,14 +1,30 @@
 import * as cheerio from 'cheerio';
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
 import { randomUUID } from 'node:crypto';
 import SpoofHeader from './header.js';
+import { MemoryCache } from './cache.js';
+import RateLimiter from './limiter.js';
+import { ArchiveProvider, WaybackMachineProvider, toArchiveTimestamp } from './archive.js';
+import { readWarcRecords } from './warc.js';
+import SchemaValidator from './schema.js';
+import { LensExtractor, createDefaultExtractors } from './extractors.js';
 import HTTPStatusError from './error.js';
-import { CrawlerFailure, CrawlerInvalidUrlFailure, CrawlerJsonFailure, CrawlerJsonParseFailure, CrawlerJsonStructureFailure, CrawlerRequestErrorFailure, CrawlerRequestTimeoutFailure, CrawlerHTTPStatusFailure, CrawlerNotFoundFailure, CralwerAggregateFailure } from './failure.js';
+import { CrawlerFailure, CrawlerInvalidUrlFailure, CrawlerJsonFailure, CrawlerJsonParseFailure, CrawlerJsonStructureFailure, CrawlerRequestErrorFailure, CrawlerRequestTimeoutFailure, CrawlerHTTPStatusFailure, CrawlerNotFoundFailure, CrawlerAbortedFailure, CrawlerDownloadFailure, CrawlerDownloadTruncatedFailure, CrawlerDownloadRejectedFailure, CralwerAggregateFailure } from './failure.js';
 
-class SnapLensWebCrawler {
+const SILENT_CONSOLE = {
+    log: () => { },
+    info: () => { },
+    warn: () => { },
+    error: () => { },
+    debug: () => { }
+};
+
+class SnapLensWebCrawler extends EventEmitter {
     TOP_CATEGORIES = {
         default: '/',
         trending: '/category/trending',
@@ -26,29 +42,34 @@ class SnapLensWebCrawler {
         "ta-IN", "te-IN", "th-TH", "tr-TR", "ur-PK", "vi-VN", "zh-Hans", "zh-Hant"
     ];
 
-    #SCRIPT_SELECTOR = '#__NEXT_DATA__';
-
-    // snapshots before this date will not work
-    #SNAPSHOT_THRESHOLD_MIN = 20220101000000;
-
-    // snapshots from 2025 will not work
-    #SNAPSHOT_THRESHOLD_MAX = 20241231235959;
+    // archive.org is quick to answer bursts with HTTP 429
+    // snapchat hosts are kept well below what a browser would send while paginating
+    DEFAULT_RATE_LIMITS = {
+        'www.snapchat.com': { requestsPerSecond: 2, burst: 3 },
+        'lensstudio.snapchat.com': { requestsPerSecond: 1, burst: 2 },
+        'archive.org': { requestsPerSecond: 1, burst: 2 },
+    };
 
-    // try to get snapshots from 2022-2024
-    #SNAPSHOT_TIMESTAMP = 20230601000000;
+    #SCRIPT_SELECTOR = '#__NEXT_DATA__';
 
     #connectionTimeoutMs;
     #minRequestDelayMs;
     #failedRequestDelayMs;
     #maxRequestRetries;
+    #maxRetryDelayMs;
+    #snapshotDiscovery;
+    #snapshotWindow;
+    #archiveProviders;
+    #schemaValidator;
+    #extractors;
     #headers;
-    #lastRequestTimestamps = new Map();
-    #jsonCache = new Map();
-    #cacheTTL;
+    #rateLimiter;
+    #jsonCache;
+    #ownsCache = false;
     #gcInterval;
     #cleanupInterval;
     #verbose;
-    #console;
+    #consoleScope = new AsyncLocalStorage();
 
     static #registry = new FinalizationRegistry((cleanupInterval) => {
         clearInterval(cleanupInterval);
@@ -58,23 +79,77 @@ class SnapLensWebCrawler {
         connectionTimeoutMs = 9000,
         minRequestDelayMs = 100,
         cacheTTL = 3600,
+        cache = undefined,
         gcInterval = 3600,
         failedRequestDelayMs = 4500,
         maxRequestRetries = 2,
+        maxRetryDelayMs = 60000,
+        rateLimits = {},
+        snapshotDiscovery = 'available',
+        // snapshots before 2022 and from 2025 will not work
+        snapshotMinTimestamp = 20220101000000,
+        snapshotMaxTimestamp = 20241231235959,
+        snapshotTimestamp = 20230601000000,
+        archiveProviders = null,
+        schemaValidator = undefined,
+        extractors = null,
         headers = undefined,
         verbose = true,
     } = {}) {
+        super();
+
         this.#connectionTimeoutMs = Math.max(connectionTimeoutMs, 1000);
         this.#minRequestDelayMs = Math.max(minRequestDelayMs, 0);
         this.#failedRequestDelayMs = Math.max(failedRequestDelayMs, this.#minRequestDelayMs);
         this.#maxRequestRetries = Math.max(maxRequestRetries, 0);
+        this.#maxRetryDelayMs = Math.max(maxRetryDelayMs, this.#failedRequestDelayMs);
+
+        this.#snapshotWindow = {
+            from: toArchiveTimestamp(snapshotMinTimestamp),
+            to: toArchiveTimestamp(snapshotMaxTimestamp),
+            timestamp: toArchiveTimestamp(snapshotTimestamp),
+        };
+
+        // archives are queried in order until one has the lens
+        this.#snapshotDiscovery = snapshotDiscovery;
+        this.#archiveProviders = (Array.isArray(archiveProviders) && archiveProviders.length)
+            ? [...archiveProviders]
+            : [new WaybackMachineProvider({ discovery: snapshotDiscovery })];
+
+        if (this.#archiveProviders.some((provider) => !(provider instanceof ArchiveProvider))) {
+            throw new TypeError(`Archive providers have to extend ArchiveProvider`);
+        }
+
+        // parsed pages are compared against the expected structure, pass false to disable
+        this.#schemaValidator = (schemaValidator === undefined) ? new SchemaValidator() : (schemaValidator || null);
+
+        // page data sources are tried in order, later extractors only fill in missing fields
+        this.#extractors = (Array.isArray(extractors) && extractors.length) ? [...extractors] : createDefaultExtractors();
+
+        if (this.#extractors.some((extractor) => !(extractor instanceof LensExtractor))) {
+            throw new TypeError(`Extractors have to extend LensExtractor`);
+        }
+
         this.#headers = headers || {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36',
         };
 
+        // hosts without a configured budget are spaced out by minRequestDelayMs
+        const defaultRateLimit = this.#minRequestDelayMs ? { requestsPerSecond: 1000 / this.#minRequestDelayMs, burst: 1 } : null;
+        this.#rateLimiter = new RateLimiter({ ...this.DEFAULT_RATE_LIMITS, ...rateLimits }, defaultRateLimit);
+
         this.setVerbose(verbose);
 
-        this.#cacheTTL = cacheTTL ? Math.max(parseInt(cacheTTL) * 1000, 1000) : 0;
+        // custom cache backends handle their own TTL
+        if (cache) {
+            this.#jsonCache = cache;
+        } else if (cacheTTL) {
+            this.#jsonCache = new MemoryCache({ ttl: cacheTTL });
+            this.#ownsCache = true;
+        } else {
+            this.#jsonCache = null;
+        }
+
         this.#gcInterval = gcInterval ? Math.max(parseInt(gcInterval) * 1000, 5 * 60 * 1000) : false;
 
         if (this.#gcInterval) {
@@ -87,20 +162,35 @@ class SnapLensWebCrawler {
     getMinRequestDelay() { return this.#minRequestDelayMs; }
     getFailedRequestDelay() { return this.#failedRequestDelayMs; }
     getMaxRequestRetries() { return this.#maxRequestRetries; }
-    getCacheTTL() { return this.#cacheTTL; }
+    getMaxRetryDelay() { return this.#maxRetryDelayMs; }
+    getSnapshotDiscovery() { return this.#snapshotDiscovery; }
+    getSnapshotWindow() { return { ...this.#snapshotWindow }; }
+    getArchiveProviders() { return [...this.#archiveProviders]; }
+    getSchemaValidator() { return this.#schemaValidator; }
+    getExtractors() { return [...this.#extractors]; }
+    getSchemaReport() { return this.#schemaValidator ? this.#schemaValidator.getReport() : {}; }
+    getRateLimit(hostname) { return this.#rateLimiter.getLimit(hostname); }
+    // custom cache backends do not have to expose their TTL
+    getCacheTTL() { return this.#jsonCache?.getTTL?.() ?? 0; }
+    getCache() { return this.#jsonCache; }
     getGCInterval() { return this.#gcInterval; }
     getHeaders() { return this.#headers; }
     isVerbose() { return this.#verbose; }
 
     setVerbose(verbose) {
         this.#verbose = verbose;
-        this.#console = this.#verbose ? console : {
-            log: () => { },
-            info: () => { },
-            warn: () => { },
-            error: () => { },
-            debug: () => { }
-        };
+    }
+
+    // console output of everything called within the callback goes to the given logger
+    withConsole(logger, callback) {
+        return this.#consoleScope.run(logger, callback);
+    }
+
+    get #console() {
+        if (!this.#verbose) {
+            return SILENT_CONSOLE;
+        }
+        return this.#consoleScope.getStore() || console;
     }
 
     destroy() {
@@ -109,29 +199,280 @@ class SnapLensWebCrawler {
             SnapLensWebCrawler.#registry.unregister(this);
         }
 
-        this.#lastRequestTimestamps.clear();
-        this.#jsonCache.clear();
+        this.#rateLimiter.clear();
+
+        if (this.#ownsCache) {
+            this.#jsonCache.destroy();
+        }
     }
 
-    async downloadFile(url, dest) {
+    async downloadFile(url, dest, { maxBytes = 0, allowedContentTypes = null, rejectedContentTypes = null, onProgress = null, signal = null } = {}) {
+        // data is written to a partial file first, so an interrupted download never looks complete
+        const partFilePath = `${dest}.part`;
+        const maxAttempts = this.#maxRequestRetries + 1;
+
         try {
-            const response = await this.#requestGently(url, 'GET');
-            if (response instanceof CrawlerFailure) {
-                return response;
-            }
+            await fs.mkdir(path.dirname(dest), { recursive: true });
+
+            let result = false;
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                result = await this.#downloadPartFile(url, partFilePath, { maxBytes, allowedContentTypes, rejectedContentTypes, onProgress, signal });
+                if (!(result instanceof CrawlerDownloadTruncatedFailure) || attempt === maxAttempts) {
+                    break;
+                }
+
+                // resume from the partial file
+                const delayMs = this.#backoffDelay(attempt);
+                this.#emit('retry', { url, method: 'GET', attempt: attempt + 1, maxAttempts, delayMs, reason: result.message });
+                await this.#sleep(delayMs, signal);
 
-            if (response?.ok && response.body) {
-                await fs.mkdir(path.dirname(dest), { recursive: true });
-                await pipeline(response.body, createWriteStream(dest));
+                if (signal?.aborted) {
+                    return this.#abortedFailure(url, result);
+                }
+            }
 
-                return true;
+            if (result instanceof CrawlerFailure || !result) {
+                return result;
             }
+
+            await fs.rename(partFilePath, dest);
+            await fs.rm(`${partFilePath}.validator`, { force: true });
+
+            this.#emit('download', { url, dest, ...result });
+            return true;
         } catch (e) {
             this.#console.error(e);
-            return new CrawlerFailure(e.message, url);
+            return new CrawlerDownloadFailure(e.message, url);
+        }
+    }
+
+    async #downloadPartFile(url, partFilePath, { maxBytes, allowedContentTypes, rejectedContentTypes, onProgress, signal }) {
+        const startTime = Date.now();
+
+        const { response, offset } = await this.#requestDownload(url, partFilePath, signal);
+        if (response instanceof CrawlerFailure) {
+            return response;
+        }
+
+        if (!response?.ok || !response.body) {
+            return false;
+        }
+
+        const expectedBytes = this.#getExpectedDownloadSize(response, offset);
+
+        const contentType = response.headers.get('content-type');
+        if (!this.#isAllowedContentType(contentType, allowedContentTypes) || this.#matchesContentType(contentType, rejectedContentTypes)) {
+            await response.body.cancel();
+            return this.#rejectDownload(`Content type ${contentType} is not allowed`, 'contentType', url, partFilePath);
+        }
+
+        if (maxBytes && expectedBytes !== null && expectedBytes > maxBytes) {
+            await response.body.cancel();
+            return this.#rejectDownload(`File size of ${expectedBytes} bytes exceeds the limit of ${maxBytes} bytes`, 'maxBytes', url, partFilePath);
         }
 
-        return false;
+        const reportProgress = (bytes) => {
+            if (typeof onProgress === 'function') {
+                try {
+                    onProgress(bytes, expectedBytes);
+                } catch (e) {
+                    // a faulty callback must not break the download
+                }
+            }
+        };
+
+        const inspect = async function* (source) {
+            let bytes = offset;
+            for await (const chunk of source) {
+                // error pages are often delivered with status 200
+                if (bytes === 0 && SnapLensWebCrawler.#isMarkup(chunk)) {
+                    throw new CrawlerDownloadRejectedFailure(`Response body is a HTML or XML document`, 'markup', url);
+                }
+
+                bytes += chunk.length;
+                if (maxBytes && bytes > maxBytes) {
+                    throw new CrawlerDownloadRejectedFailure(`Download exceeds the limit of ${maxBytes} bytes`, 'maxBytes', url);
+                }
+
+                reportProgress(bytes);
+                yield chunk;
+            }
+        };
+
+        const fileStream = createWriteStream(partFilePath, { flags: (offset) ? 'a' : 'w' });
+
+        try {
+            // the caller signal is not necessarily linked to the request anymore once the headers arrived
+            await pipeline(response.body, inspect, fileStream, { signal: signal ?? undefined });
+        } catch (e) {
+            if (e instanceof CrawlerDownloadRejectedFailure) {
+                return this.#rejectDownload(e.message, e.reason, url, partFilePath);
+            }
+
+            // received data is kept, a later call resumes the download
+            if (signal?.aborted) {
+                return this.#abortedFailure(url);
+            }
+
+            // keep received data for the next attempt
+            const receivedBytes = offset + fileStream.bytesWritten;
+            this.#console.error(`[Download Interrupted] ${url} - ${e.message}`);
+            return new CrawlerDownloadTruncatedFailure(e.message, expectedBytes, receivedBytes, url);
+        }
+
+        const bytes = offset + fileStream.bytesWritten;
+        if (expectedBytes !== null && bytes !== expectedBytes) {
+            if (bytes > expectedBytes) {
+                // more data than announced can not be resumed
+                await this.#removePartFile(partFilePath);
+            }
+
+            this.#console.error(`[Download Truncated] ${url} - Expected ${expectedBytes} bytes but received ${bytes}`);
+            return new CrawlerDownloadTruncatedFailure(`Expected ${expectedBytes} bytes but received ${bytes}`, expectedBytes, bytes, url);
+        }
+
+        return { bytes, resumedFrom: offset, durationMs: Date.now() - startTime };
+    }
+
+    async #rejectDownload(message, reason, url, partFilePath) {
+        await this.#removePartFile(partFilePath);
+
+        this.#console.error(`[Download Rejected] ${url} - ${message}`);
+        return new CrawlerDownloadRejectedFailure(message, reason, url);
+    }
+
+    #isAllowedContentType(contentType, allowedContentTypes) {
+        if (!Array.isArray(allowedContentTypes) || !allowedContentTypes.length || !contentType) {
+            return true;
+        }
+
+        return this.#matchesContentType(contentType, allowedContentTypes);
+    }
+
+    #matchesContentType(contentType, contentTypes) {
+        if (!Array.isArray(contentTypes) || !contentType) {
+            return false;
+        }
+
+        const mimeType = contentType.split(';')[0].trim().toLowerCase();
+        return contentTypes.some((type) => {
+            type = type.toLowerCase();
+            return (type.endsWith('/*')) ? mimeType.startsWith(type.slice(0, -1)) : (mimeType === type);
+        });
+    }
+
+    static #isMarkup(chunk) {
+        const head = Buffer.from(chunk.subarray(0, 64)).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+        return ['<!doctype', '<html', '<?xml', '<head', '<body'].some((tag) => head.startsWith(tag));
+    }
+
+    async #requestDownload(url, partFilePath, signal) {
+        let offset = 0;
+        try {
+            offset = (await fs.stat(partFilePath)).size;
+        } catch (e) { }
+
+        // partial files are only resumed if the file on the server is provably the same
+        const validator = (offset > 0) ? await this.#readValidator(partFilePath) : null;
+        if (validator) {
+            const headers = { 'Range': `bytes=${offset}-`, 'If-Range': validator.etag || validator.lastModified };
+            const response = await this.#requestGently(url, 'GET', { headers, signal });
+            if (response?.status === 206) {
+                if (this.#parseContentRange(response.headers.get('content-range'))?.start === offset && SnapLensWebCrawler.#matchesValidator(response, validator)) {
+                    this.#emit('downloadResumed', { url, offset });
+                    return { response, offset };
+                }
+
+                // unusable partial content
+                await response.body?.cancel();
+            } else if (response?.ok) {
+                // server ignores range requests or the file changed, the complete file is sent
+                await this.#writeValidator(partFilePath, response);
+                return { response, offset: 0 };
+            } else if (!(response instanceof CrawlerHTTPStatusFailure && response.code == 416)) {
+                return { response, offset };
+            }
+        }
+
+        // range not satisfiable or file changed, the partial file is unusable
+        if (offset > 0) {
+            await this.#removePartFile(partFilePath);
+        }
+
+        const response = await this.#requestGently(url, 'GET', { signal });
+        if (response?.ok) {
+            await this.#writeValidator(partFilePath, response);
+        }
+
+        return { response, offset: 0 };
+    }
+
+    async #readValidator(partFilePath) {
+        try {
+            const validator = JSON.parse(await fs.readFile(`${partFilePath}.validator`, 'utf8'));
+            return (validator?.etag || validator?.lastModified) ? validator : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async #writeValidator(partFilePath, response) {
+        // weak ETags are not allowed in If-Range
+        const etag = response.headers.get('etag');
+        const validator = {
+            etag: (etag && !etag.startsWith('W/')) ? etag : null,
+            lastModified: response.headers.get('last-modified') || null,
+        };
+
+        if (validator.etag || validator.lastModified) {
+            await fs.writeFile(`${partFilePath}.validator`, JSON.stringify(validator), 'utf8');
+        } else {
+            await fs.rm(`${partFilePath}.validator`, { force: true });
+        }
+    }
+
+    async #removePartFile(partFilePath) {
+        await fs.rm(partFilePath, { force: true });
+        await fs.rm(`${partFilePath}.validator`, { force: true });
+    }
+
+    static #matchesValidator(response, validator) {
+        // servers ignoring If-Range would append bytes of a changed file
+        if (validator.etag) {
+            return response.headers.get('etag') === validator.etag;
+        }
+        return response.headers.get('last-modified') === validator.lastModified;
+    }
+
+    #getExpectedDownloadSize(response, offset) {
+        // content length refers to the encoded body which differs from the decoded file size
+        const encoding = response.headers.get('content-encoding');
+        if (encoding && encoding !== 'identity') {
+            return null;
+        }
+
+        if (response.status === 206) {
+            const range = this.#parseContentRange(response.headers.get('content-range'));
+            if (range?.total !== null && range?.total !== undefined) {
+                return range.total;
+            }
+        }
+
+        const contentLength = parseInt(response.headers.get('content-length'));
+        return isNaN(contentLength) ? null : offset + contentLength;
+    }
+
+    #parseContentRange(value) {
+        const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec(value?.trim() || '');
+        if (!match) {
+            return null;
+        }
+
+        return {
+            start: parseInt(match[1]),
+            end: parseInt(match[2]),
+            total: (match[3] === '*') ? null : parseInt(match[3]),
+        };
     }
 
     static mergeLensItems(primary, secondary) {
@@ -153,7 +494,8 @@ class SnapLensWebCrawler {
     }
 
     static formatLensItem(lensItem, options = {}) {
-        const { obfuscatedSlug = '', userName = '', hash = '', unlockableId = '' } = options;
+        // archived pages do not tell if a lens is still live, their status is left empty
+        const { obfuscatedSlug = '', userName = '', hash = '', unlockableId = '', lensStatus = 'Live' } = options;
 
         const deeplinkUrl = lensItem.deeplinkUrl || lensItem.unlockUrl || "";
         const uuid = lensItem.scannableUuid || SnapLensWebCrawler.extractUuidFromDeeplink(deeplinkUrl) || hash || "";
@@ -168,7 +510,7 @@ class SnapLensWebCrawler {
 
             lens_name: (lensItem.lensName || lensItem.name || "")?.trim(),
             lens_creator_search_tags: lensItem.lensCreatorSearchTags || [],
-            lens_status: "Live",
+            lens_status: lensStatus,
 
             user_display_name: (lensItem.lensCreatorDisplayName || lensItem.creator?.title || lensItem.creatorName || "")?.trim(),
             user_name: lensItem.lensCreatorUsername || userName || "",
@@ -201,6 +543,7 @@ class SnapLensWebCrawler {
                 lens_url: lensItem.lensResource?.archiveLink || "",
                 signature: lensItem.lensResource?.signature || "",
                 sha256: lensItem.lensResource?.checkSum || "",
+                lens_checksum: lensItem.lensResource?.checkSum || "",
                 last_updated: lensItem.lensResource?.lastUpdated || lensItem.lastUpdatedEpoch || ""
             });
 
@@ -251,41 +594,78 @@ class SnapLensWebCrawler {
         return ts < 1e12 ? ts * 1000 : ts;
     }
 
-    async getLensByHash(hash) {
-        return await this.#getSingleLens(`https://lens.snapchat.com/${hash}`, { hash });
+    async getLensByHash(hash, { signal = null } = {}) {
+        return await this.#getSingleLens(`https://lens.snapchat.com/${hash}`, { hash }, { signal });
     }
 
-    async getMoreLensesByHash(hash) {
-        return await this.#getMoreLenses(`https://lens.snapchat.com/${hash}`, { hash })
+    async getMoreLensesByHash(hash, { signal = null } = {}) {
+        return await this.#getMoreLenses(`https://lens.snapchat.com/${hash}`, { hash }, { signal })
     }
 
-    async getLensesByUsername(userName) {
-        return await this.#getUserLenses(`https://www.snapchat.com/add/${userName}`, { userName });
+    async getLensesByUsername(userName, { signal = null } = {}) {
+        return await this.#getUserLenses(`https://www.snapchat.com/add/${userName}`, { userName }, { signal });
     }
 
-    async getLensesByCreator(obfuscatedSlug, maxLenses = 1000) {
+    async getLensesByCreator(obfuscatedSlug, maxLenses = 1000, { signal = null } = {}) {
         const lenses = [];
 
-        for (let offset = 0; offset < maxLenses; offset += 100) {
-            const limit = Math.min(maxLenses - offset, 100);
-            const result = await this.#getLensesByCreator(obfuscatedSlug, offset, limit);
-            if (result instanceof CrawlerFailure) {
+        for await (const page of this.iterateLensesByCreator(obfuscatedSlug, { maxLenses, signal })) {
+            if (page instanceof CrawlerAbortedFailure) {
+                return page;
+            } else if (page instanceof CrawlerFailure) {
                 break;
             }
+            lenses.push(...page.lenses);
+        }
 
-            lenses.push(...result);
-            if (result.length < 100) {
-                break;
+        return lenses;
+    }
+
+    // yields one page per request, iteration ends after a CrawlerFailure was yielded
+    async *iterateLensesByCreator(obfuscatedSlug, { maxLenses = 1000, offset = 0, signal = null } = {}) {
+        const pageSize = 100;
+        const endOffset = offset + maxLenses;
+
+        while (offset < endOffset) {
+            const limit = Math.min(endOffset - offset, pageSize);
+            const result = await this.#getLensesByCreator(obfuscatedSlug, offset, limit, { signal });
+            if (result instanceof CrawlerFailure) {
+                yield result;
+                return;
+            }
+
+            // offsets count the items returned by the API, including the ones dropped as invalid
+            const hasMore = (result.itemCount >= limit);
+            const nextOffset = offset + result.itemCount;
+            yield { lenses: result.lenses, offset, nextOffset, hasMore };
+
+            if (!hasMore) {
+                return;
+            }
+
+            offset = nextOffset;
+        }
+    }
+
+    async getTopLensesByCategory(category = 'default', maxLenses = 100, { signal = null } = {}) {
+        const lenses = [];
+
+        for await (const page of this.iterateTopLensesByCategory(category, { maxLenses, signal })) {
+            if (page instanceof CrawlerFailure) {
+                return page;
             }
+            lenses.push(...page.lenses);
         }
 
         return lenses;
     }
 
-    async getTopLensesByCategory(category = 'default', maxLenses = 100) {
+    // yields one page per request, pass cursor and locale of a page to resume after it
+    // iteration ends after a CrawlerAbortedFailure was yielded
+    async *iterateTopLensesByCategory(category = 'default', { maxLenses = 10000, cursor = null, locale = null, signal = null } = {}) {
         if (typeof this.TOP_CATEGORIES[category] === 'undefined') {
             this.#console.error(`Unknown top lens category: ${category} \nValid top lens categories are:`, Object.getOwnPropertyNames(this.TOP_CATEGORIES));
-            return [];
+            return;
         }
 
         if (category === 'live') {
@@ -293,54 +673,126 @@ class SnapLensWebCrawler {
             maxLenses = 11;
         }
 
-        return await this.#getTopLenses(`https://www.snapchat.com/lens${this.TOP_CATEGORIES[category]}`, maxLenses);
+        yield* this.#iterateTopLenses(`https://www.snapchat.com/lens${this.TOP_CATEGORIES[category]}`, { maxLenses, cursor, locale, signal });
     }
 
-    async searchLenses(search) {
-        const slug = search.replace(/\W+/g, '-');
+    async searchLenses(search, { signal = null } = {}) {
+        // lenses of the first page only, use search() for more pages, creators and search terms
+        const result = await this.search(search, { maxPages: 1, signal });
+        if (result instanceof CrawlerFailure) {
+            return result;
+        }
 
-        const pageProps = await this.#crawlJsonFromUrl(`https://www.snapchat.com/explore/${slug}`, "props.pageProps");
-        if (pageProps instanceof CrawlerFailure) {
-            return pageProps;
+        return result.lenses;
+    }
+
+    async search(term, { filters = {}, maxPages = 1, signal = null } = {}) {
+        const slug = term.replace(/\W+/g, '-');
+        const url = new URL(`https://www.snapchat.com/explore/${slug}`);
+
+        const lenses = new Map();
+        const creators = new Map();
+        const searchTerms = new Map();
+        const cursors = new Set();
+
+        let pages = 0;
+        let nextCursor = null;
+
+        maxPages = (Number.isInteger(maxPages) && maxPages > 0) ? maxPages : 1;
+
+        while (pages < maxPages) {
+            const pageProps = await this.#crawlJsonFromUrl(url.toString(), "props.pageProps", { signal });
+            if (pageProps instanceof CrawlerFailure) {
+                // results of earlier pages are kept unless the search was aborted
+                if (pages === 0 || pageProps instanceof CrawlerAbortedFailure) {
+                    return pageProps;
+                }
+                break;
+            }
+
+            pages++;
+
+            const page = this.#parseSearchPage(pageProps, url.toString());
+            for (const lens of page.lenses.filter(lens => this.#matchesSearchFilters(lens, filters))) {
+                // results without a valid UUID still have a lens id
+                const key = lens.uuid || lens.unlockable_id;
+                if (key) {
+                    lenses.set(key, lenses.has(key) ? SnapLensWebCrawler.mergeLensItems(lenses.get(key), lens) : lens);
+                }
+            }
+
+            page.creators.forEach(creator => creators.has(creator.user_name) || creators.set(creator.user_name, creator));
+            page.searchTerms.forEach(searchTerm => searchTerms.has(searchTerm.toLowerCase()) || searchTerms.set(searchTerm.toLowerCase(), searchTerm));
+
+            nextCursor = (page.nextCursor && !cursors.has(page.nextCursor)) ? page.nextCursor : null;
+            if (!nextCursor) {
+                break;
+            }
+
+            cursors.add(nextCursor);
+            url.searchParams.set('cursor_id', nextCursor);
         }
 
-        return this.#handleSearchResults(pageProps);
+        return {
+            term,
+            lenses: Array.from(lenses.values()),
+            creators: Array.from(creators.values()),
+            searchTerms: Array.from(searchTerms.values()),
+            pages,
+            nextCursor: (pages >= maxPages) ? nextCursor : null,
+        };
     }
 
-    async getLensByArchivedSnapshot(hash) {
+    async getLensByArchivedSnapshot(hash, { signal = null, discovery = null } = {}) {
         const lensUrls = [
             `lens.snapchat.com/${hash}*`,
             `snapchat.com/lens/${hash}*`,
         ];
 
+        const context = this.#createArchiveContext({ signal, discovery });
+
         let lens = {};
         let failures = [];
         try {
-            for (const index in lensUrls) {
-                const targetUrl = lensUrls[index];
+            for (const provider of this.#archiveProviders) {
+                for (const targetUrl of lensUrls) {
+                    const snapshots = await provider.findSnapshots(targetUrl, context);
+                    if (snapshots instanceof CrawlerAbortedFailure) {
+                        return snapshots;
+                    } else if (snapshots instanceof CrawlerFailure) {
+                        failures.push(snapshots);
+                        continue;
+                    } else if (!Array.isArray(snapshots)) {
+                        failures.push(new CrawlerFailure('Unexpected return value', targetUrl));
+                        continue;
+                    }
 
-                const snapshot = await this.#queryArchivedSnapshot(targetUrl);
-                if (snapshot instanceof CrawlerFailure) {
-                    failures.push(snapshot);
-                    continue;
-                } else if (!(snapshot instanceof ArchivedSnapshot)) {
-                    failures.push(new CrawlerFailure('Unexpected return value', targetUrl));
-                    continue;
-                }
+                    // candidates are tried newest first until one has a lens URL
+                    for (const snapshot of snapshots) {
+                        const nextData = await provider.loadSnapshot(snapshot, context);
+                        if (nextData instanceof CrawlerAbortedFailure) {
+                            return nextData;
+                        } else if (nextData instanceof CrawlerFailure) {
+                            failures.push(nextData);
+                            continue;
+                        }
 
-                let snapshotLens = await this.#getSingleLens(snapshot.url, { hash });
-                if (snapshotLens instanceof CrawlerFailure) {
-                    failures.push(snapshotLens);
-                    continue;
-                }
+                        const lensItem = this.#getProperty(nextData, "props.pageProps.lensDisplayInfo", snapshot.url);
+                        if (lensItem instanceof CrawlerFailure) {
+                            failures.push(lensItem);
+                            continue;
+                        }
 
-                lens = SnapLensWebCrawler.mergeLensItems(this.#fixArchiveUrlPrefixes(snapshotLens), lens);
-                if (lens.lens_url) {
-                    lens.snapshot = snapshot;
-                    return lens;
-                }
+                        const snapshotLens = SnapLensWebCrawler.formatLensItem(lensItem, { hash, lensStatus: '' });
+                        lens = SnapLensWebCrawler.mergeLensItems(provider.restoreUrls(snapshotLens), lens);
+                        if (lens.lens_url) {
+                            lens.snapshot = snapshot;
+                            return lens;
+                        }
 
-                failures.push(new CrawlerFailure(`Snapshot exists but has no lens URL`, targetUrl));
+                        failures.push(new CrawlerFailure(`Snapshot exists but has no lens URL`, snapshot.url));
+                    }
+                }
             }
         } catch (e) {
             this.#console.error(e);
@@ -350,41 +802,126 @@ class SnapLensWebCrawler {
         return new CralwerAggregateFailure(failures, `Failed to get snapshot for: ${hash}`);
     }
 
-    async getLensesFromUrl(url, lensDefaults = {}) {
+    async getLensesFromUrl(url, lensDefaults = {}, { signal = null } = {}) {
         try {
-            const pageProps = await this.#crawlJsonFromUrl(url, "props.pageProps");
+            const pageProps = await this.#crawlJsonFromUrl(url, "props.pageProps", { signal });
             if (pageProps instanceof CrawlerFailure) {
                 return pageProps;
             }
 
-            const sources = [
-                pageProps.lensDisplayInfo,
-                pageProps.moreLenses,
-                pageProps.lenses,
-                pageProps.topLenses
-            ];
+            return this.#extractLensesFromPageProps(pageProps, lensDefaults, url);
+        } catch (e) {
+            this.#console.error(e);
+            return new CrawlerFailure(e.message, url);
+        }
+    }
+
+    async getLensesFromWarc(filePath, lensDefaults = {}, { signal = null } = {}) {
+        const lenses = new Map();
+
+        try {
+            for await (const record of readWarcRecords(filePath, { signal })) {
+                const response = record.getHttpResponse();
+                if (response?.status !== 200 || !/text\/html/i.test(response.headers['content-type'] || '')) {
+                    continue;
+                }
+
+                // skip pages without next data before parsing them
+                const html = response.body.toString('utf8');
+                if (!html.includes(this.#SCRIPT_SELECTOR.substring(1))) {
+                    continue;
+                }
+
+                const nextData = this.#parseNextData(html, record.targetUri);
+                if (nextData instanceof CrawlerFailure || !nextData?.props?.pageProps) {
+                    continue;
+                }
+
+                for (const lens of this.#extractLensesFromPageProps(nextData.props.pageProps, { lensStatus: '', ...lensDefaults }, record.targetUri)) {
+                    if (lens.uuid) {
+                        // the same lens may appear on several pages
+                        lenses.set(lens.uuid, lenses.has(lens.uuid) ? SnapLensWebCrawler.mergeLensItems(lenses.get(lens.uuid), lens) : lens);
+                    }
+                }
+            }
+        } catch (e) {
+            this.#console.error(`[WARC Error] ${filePath} - ${e.message}`);
+            return new CrawlerFailure(e.message, filePath);
+        }
+
+        if (signal?.aborted) {
+            return this.#abortedFailure(filePath);
+        }
+
+        return Array.from(lenses.values());
+    }
+
+    parseLensesFromHtml(html, lensDefaults = {}, { url = null } = {}) {
+        const nextData = this.#parseNextData(html, url);
+        if (nextData instanceof CrawlerFailure) {
+            return nextData;
+        }
+
+        return this.parseLensesFromNextData(nextData, lensDefaults, { url });
+    }
+
+    parseLensesFromNextData(json, lensDefaults = {}, { url = null } = {}) {
+        let nextData = json;
+        if (typeof json === 'string') {
+            try {
+                nextData = JSON.parse(json);
+            } catch (e) {
+                this.#console.error(`[JSON Error] ${url} - ${e.message}`);
+                this.#emit('parseError', { url, message: e.message });
+                return new CrawlerJsonParseFailure(e.message, json, url);
+            }
+        }
 
-            const lenses = sources
-                .flatMap(source => Array.isArray(source) ? source : [source])
-                .filter(Boolean)
-                .map(lens => SnapLensWebCrawler.formatLensItem(lens, lensDefaults));
+        // the complete __NEXT_DATA__ object or only its props
+        const pageProps = (nextData?.props?.pageProps !== undefined) ? nextData.props.pageProps : this.#getProperty(nextData, "pageProps", url);
+        if (pageProps instanceof CrawlerFailure) {
+            return pageProps;
+        }
 
-            return lenses
-                .concat(this.#handleSearchResults(pageProps, lensDefaults))
-                .map(lens => this.#fixArchiveUrlPrefixes(lens));
+        try {
+            return this.#extractLensesFromPageProps(pageProps, lensDefaults, url);
         } catch (e) {
             this.#console.error(e);
             return new CrawlerFailure(e.message, url);
         }
     }
 
-    async #getSingleLens(url, lensDefaults = {}) {
+    #extractLensesFromPageProps(pageProps, lensDefaults = {}, url = null) {
+        [pageProps.lensDisplayInfo].flat().filter(Boolean).forEach((lens) => this.#validateSchema('lensDisplayInfo', lens, url));
+        ['moreLenses', 'topLenses'].filter((key) => Array.isArray(pageProps[key])).forEach((key) => this.#validateSchema(key, pageProps[key], url));
+
+        const sources = [
+            pageProps.lensDisplayInfo,
+            pageProps.moreLenses,
+            pageProps.lenses,
+            pageProps.topLenses,
+            pageProps.extractedLenses
+        ];
+
+        const lenses = sources
+            .flatMap(source => Array.isArray(source) ? source : [source])
+            .filter(Boolean)
+            .map(lens => SnapLensWebCrawler.formatLensItem(lens, lensDefaults));
+
+        return lenses
+            .concat(this.#handleSearchResults(pageProps, lensDefaults, url))
+            .map(lens => this.#fixArchiveUrlPrefixes(lens));
+    }
+
+    async #getSingleLens(url, lensDefaults = {}, options = {}) {
         try {
-            const lens = await this.#crawlJsonFromUrl(url, "props.pageProps.lensDisplayInfo");
+            const lens = await this.#crawlJsonFromUrl(url, "props.pageProps.lensDisplayInfo", options);
             if (lens instanceof CrawlerFailure) {
                 return lens;
             }
 
+            this.#validateSchema('lensDisplayInfo', lens, url);
+
             return SnapLensWebCrawler.formatLensItem(lens, lensDefaults);
         } catch (e) {
             this.#console.error(e);
@@ -392,13 +929,15 @@ class SnapLensWebCrawler {
         }
     }
 
-    async #getMoreLenses(url, lensDefaults = {}) {
+    async #getMoreLenses(url, lensDefaults = {}, options = {}) {
         try {
-            const lenses = await this.#crawlJsonFromUrl(url, "props.pageProps.moreLenses");
+            const lenses = await this.#crawlJsonFromUrl(url, "props.pageProps.moreLenses", options);
             if (lenses instanceof CrawlerFailure) {
                 return lenses;
             }
 
+            this.#validateSchema('moreLenses', lenses, url);
+
             return lenses.map(lens => SnapLensWebCrawler.formatLensItem(lens, lensDefaults));
         } catch (e) {
             this.#console.error(e);
@@ -406,9 +945,9 @@ class SnapLensWebCrawler {
         }
     }
 
-    async #getUserLenses(url, lensDefaults = {}) {
+    async #getUserLenses(url, lensDefaults = {}, options = {}) {
         try {
-            const lenses = await this.#crawlJsonFromUrl(url, "props.pageProps.lenses");
+            const lenses = await this.#crawlJsonFromUrl(url, "props.pageProps.lenses", options);
             if (lenses instanceof CrawlerFailure) {
                 return lenses;
             }
@@ -420,27 +959,33 @@ class SnapLensWebCrawler {
         }
     }
 
-    async #getLensesByCreator(obfuscatedSlug, offset = 0, limit = 100) {
+    async #getLensesByCreator(obfuscatedSlug, offset = 0, limit = 100, options = {}) {
         const maxLenses = Math.min(100, limit);
         const url = `https://lensstudio.snapchat.com/v1/creator/lenses/?limit=${maxLenses}&offset=${offset}&order=1&slug=${obfuscatedSlug}`;
 
         try {
-            const lensesList = await this.#getJsonFromUrl(url, "lensesList", { retryNotFound: true });
+            const lensesList = await this.#getJsonFromUrl(url, "lensesList", { ...options, retryNotFound: true });
             if (lensesList instanceof CrawlerFailure) {
                 return lensesList;
             }
 
-            return (lensesList || [])
-                .filter(item => item.lensId && item.deeplinkUrl && item.name && item.creatorName)
+            this.#validateSchema('lensesList', lensesList, url);
+
+            const items = Array.isArray(lensesList) ? lensesList : [];
+            const lenses = items
+                .filter(item => item?.lensId && item.deeplinkUrl && item.name && item.creatorName)
                 .map(item => SnapLensWebCrawler.formatLensItem(item, { obfuscatedSlug }));
+
+            return { lenses, itemCount: items.length };
         } catch (e) {
             this.#console.error(e);
             return new CrawlerFailure(e.message, url);
         }
     }
 
-    async #getTopLenses(url, maxLenses, lensDefaults = {}) {
-        const lenses = new Map();
+    async *#iterateTopLenses(url, { maxLenses, cursor = null, locale = null, signal = null }, lensDefaults = {}) {
+        // only the UUIDs are kept to skip duplicates across pages
+        const seenUuids = new Set();
         const currentUrl = new URL(url);
 
         const cursors = new Set();
@@ -449,10 +994,19 @@ class SnapLensWebCrawler {
         // enforce maximum of 10000 lenses
         maxLenses = (Number.isInteger(maxLenses) && maxLenses > 0) ? maxLenses : 10000;
 
+        if (cursor) {
+            currentUrl.searchParams.set('cursor_id', cursor);
+        }
+
         try {
             const spoofHeader = new SpoofHeader();
 
-            const locales = this.#shuffle(this.TOP_LOCALES);
+            // resume with the locale of the given cursor
+            let locales = this.#shuffle(this.TOP_LOCALES);
+            if (locale && locales.includes(locale)) {
+                locales = [locale, ...locales.filter((item) => item !== locale)];
+            }
+
             for (const locale of locales) {
                 if (currentUrl.searchParams.has('locale')) {
                     currentUrl.searchParams.set('locale', locale);
@@ -466,35 +1020,45 @@ class SnapLensWebCrawler {
 
                 const headers = spoofHeader.getHeadersFor(currentUrl.toString(), [locale], false);
 
-                while (lenses.size < maxLenses) {
-                    const pageProps = await this.#crawlJsonFromUrl(currentUrl.toString(), "props.pageProps", { retryNotFound: true, headers: headers });
-                    if (pageProps instanceof CrawlerNotFoundFailure) {
+                while (seenUuids.size < maxLenses) {
+                    const pageCursor = currentUrl.searchParams.get('cursor_id');
+
+                    const pageProps = await this.#crawlJsonFromUrl(currentUrl.toString(), "props.pageProps", { retryNotFound: true, headers: headers, signal });
+                    if (pageProps instanceof CrawlerAbortedFailure) {
+                        yield pageProps;
+                        return;
+                    } else if (pageProps instanceof CrawlerNotFoundFailure) {
                         currentUrl.searchParams.delete('cursor_id');
                         break;
                     } else if (!pageProps?.topLenses || !Array.isArray(pageProps.topLenses) || !pageProps.topLenses.length) {
                         break;
                     }
 
-                    let newLenses = pageProps.topLenses;
-                    if ((lenses.size + newLenses.length) > maxLenses) {
-                        const remaining = maxLenses - lenses.size;
-                        newLenses = newLenses.slice(0, Math.max(0, remaining));
-                    }
+                    this.#validateSchema('topLenses', pageProps.topLenses, currentUrl.toString());
+
+                    const lenses = [];
+                    for (const newLens of pageProps.topLenses) {
+                        if (seenUuids.size >= maxLenses) {
+                            break;
+                        }
 
-                    newLenses.forEach(newLens => {
                         const lens = SnapLensWebCrawler.formatLensItem(newLens, lensDefaults);
-                        if (!lenses.has(lens.uuid)) {
-                            lenses.set(lens.uuid, lens);
+                        if (!seenUuids.has(lens.uuid)) {
+                            seenUuids.add(lens.uuid);
+                            lenses.push(lens);
                         }
-                    });
+                    }
 
-                    if (!pageProps.hasMore || !pageProps.nextCursorId || cursors.size >= cursorLimit) {
+                    const hasMore = !!(pageProps.hasMore && pageProps.nextCursorId);
+                    yield { lenses, locale, cursor: pageCursor, nextCursor: hasMore ? pageProps.nextCursorId : null, hasMore };
+
+                    if (!hasMore || cursors.size >= cursorLimit) {
                         currentUrl.searchParams.delete('cursor_id');
                         break;
                     }
 
                     if (cursors.has(pageProps.nextCursorId)) {
-                        this.#jsonCache.delete(currentUrl.toString());
+                        await this.#deleteJsonCache(currentUrl.toString());
 
                         currentUrl.searchParams.set('locale', locale);
                         currentUrl.searchParams.set('sender_web_id', randomUUID());
@@ -507,18 +1071,98 @@ class SnapLensWebCrawler {
                     cursors.add(pageProps.nextCursorId);
                 }
 
-                if (lenses.size >= maxLenses || lenses.size === 0) {
+                if (seenUuids.size >= maxLenses || seenUuids.size === 0) {
                     break;
                 }
             }
         } catch (e) {
             this.#console.error(e);
         }
+    }
 
-        return Array.from(lenses.values());
+    #parseSearchPage(pageProps, url) {
+        // pages without __NEXT_DATA__ only contain lenses of the fallback extractors
+        const lenses = this.#handleSearchResults(pageProps, {}, url)
+            .concat((pageProps.extractedLenses || []).map(lens => SnapLensWebCrawler.formatLensItem(lens)));
+
+        const page = { lenses, creators: [], searchTerms: [], nextCursor: null };
+
+        let searchResult = null;
+        try {
+            if (typeof pageProps.encodedSearchResponse === "string") {
+                searchResult = JSON.parse(pageProps.encodedSearchResponse);
+            }
+        } catch (e) {
+            // already reported by #handleSearchResults()
+        }
+
+        for (const section of searchResult?.sections || []) {
+            for (const entry of section?.results || []) {
+                const result = entry?.result || {};
+                const creator = result.user || result.creator || result.publicProfile;
+                const searchTerm = result.searchTerm ?? result.hashtag ?? result.topic ?? result.query;
+
+                if (creator && typeof creator === 'object') {
+                    const formatted = SnapLensWebCrawler.#formatSearchCreator(creator);
+                    if (formatted.user_name) {
+                        page.creators.push(formatted);
+                    }
+                } else if (searchTerm) {
+                    page.searchTerms.push(searchTerm);
+                }
+            }
+        }
+
+        page.searchTerms = page.searchTerms
+            .concat(searchResult?.relatedSearchTerms || [])
+            .map(searchTerm => (typeof searchTerm === 'object') ? (searchTerm?.term || searchTerm?.query || searchTerm?.text || searchTerm?.name || searchTerm?.title) : searchTerm)
+            .filter(searchTerm => typeof searchTerm === 'string' && searchTerm.trim())
+            .map(searchTerm => searchTerm.trim());
+
+        // encoded search responses carry no page token, explore pages are only followed
+        // when they are paginated like the top lens pages
+        if (pageProps.hasMore && pageProps.nextCursorId) {
+            page.nextCursor = pageProps.nextCursorId;
+        }
+
+        return page;
     }
 
-    #handleSearchResults(pageProps, lensDefaults = {}) {
+    static #formatSearchCreator(creator) {
+        const userName = creator.username || creator.userName || creator.lensCreatorUsername || "";
+
+        return {
+            user_name: userName,
+            user_display_name: (creator.displayName || creator.title || creator.name || "").trim(),
+            user_profile_url: creator.profileUrl || creator.userProfileUrl || SnapLensWebCrawler.profileUrl(userName) || "",
+            snapcode_url: creator.snapcodeImageUrl || creator.snapcodeUrl || "",
+        };
+    }
+
+    #matchesSearchFilters(lens, { creator = null, hasBolt = null, category = null } = {}) {
+        if (creator) {
+            const name = `${creator}`.toLowerCase();
+            if (![lens.user_name, lens.user_display_name, lens.obfuscated_user_slug].some(value => `${value || ''}`.toLowerCase() === name)) {
+                return false;
+            }
+        }
+
+        if (typeof hasBolt === 'boolean' && !!lens.lens_url !== hasBolt) {
+            return false;
+        }
+
+        if (category) {
+            // search results carry no category, the creator search tags are the closest match
+            const tag = `${category}`.toLowerCase().replace(/^#/, '');
+            if (!(lens.lens_creator_search_tags || []).some(value => `${value}`.toLowerCase().replace(/^#/, '') === tag)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    #handleSearchResults(pageProps, lensDefaults = {}, url = null) {
         if (!pageProps) {
             return [];
         }
@@ -533,6 +1177,7 @@ class SnapLensWebCrawler {
             if (typeof pageProps.encodedSearchResponse === "string") {
                 // new data structure introduced in summer 2024
                 const searchResult = JSON.parse(pageProps.encodedSearchResponse);
+                this.#validateSchema('encodedSearchResponse', searchResult, url);
                 const lensSection = searchResult.sections.find(section => (section.title === "Lenses" || section.sectionType === 6));
 
                 return (lensSection?.results || [])
@@ -542,97 +1187,170 @@ class SnapLensWebCrawler {
             }
         } catch (e) {
             this.#console.error(e);
+            this.#emit('parseError', { message: e.message, propertyPath: 'props.pageProps.encodedSearchResponse' });
         }
 
         return [];
     }
 
-    async #queryArchivedSnapshot(url) {
-        const apiUrl = `https://archive.org/wayback/available?timestamp=${this.#SNAPSHOT_TIMESTAMP}&url=${encodeURIComponent(url)}`;
+    #createArchiveContext({ signal = null, discovery = null } = {}) {
+        // providers use the crawler for requests, so rate limits, retries and caching apply
+        return {
+            window: { ...this.#snapshotWindow },
+            discovery,
+            signal,
+            getJson: (url) => this.#getJsonFromUrl(url, null, { signal }),
+            getText: (url) => this.#loadUrl(url, { signal }),
+            getNextData: (url) => this.#crawlJsonFromUrl(url, null, { signal }),
+            parseNextData: (html, url) => this.#parseNextData(html, url),
+        };
+    }
+
+    async #crawlJsonFromUrl(url, jsonPropertyPath = null, options = {}) {
+        if (options.signal?.aborted) {
+            return this.#abortedFailure(url);
+        }
+
+        const jsonObj = await this.#getJsonCache(url);
+        if (typeof jsonObj !== 'undefined') {
+            this.#emit('cacheHit', { url });
+            return (jsonPropertyPath) ? this.#getProperty(jsonObj, jsonPropertyPath, url) : jsonObj;
+        }
 
         try {
-            const result = await this.#getJsonFromUrl(apiUrl, "archived_snapshots");
-            if (result instanceof CrawlerFailure) {
-                return result;
+            const body = await this.#loadUrl(url, options);
+            if (body instanceof CrawlerFailure) {
+                return body;
             }
 
-            if (!result.closest?.url || !result.closest?.timestamp) {
-                return new CrawlerFailure(`Snapshot does not exist`, apiUrl);
+            const parsedJson = this.#parseNextData(body, url);
+            if (parsedJson instanceof CrawlerFailure) {
+                return parsedJson;
             }
 
-            const snapshotTime = parseInt(result.closest.timestamp) || 0;
-            if (snapshotTime < this.#SNAPSHOT_THRESHOLD_MIN || snapshotTime > this.#SNAPSHOT_THRESHOLD_MAX) {
-                return new CrawlerFailure(`Snapshot exists but does not match criteria`, apiUrl);
+            if (parsedJson) {
+                await this.#setJsonCache(url, parsedJson);
             }
 
-            try {
-                const snapshotUrl = new URL(result.closest.url);
-                return new ArchivedSnapshot(snapshotUrl.toString(), this.#archiveTimestampToDateString(snapshotTime));
-            } catch (e) {
-                this.#console.error(`[Error] ${url} - Invalid snapshot URL: ${result.closest.url}`);
-                return new CrawlerFailure(e.message, apiUrl);
-            }
+            return (jsonPropertyPath) ? this.#getProperty(parsedJson, jsonPropertyPath, url) : parsedJson;
         } catch (e) {
             this.#console.error(e);
-            return new CrawlerFailure(e.message, apiUrl);
+            return new CrawlerFailure(e.message, url);
         }
     }
 
-    async #crawlJsonFromUrl(url, jsonPropertyPath = null, options = {}) {
-        const jsonObj = this.#getJsonCache(url);
-        if (typeof jsonObj !== 'undefined') {
-            return (jsonPropertyPath) ? this.#getProperty(jsonObj, jsonPropertyPath, url) : jsonObj;
+    #parseNextData(html, url) {
+        if (typeof html !== 'string' || html.trim().length === 0) {
+            this.#console.error(`[Crawl Error] ${url} - Empty HTML body received`);
+            this.#emit('parseError', { url, message: 'Empty HTML body received' });
+            return new CrawlerFailure(`Empty HTML body received`, url);
         }
 
-        try {
-            let body = await this.#loadUrl(url, options);
-            if (body instanceof CrawlerFailure) {
-                return body;
-            }
+        let $ = cheerio.load(html);
+        let jsonString = $(this.#SCRIPT_SELECTOR).text();
 
-            if (typeof body === 'string' && body.trim().length === 0) {
-                this.#console.error(`[Crawl Error] ${url} - Empty HTML body received`);
-                return new CrawlerFailure(`Empty HTML body received`, url);
+        if (typeof jsonString !== 'string' || !jsonString) {
+            // degraded data from other sources is better than none
+            const fallbackData = this.#extractFallbackData($, url);
+            $ = null;
+
+            if (fallbackData) {
+                return fallbackData;
             }
 
-            let $ = cheerio.load(body);
-            body = null;
+            this.#console.error(`[Crawl Error] ${url} - Unable to read script tag: ${this.#SCRIPT_SELECTOR}`);
+            this.#emit('parseError', { url, message: `Unable to read script tag: ${this.#SCRIPT_SELECTOR}` });
+            return new CrawlerFailure(`Unable to read script tag: ${this.#SCRIPT_SELECTOR}`, url);
+        }
+
+        try {
+            // __NEXT_DATA__ is authoritative, other sources are only read when it is missing or broken
+            const nextData = JSON.parse(jsonString);
+            $ = null;
 
-            let jsonString = $(this.#SCRIPT_SELECTOR).text();
+            return nextData;
+        } catch (e) {
+            const fallbackData = (e.name === 'SyntaxError') ? this.#extractFallbackData($, url) : null;
             $ = null;
 
-            if (typeof jsonString !== 'string' || !jsonString) {
-                this.#console.error(`[Crawl Error] ${url} - Unable to read script tag: ${this.#SCRIPT_SELECTOR}`);
-                return new CrawlerFailure(`Unable to read script tag: ${this.#SCRIPT_SELECTOR}`, url);
+            if (fallbackData) {
+                return fallbackData;
             }
 
-            try {
-                const parsedJson = JSON.parse(jsonString);
-                jsonString = null;
+            this.#emit('parseError', { url, message: e.message });
+            if (e.name === 'SyntaxError') {
+                this.#console.error(`[JSON Error] ${url} - ${e.message}`);
+                return new CrawlerJsonParseFailure(e.message, jsonString, url);
+            } else {
+                this.#console.error(`[Error] ${url}`, e);
+                return new CrawlerJsonFailure(e.message, jsonString, url);
+            }
+        }
+    }
 
-                if (parsedJson) {
-                    this.#setJsonCache(url, parsedJson);
-                }
+    #runExtractors($, url, nextData = null) {
+        const pageUuid = `${url || ''}`.match(/(?:lens\.snapchat\.com|snapchat\.com\/lens)\/([^/?#]+)/)?.[1] || '';
+        const context = { url, pageUuid, nextData };
 
-                return (jsonPropertyPath) ? this.#getProperty(parsedJson, jsonPropertyPath, url) : parsedJson;
+        const items = new Map();
+        const sources = [];
+
+        for (const extractor of this.#extractors) {
+            let extracted;
+            try {
+                extracted = extractor.extract($, context) || [];
             } catch (e) {
-                if (e.name === 'SyntaxError') {
-                    this.#console.error(`[JSON Error] ${url} - ${e.message}`);
-                    return new CrawlerJsonParseFailure(e.message, jsonString, url);
-                } else {
-                    this.#console.error(`[Error] ${url}`, e);
-                    return new CrawlerJsonFailure(e.message, jsonString, url);
+                this.#emit('parseError', { url, message: e.message, extractor: extractor.getName() });
+                continue;
+            }
+
+            let count = 0;
+            for (const item of extracted) {
+                const uuid = item?.scannableUuid || SnapLensWebCrawler.extractUuidFromDeeplink(item?.deeplinkUrl || item?.unlockUrl || '');
+                if (!uuid) {
+                    continue;
                 }
+
+                const lens = { ...item, scannableUuid: uuid };
+                items.set(uuid, items.has(uuid) ? SnapLensWebCrawler.mergeLensItems(items.get(uuid), lens) : lens);
+                count++;
             }
-        } catch (e) {
-            this.#console.error(e);
-            return new CrawlerFailure(e.message, url);
+
+            if (count) {
+                sources.push(extractor.getName());
+            }
+        }
+
+        return { items, sources, pageUuid };
+    }
+
+    #extractFallbackData($, url) {
+        const { items, sources, pageUuid } = this.#runExtractors($, url);
+        if (!items.size) {
+            return null;
         }
+
+        const lensDisplayInfo = items.get(pageUuid);
+        items.delete(pageUuid);
+
+        this.#console.warn(`[Fallback] ${url} - ${this.#SCRIPT_SELECTOR} missing or invalid, extracted ${items.size + (lensDisplayInfo ? 1 : 0)} lenses with: ${sources.join(', ')}`);
+        this.#emit('fallbackExtraction', { url, extractors: sources, lenses: items.size + (lensDisplayInfo ? 1 : 0) });
+
+        // same structure as __NEXT_DATA__, so property paths keep working for lens pages
+        return {
+            props: { pageProps: { ...(lensDisplayInfo && { lensDisplayInfo }), extractedLenses: Array.from(items.values()) } },
+            extractedBy: sources,
+        };
     }
 
     async #getJsonFromUrl(url, jsonPropertyPath = null, options = {}) {
-        const jsonObj = this.#getJsonCache(url);
+        if (options.signal?.aborted) {
+            return this.#abortedFailure(url);
+        }
+
+        const jsonObj = await this.#getJsonCache(url);
         if (typeof jsonObj !== 'undefined') {
+            this.#emit('cacheHit', { url });
             return (jsonPropertyPath) ? this.#getProperty(jsonObj, jsonPropertyPath, url) : jsonObj;
         }
 
@@ -647,11 +1365,12 @@ class SnapLensWebCrawler {
                 jsonString = null;
 
                 if (parsedJson) {
-                    this.#setJsonCache(url, parsedJson);
+                    await this.#setJsonCache(url, parsedJson);
                 }
 
                 return (jsonPropertyPath) ? this.#getProperty(parsedJson, jsonPropertyPath, url) : parsedJson;
             } catch (e) {
+                this.#emit('parseError', { url, message: e.message });
                 if (e.name === 'SyntaxError') {
                     this.#console.error(`[JSON Error] ${url} - ${e.message}`);
                     return new CrawlerJsonParseFailure(e.message, jsonString, url);
@@ -675,32 +1394,21 @@ class SnapLensWebCrawler {
 
             return response;
         } catch (e) {
+            if (options.signal?.aborted) {
+                return this.#abortedFailure(url);
+            }
+
             this.#console.error(e);
             return new CrawlerFailure(e.message, url);
         }
     }
 
     async #requestGently(url, method = 'GET', options = {}) {
-        let hostname = null;
-
-        try {
-            hostname = (new URL(url)).hostname;
-        } catch (e) {
-            this.#console.error(`[Error] Invalid URL: ${url} - ${e.message}`);
-            return new CrawlerInvalidUrlFailure(e.message, url);
+        if (options.signal?.aborted) {
+            return this.#abortedFailure(url);
         }
 
         try {
-            const now = Date.now();
-
-            if (this.#minRequestDelayMs && this.#lastRequestTimestamps.has(hostname)) {
-                const lastRequestTime = this.#lastRequestTimestamps.get(hostname);
-                const elapsed = now - lastRequestTime;
-                if (elapsed < this.#minRequestDelayMs) {
-                    await this.#sleep(this.#minRequestDelayMs - elapsed);
-                }
-            }
-
             return await this.#request(url, method, options);
         } catch (e) {
             this.#console.error(e);
@@ -708,7 +1416,7 @@ class SnapLensWebCrawler {
         }
     }
 
-    async #request(url, method = 'GET', { retryNotFound = false, retryFailed = true, retryTimeout = true, retryError = true, headers = null } = {}) {
+    async #request(url, method = 'GET', { retryNotFound = false, retryFailed = true, retryTimeout = true, retryError = true, headers = null, signal = null } = {}) {
         const maxAttempts = this.#maxRequestRetries + 1;
         let attempt = 1;
         let hostname = null;
@@ -724,29 +1432,53 @@ class SnapLensWebCrawler {
 
         let crawlerFailure = undefined;
         while (attempt <= maxAttempts) {
+            let retryAfterMs = null;
+
+            // every attempt reserves the next free slot so retries and concurrent requests stay within the host budget
+            const waitMs = this.#rateLimiter.reserve(hostname);
+            if (waitMs > 0) {
+                this.#emit('throttle', { url, method, hostname, delayMs: waitMs });
+                await this.#sleep(waitMs, signal);
+
+                if (signal?.aborted) {
+                    return this.#abortedFailure(url, crawlerFailure);
+                }
+            }
+
+            const requestEvent = { url, method, attempt, maxAttempts };
+            const startTime = Date.now();
+            this.#emit('request', requestEvent);
+
             const controller = new AbortController();
             const timeout = setTimeout(() => {
                 controller.abort();
             }, this.#connectionTimeoutMs);
 
-            try {
-                if (this.#minRequestDelayMs) {
-                    this.#lastRequestTimestamps.set(hostname, Date.now());
-                }
+            const { signal: requestSignal, unlink } = this.#linkSignal(controller, signal);
 
-                const response = await fetch(url, { method: method, signal: controller.signal, headers: requestHeaders });
+            try {
+                const response = await fetch(url, { method: method, signal: requestSignal, headers: requestHeaders });
                 clearTimeout(timeout);
 
                 if (response?.ok) {
+                    this.#emit('response', { ...requestEvent, status: response.status, durationMs: Date.now() - startTime });
                     return response;
                 }
 
-                throw new HTTPStatusError(response?.status);
+                throw new HTTPStatusError(response?.status, response?.headers?.get('retry-after'));
             } catch (e) {
                 clearTimeout(timeout);
                 const retryStatus = `(${attempt}/${maxAttempts})`;
-                if (e instanceof HTTPStatusError) {
+                const durationMs = Date.now() - startTime;
+                if (signal?.aborted) {
+                    return this.#abortedFailure(url, crawlerFailure);
+                } else if (e instanceof HTTPStatusError) {
+                    if (e.code == 429 || e.code == 503) {
+                        retryAfterMs = this.#parseRetryAfter(e.retryAfter);
+                    }
+
                     if (e.code == 404) {
+                        this.#emit('notFound', { ...requestEvent, status: e.code, durationMs });
                         crawlerFailure = new CrawlerNotFoundFailure(e.message, e.code, url, crawlerFailure);
                         if (retryNotFound === true) {
                             this.#console.error(`[Not Found] ${retryStatus} ${url} - ${e.message}`);
@@ -755,6 +1487,7 @@ class SnapLensWebCrawler {
                             break;
                         }
                     } else {
+                        this.#emit('httpError', { ...requestEvent, status: e.code, retryAfterMs, durationMs });
                         crawlerFailure = new CrawlerHTTPStatusFailure(e.message, e.code, url, crawlerFailure);
                         if (retryFailed === true) {
                             this.#console.error(`[Failed] ${retryStatus} ${url} - ${e.message}`);
@@ -764,6 +1497,7 @@ class SnapLensWebCrawler {
                         }
                     }
                 } else if (e.name === 'AbortError') {
+                    this.#emit('timeout', { ...requestEvent, timeoutMs: this.#connectionTimeoutMs, durationMs });
                     crawlerFailure = new CrawlerRequestTimeoutFailure(e.message, url, crawlerFailure);
                     if (retryTimeout === true) {
                         this.#console.error(`[Timeout] ${retryStatus} ${url}`);
@@ -772,6 +1506,7 @@ class SnapLensWebCrawler {
                         break;
                     }
                 } else {
+                    this.#emit('requestError', { ...requestEvent, message: e.message, durationMs });
                     crawlerFailure = new CrawlerRequestErrorFailure(e.message, url, crawlerFailure);
                     if (retryError === true) {
                         this.#console.error(`[Error] ${retryStatus} ${url} - ${e.message}`);
@@ -782,75 +1517,133 @@ class SnapLensWebCrawler {
                 }
             } finally {
                 clearTimeout(timeout);
+                unlink();
             }
 
             attempt++;
             if (attempt <= maxAttempts) {
-                await this.#sleep(this.#failedRequestDelayMs);
+                if (retryAfterMs !== null && retryAfterMs > this.#maxRetryDelayMs) {
+                    this.#console.error(`[Retry-After] ${url} - Requested delay of ${retryAfterMs}ms exceeds the maximum retry delay`);
+                    break;
+                }
+
+                const delayMs = (retryAfterMs !== null) ? retryAfterMs : this.#backoffDelay(attempt - 1);
+                if (crawlerFailure?.code == 429 || crawlerFailure?.code == 503) {
+                    // hold back other requests to the same host as well
+                    this.#rateLimiter.pause(hostname, delayMs);
+                }
+
+                this.#emit('retry', { url, method, attempt, maxAttempts, delayMs, reason: crawlerFailure?.message });
+                await this.#sleep(delayMs, signal);
+
+                if (signal?.aborted) {
+                    return this.#abortedFailure(url, crawlerFailure);
+                }
             }
         }
 
         return crawlerFailure || new CrawlerFailure('Unexpected', url);
     }
 
-    #setJsonCache(url, jsonObj) {
-        if (this.#cacheTTL) {
-            this.#jsonCache.set(url, {
-                jsonObj: jsonObj,
-                timestamp: Date.now()
-            });
+    async #setJsonCache(url, jsonObj) {
+        if (this.#jsonCache) {
+            try {
+                await this.#jsonCache.set(url, jsonObj);
+            } catch (e) {
+                this.#console.error(`[Cache Error] ${url} - ${e.message}`);
+            }
         }
     }
 
-    #getJsonCache(url) {
-        if (this.#cacheTTL) {
-            const cacheEntry = this.#jsonCache.get(url);
-            if (cacheEntry) {
-                if ((Date.now() - cacheEntry.timestamp) >= this.#cacheTTL) {
-                    this.#jsonCache.delete(url);
-                } else {
-                    return cacheEntry.jsonObj;
-                }
+    async #getJsonCache(url) {
+        if (this.#jsonCache) {
+            try {
+                return await this.#jsonCache.get(url);
+            } catch (e) {
+                this.#console.error(`[Cache Error] ${url} - ${e.message}`);
             }
         }
 
         return undefined;
     }
 
-    #cleanupCache() {
-        const now = Date.now();
-        try {
-            if (this.#cacheTTL) {
-                for (const [url, cacheEntry] of this.#jsonCache) {
-                    if (now - cacheEntry.timestamp >= this.#cacheTTL) {
-                        this.#jsonCache.delete(url);
-                    }
-                }
+    async #deleteJsonCache(url) {
+        if (this.#jsonCache) {
+            try {
+                await this.#jsonCache.delete(url);
+            } catch (e) {
+                this.#console.error(`[Cache Error] ${url} - ${e.message}`);
             }
+        }
+    }
 
-            if (this.#minRequestDelayMs) {
-                for (const [hostname, timestamp] of this.#lastRequestTimestamps) {
-                    if (now - timestamp >= this.#minRequestDelayMs) {
-                        this.#lastRequestTimestamps.delete(hostname);
-                    }
-                }
+    async #cleanupCache() {
+        try {
+            if (this.#jsonCache) {
+                await this.#jsonCache.cleanup();
             }
+
+            this.#rateLimiter.cleanup();
         } catch (e) {
             this.#console.error(e);
         }
     }
 
-    #archiveTimestampToDateString(YYYYMMDDhhmmss) {
+    #validateSchema(pageType, value, url = null) {
+        if (!this.#schemaValidator) {
+            return;
+        }
+
         try {
-            if (YYYYMMDDhhmmss) {
-                return new Date(`${YYYYMMDDhhmmss}`.replace(
-                    /^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)$/,
-                    '$4:$5:$6 $2/$3/$1'
-                )).toDateString();
+            const drift = this.#schemaValidator.validate(pageType, value);
+            if (!drift.hasDrift) {
+                return;
             }
-        } catch (e) { }
 
-        return 'Invalid Date';
+            // new fields are expected from time to time, missing or changed fields break parsing
+            if (drift.missing.length || drift.mismatched.length) {
+                const changes = [...drift.missing.map((path) => `missing ${path}`), ...drift.mismatched.map(({ path, expected, actual }) => `${path} is ${actual} instead of ${expected}`)];
+                this.#console.warn(`[Schema Drift] ${url} - ${changes.join(', ')}`);
+            }
+
+            this.#emit('schemaDrift', { url, pageType, missing: drift.missing, unknown: drift.unknown, mismatched: drift.mismatched });
+        } catch (e) {
+            this.#console.error(e);
+        }
+    }
+
+    #emit(eventName, payload) {
+        try {
+            // listener errors must not break a running crawl
+            this.emit(eventName, { ...payload, timestamp: Date.now() });
+        } catch (e) {
+            this.#console.error(`[Event Error] ${eventName} - ${e.message}`);
+        }
+    }
+
+    #backoffDelay(retry) {
+        // exponential backoff with jitter, never below half of the computed delay
+        const delayMs = Math.min(this.#failedRequestDelayMs * (2 ** (retry - 1)), this.#maxRetryDelayMs);
+        return Math.round((delayMs / 2) + (Math.random() * delayMs / 2));
+    }
+
+    #parseRetryAfter(retryAfter) {
+        if (!retryAfter) {
+            return null;
+        }
+
+        // either delay in seconds or a HTTP date
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) {
+            return Math.max(seconds * 1000, 0);
+        }
+
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) {
+            return Math.max(date - Date.now(), 0);
+        }
+
+        return null;
     }
 
     #fixArchiveUrlPrefixes(obj) {
@@ -865,6 +1658,7 @@ class SnapLensWebCrawler {
             object = null;
 
             this.#console.error(`[Parse Error] Invalid object given:`, json);
+            this.#emit('parseError', { url: urlRef, message: 'Invalid object given', propertyPath });
             return new CrawlerJsonStructureFailure('Invalid object given', json, urlRef);
         }
 
@@ -879,19 +1673,58 @@ class SnapLensWebCrawler {
             return value;
         }
 
+        // the complete object is kept in the failure, the schema report shows what changed
+        const keys = Object.keys(object);
         const json = JSON.stringify(object, null, 4);
         object = null;
 
-        this.#console.error(`[Parse Error] Property path not found: '${propertyPath}'`, json);
+        this.#console.error(`[Parse Error] Property path not found: '${propertyPath}' - available keys: ${keys.join(', ')}`);
+        this.#emit('parseError', { url: urlRef, message: `Property path not found: '${propertyPath}'`, propertyPath });
         return new CrawlerJsonStructureFailure(`Property path not found: '${propertyPath}'`, json, urlRef);
     }
 
-    #sleep(ms) {
+    #sleep(ms, signal = null) {
+        // resolves early when aborted, callers check the signal afterwards
         return new Promise((resolve) => {
-            setTimeout(resolve, ms);
+            if (signal?.aborted) {
+                return resolve();
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+
+            const timeout = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
         });
     }
 
+    #linkSignal(controller, signal) {
+        // abort the request on timeout or when the caller cancels
+        // unlink() removes the listener of the fallback, long lived caller signals would collect one per request
+        if (!signal) {
+            return { signal: controller.signal, unlink: () => { } };
+        }
+
+        if (typeof AbortSignal.any === 'function') {
+            return { signal: AbortSignal.any([controller.signal, signal]), unlink: () => { } };
+        }
+
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return { signal: controller.signal, unlink: () => signal.removeEventListener('abort', onAbort) };
+    }
+
+    #abortedFailure(url, previous = undefined) {
+        this.#console.error(`[Aborted] ${url}`);
+        return new CrawlerAbortedFailure('Operation was aborted', url, previous);
+    }
+
     #shuffle(arr) {
         const a = [...arr];
         for (let i = a.length - 1; i > 0; i--) {
@@ -902,12 +1735,5 @@ class SnapLensWebCrawler {
     }
 }
 
-class ArchivedSnapshot {
-    constructor(url, date) {
-        this.url = url;
-        this.date = date;
-    }
-}
-
 export default SnapLensWebCrawler;
 export { SnapLensWebCrawler };
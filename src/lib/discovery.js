@@ -0,0 +1,165 @@
+import { CrawlerFailure, CrawlerAbortedFailure } from './failure.js';
+
+class DiscoveryNode {
+    constructor(type, value, depth = 0) {
+        this.type = type;
+        this.value = value;
+        this.depth = depth;
+    }
+
+    get key() { return `${this.type}:${this.value}`; }
+}
+
+class LensDiscovery {
+    // lenses form a graph: related lenses, lenses of the same creator and of the same user profile
+
+    static NODE_TYPES = ['lens', 'creator', 'user'];
+
+    #crawler;
+    #maxDepth;
+    #maxLenses;
+    #maxQueueSize;
+    #maxCreatorLenses;
+    #follow;
+    #seen;
+    #visited;
+    #queue = [];
+    #queued = new Set();
+
+    constructor({
+        crawler,
+        maxDepth = 2,
+        maxLenses = 1000,
+        maxQueueSize = 10000,
+        maxCreatorLenses = 1000,
+        follow = LensDiscovery.NODE_TYPES,
+        // pass restored sets to continue an earlier discovery
+        seen = new Set(),
+        visited = new Set(),
+    } = {}) {
+        if (!crawler) {
+            throw new TypeError(`LensDiscovery requires a crawler`);
+        }
+
+        this.#crawler = crawler;
+        this.#maxDepth = Math.max(parseInt(maxDepth) || 0, 0);
+        this.#maxLenses = Math.max(parseInt(maxLenses) || 1, 1);
+        this.#maxQueueSize = Math.max(parseInt(maxQueueSize) || 1, 1);
+        this.#maxCreatorLenses = Math.max(parseInt(maxCreatorLenses) || 1, 1);
+        this.#follow = follow.filter((type) => LensDiscovery.NODE_TYPES.includes(type));
+        this.#seen = seen;
+        this.#visited = visited;
+    }
+
+    getMaxDepth() { return this.#maxDepth; }
+    getMaxLenses() { return this.#maxLenses; }
+    getMaxQueueSize() { return this.#maxQueueSize; }
+    getQueueSize() { return this.#queue.length; }
+    getSeen() { return this.#seen; }
+    getVisited() { return this.#visited; }
+
+    // seeds are lens items, UUIDs or { type, value, depth } nodes, returns the enqueued nodes
+    seed(seeds) {
+        return [seeds].flat().flatMap((seed) => this.#seed(seed));
+    }
+
+    // yields { node, lenses, enqueued, queueSize } per visited node or { node, failure } when a node failed
+    // iteration ends after maxLenses new lenses or a CrawlerAbortedFailure
+    async *discover(seeds = [], { signal = null } = {}) {
+        this.seed(seeds);
+
+        let discovered = 0;
+
+        while (this.#queue.length && discovered < this.#maxLenses) {
+            const node = this.#queue.shift();
+            this.#queued.delete(node.key);
+
+            if (this.#visited.has(node.key)) {
+                continue;
+            }
+            this.#visited.add(node.key);
+
+            const result = await this.#expand(node, signal);
+            if (result instanceof CrawlerAbortedFailure) {
+                yield result;
+                return;
+            } else if (result instanceof CrawlerFailure) {
+                yield { node, failure: result };
+                continue;
+            }
+
+            const lenses = [];
+            const enqueued = [];
+
+            for (const lens of result) {
+                if (!lens?.uuid || this.#seen.has(lens.uuid)) {
+                    continue;
+                }
+
+                if (discovered >= this.#maxLenses) {
+                    break;
+                }
+
+                this.#seen.add(lens.uuid);
+                lenses.push(lens);
+                discovered++;
+
+                if (node.depth < this.#maxDepth) {
+                    enqueued.push(...this.#enqueueLens(lens, node.depth + 1));
+                }
+            }
+
+            yield { node, lenses, enqueued, queueSize: this.#queue.length };
+        }
+    }
+
+    #seed(seed) {
+        if (typeof seed === 'string') {
+            return [new DiscoveryNode('lens', seed, 0)].filter((node) => this.#enqueue(node));
+        } else if (seed?.type && seed?.value) {
+            return [new DiscoveryNode(seed.type, seed.value, parseInt(seed.depth) || 0)].filter((node) => this.#enqueue(node));
+        } else if (seed?.uuid) {
+            this.#seen.add(seed.uuid);
+            return this.#enqueueLens(seed, 0);
+        }
+        return [];
+    }
+
+    #enqueueLens(lens, depth) {
+        return [
+            new DiscoveryNode('lens', lens.uuid, depth),
+            new DiscoveryNode('creator', lens.obfuscated_user_slug, depth),
+            new DiscoveryNode('user', lens.user_name, depth),
+        ].filter((node) => this.#enqueue(node));
+    }
+
+    #enqueue(node) {
+        if (!node.value || !this.#follow.includes(node.type) || !LensDiscovery.NODE_TYPES.includes(node.type)) {
+            return false;
+        }
+
+        // the frontier is bounded, nodes beyond the limit are dropped
+        if (this.#visited.has(node.key) || this.#queued.has(node.key) || this.#queue.length >= this.#maxQueueSize) {
+            return false;
+        }
+
+        this.#queue.push(node);
+        this.#queued.add(node.key);
+        return true;
+    }
+
+    async #expand(node, signal) {
+        switch (node.type) {
+            case 'lens':
+                return await this.#crawler.getMoreLensesByHash(node.value, { signal });
+            case 'creator':
+                return await this.#crawler.getLensesByCreator(node.value, this.#maxCreatorLenses, { signal });
+            case 'user':
+                return await this.#crawler.getLensesByUsername(node.value, { signal });
+        }
+        return [];
+    }
+}
+
+export default LensDiscovery;
+export { LensDiscovery, DiscoveryNode };
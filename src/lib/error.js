@@ -1,9 +1,10 @@
 class HTTPStatusError extends Error {
-    constructor(code) {
+    constructor(code, retryAfter = null) {
         code = parseInt(code || 0);
         super(`HTTP Status ${code}`);
         this.name = 'HTTPStatusError';
         this.code = code;
+        this.retryAfter = retryAfter;
     }
 }
 
@@ -0,0 +1,186 @@
+// extractors read partial lens items from a page in the format of Snapchat's own lens objects
+// the crawler merges them in chain order, so earlier extractors take precedence
+
+const LENS_URL_REGEX = /(?:lens\.snapchat\.com|snapchat\.com\/lens)\/([0-9a-f]{32})/i;
+
+function uuidFromUrl(url) {
+    const match = `${url || ''}`.match(LENS_URL_REGEX);
+    return match ? match[1] : '';
+}
+
+function isLensItem(obj) {
+    return !!((obj.scannableUuid || obj.lensId) && (obj.lensName || obj.name) && (obj.scannableUuid || obj.deeplinkUrl || obj.unlockUrl));
+}
+
+function findLensItems(value, items, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 50) {
+        return items;
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach((entry) => findLensItems(entry, items, depth + 1));
+    } else if (isLensItem(value)) {
+        items.push(value);
+    } else {
+        for (const [key, entry] of Object.entries(value)) {
+            if (key === 'encodedSearchResponse' && typeof entry === 'string') {
+                try {
+                    findLensItems(JSON.parse(entry), items, depth + 1);
+                } catch (e) { }
+            } else {
+                findLensItems(entry, items, depth + 1);
+            }
+        }
+    }
+
+    return items;
+}
+
+class LensExtractor {
+    #name;
+
+    constructor({ name = 'extractor' } = {}) {
+        this.#name = name;
+    }
+
+    getName() { return this.#name; }
+
+    // $ is a loaded cheerio document, context: { url, pageUuid, nextData }
+    // returns a list of (partial) lens items
+    extract($, context) {
+        return [];
+    }
+}
+
+class NextDataExtractor extends LensExtractor {
+    constructor() {
+        super({ name: 'nextData' });
+    }
+
+    extract($, context) {
+        // the crawler passes __NEXT_DATA__ in when it was already parsed
+        const nextData = context.nextData ?? JSON.parse($('#__NEXT_DATA__').text() || 'null');
+        const pageProps = nextData?.props?.pageProps;
+        if (!pageProps || typeof pageProps !== 'object') {
+            return [];
+        }
+
+        return [pageProps.lensDisplayInfo, pageProps.moreLenses, pageProps.lenses, pageProps.topLenses]
+            .flatMap((source) => Array.isArray(source) ? source : [source])
+            .filter((item) => item && typeof item === 'object');
+    }
+}
+
+class FlightDataExtractor extends LensExtractor {
+    // App Router pages stream their data as self.__next_f.push([1, "..."]) chunks
+
+    static CHUNK_REGEX = /self\.__next_f\.push\(\[\s*1\s*,\s*("(?:[^"\\]|\\.)*")\s*\]\)/g;
+
+    constructor() {
+        super({ name: 'flight' });
+    }
+
+    extract($, context) {
+        const chunks = [];
+        $('script:not([src])').each((i, element) => {
+            const text = $(element).text();
+            if (text.includes('self.__next_f')) {
+                for (const match of text.matchAll(FlightDataExtractor.CHUNK_REGEX)) {
+                    chunks.push(JSON.parse(match[1]));
+                }
+            }
+        });
+
+        const items = [];
+        for (const row of chunks.join('').split('\n')) {
+            // rows look like <id>:<json>, text and module rows are skipped
+            const payload = row.replace(/^[0-9a-z]+:/i, '');
+            if (/^[\[{]/.test(payload)) {
+                try {
+                    findLensItems(JSON.parse(payload), items);
+                } catch (e) { }
+            }
+        }
+
+        return items;
+    }
+}
+
+class JsonLdExtractor extends LensExtractor {
+    static IGNORED_TYPES = ['Organization', 'WebSite', 'WebPage', 'BreadcrumbList', 'Person', 'ImageObject', 'VideoObject'];
+
+    constructor() {
+        super({ name: 'jsonLd' });
+    }
+
+    extract($, context) {
+        const nodes = [];
+        $('script[type="application/ld+json"]').each((i, element) => {
+            try {
+                this.#collectNodes(JSON.parse($(element).text()), nodes);
+            } catch (e) { }
+        });
+
+        return nodes
+            .map((node) => ({
+                // a single node without lens URL describes the page itself
+                scannableUuid: uuidFromUrl(node.url || node['@id']) || ((nodes.length === 1) ? context.pageUuid : ''),
+                lensName: `${node.name || ''}`.trim(),
+                thumbnailUrl: JsonLdExtractor.#getUrl(node.thumbnailUrl || node.image),
+                previewVideoUrl: JsonLdExtractor.#getUrl(node.video?.contentUrl || node.video),
+                lensCreatorDisplayName: `${node.author?.name || node.creator?.name || ''}`.trim(),
+            }))
+            .filter((item) => item.scannableUuid && item.lensName);
+    }
+
+    #collectNodes(value, nodes) {
+        if (Array.isArray(value)) {
+            value.forEach((entry) => this.#collectNodes(entry, nodes));
+        } else if (value && typeof value === 'object') {
+            if (value['@graph']) {
+                this.#collectNodes(value['@graph'], nodes);
+            } else if (value.itemListElement) {
+                this.#collectNodes([value.itemListElement].flat().map((element) => element?.item || element), nodes);
+            } else if (value.name && ![value['@type']].flat().some((type) => JsonLdExtractor.IGNORED_TYPES.includes(type))) {
+                nodes.push(value);
+            }
+        }
+    }
+
+    static #getUrl(value) {
+        const first = Array.isArray(value) ? value[0] : value;
+        return (typeof first === 'string') ? first : (first?.url || first?.contentUrl || '');
+    }
+}
+
+class OpenGraphExtractor extends LensExtractor {
+    // last resort, only name and preview of the lens on the page itself
+
+    constructor() {
+        super({ name: 'openGraph' });
+    }
+
+    extract($, context) {
+        const meta = (property) => ($(`meta[property="${property}"]`).attr('content') || $(`meta[name="${property}"]`).attr('content') || '').trim();
+
+        const scannableUuid = uuidFromUrl(meta('og:url')) || context.pageUuid;
+        const lensName = meta('og:title');
+        if (!scannableUuid || !lensName) {
+            return [];
+        }
+
+        return [{
+            scannableUuid,
+            lensName,
+            thumbnailUrl: meta('og:image'),
+            previewVideoUrl: meta('og:video') || meta('og:video:url'),
+        }];
+    }
+}
+
+function createDefaultExtractors() {
+    return [new NextDataExtractor(), new FlightDataExtractor(), new JsonLdExtractor(), new OpenGraphExtractor()];
+}
+
+export default LensExtractor;
+export { LensExtractor, NextDataExtractor, FlightDataExtractor, JsonLdExtractor, OpenGraphExtractor, createDefaultExtractors };
@@ -58,6 +58,48 @@ class CrawlerNotFoundFailure extends CrawlerHTTPStatusFailure {
     // HTTP status 404 received
 }
 
+class CrawlerAbortedFailure extends CrawlerFailure {
+    // Operation was cancelled by an AbortSignal
+}
+
+class CrawlerDownloadFailure extends CrawlerFailure {
+    // Base class for failed file downloads
+}
+
+class CrawlerDownloadTruncatedFailure extends CrawlerDownloadFailure {
+    // Received less (or more) bytes than announced by the server
+    constructor(message, expectedBytes, receivedBytes, url, previous) {
+        super(message, url, previous);
+        this.expectedBytes = expectedBytes;
+        this.receivedBytes = receivedBytes;
+    }
+}
+
+class CrawlerDownloadRejectedFailure extends CrawlerDownloadFailure {
+    // Response was refused because of its size or content type
+    constructor(message, reason, url, previous) {
+        super(message, url, previous);
+        this.reason = reason;
+    }
+}
+
+class CrawlerChecksumFailure extends CrawlerFailure {
+    // SHA-256 checksum of a file does not match the expected value
+    constructor(message, expected, actual, url, previous) {
+        super(message, url, previous);
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+class CrawlerBoltFormatFailure extends CrawlerFailure {
+    // Bolt file is a broken or unsupported archive
+    constructor(message, format, url, previous) {
+        super(message, url, previous);
+        this.format = format;
+    }
+}
+
 export {
     CrawlerFailure,
     CralwerAggregateFailure,
@@ -69,7 +111,13 @@ export {
     CrawlerRequestErrorFailure,
     CrawlerRequestTimeoutFailure,
     CrawlerHTTPStatusFailure,
-    CrawlerNotFoundFailure
+    CrawlerNotFoundFailure,
+    CrawlerAbortedFailure,
+    CrawlerDownloadFailure,
+    CrawlerDownloadTruncatedFailure,
+    CrawlerDownloadRejectedFailure,
+    CrawlerChecksumFailure,
+    CrawlerBoltFormatFailure
 }
 
 export default {
@@ -83,5 +131,11 @@ export default {
     CrawlerRequestErrorFailure,
     CrawlerRequestTimeoutFailure,
     CrawlerHTTPStatusFailure,
-    CrawlerNotFoundFailure
+    CrawlerNotFoundFailure,
+    CrawlerAbortedFailure,
+    CrawlerDownloadFailure,
+    CrawlerDownloadTruncatedFailure,
+    CrawlerDownloadRejectedFailure,
+    CrawlerChecksumFailure,
+    CrawlerBoltFormatFailure
 };
@@ -0,0 +1,306 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { CrawlerFailure, CrawlerBoltFormatFailure } from './failure.js';
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_FILE_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// the end of central directory record is followed by a comment of up to 64 KiB
+const EOCD_SIZE = 22;
+const EOCD_SEARCH_SIZE = EOCD_SIZE + 0xffff;
+
+const ASSET_TYPES = {
+    image: ['png', 'jpg', 'jpeg', 'webp', 'gif', 'ktx', 'astc', 'pvr', 'exr'],
+    video: ['mp4', 'mov', 'webm'],
+    audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac'],
+    mesh: ['mesh', 'obj', 'fbx', 'glb', 'gltf'],
+    script: ['js', 'ts', 'lua'],
+    material: ['mat', 'material', 'shader', 'glsl', 'frag', 'vert', 'ss_graph'],
+    ml_model: ['onnx', 'dnn', 'tflite', 'pb'],
+    font: ['ttf', 'otf'],
+    data: ['json', 'bin', 'scene', 'arscene'],
+};
+
+// features of mobile lenses the desktop Snap Camera never had
+const UNSUPPORTED_FEATURES = [
+    'WorldTracking',
+    'SurfaceTracking',
+    'MarkerTracking',
+    'ImageMarker',
+    'LocationTracking',
+    'Landmarker',
+    'ConnectedLenses',
+    'Multiplayer',
+    'RearCamera',
+];
+
+function normalizeFeature(value) {
+    return `${value}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getAssetType(name) {
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return Object.keys(ASSET_TYPES).find((type) => ASSET_TYPES[type].includes(extension)) || 'other';
+}
+
+class BoltInspector {
+    // bolts (lens.lns) and relay originals (lens.zip) are ZIP archives
+
+    #maxMetadataSize;
+    #maxMetadataFiles;
+    #metadataFileRegex;
+    #unsupportedFeatures;
+
+    constructor({
+        maxMetadataSize = 1024 * 1024,
+        maxMetadataFiles = 20,
+        metadataFileRegex = /(^|\/)(manifest|metadata|lens|project|package|config)\.json$/i,
+        unsupportedFeatures = UNSUPPORTED_FEATURES,
+    } = {}) {
+        if (!(metadataFileRegex instanceof RegExp)) {
+            throw new TypeError(`metadataFileRegex must be a RegExp`);
+        }
+
+        this.#maxMetadataSize = Math.max(parseInt(maxMetadataSize) || 0, 0);
+        this.#maxMetadataFiles = Math.max(parseInt(maxMetadataFiles) || 0, 0);
+        this.#metadataFileRegex = metadataFileRegex;
+        this.#unsupportedFeatures = [...unsupportedFeatures];
+    }
+
+    getUnsupportedFeatures() { return [...this.#unsupportedFeatures]; }
+
+    // source is a file path or a Buffer, returns a summary or a CrawlerFailure
+    // files which are not ZIP archives are summarized with format 'unknown'
+    async inspect(source, { includeEntries = false } = {}) {
+        const label = Buffer.isBuffer(source) ? 'buffer' : source;
+
+        let reader;
+        try {
+            reader = await BoltInspector.#openSource(source);
+        } catch (e) {
+            return new CrawlerFailure(e.message, label);
+        }
+
+        try {
+            const magic = await reader.read(0, 4);
+            const eocd = await this.#findEndOfCentralDirectory(reader);
+
+            if (!eocd) {
+                if (magic.length === 4 && magic.readUInt32LE(0) === LOCAL_FILE_HEADER) {
+                    return new CrawlerBoltFormatFailure(`ZIP archive has no central directory`, 'zip', label);
+                }
+                return this.#createSummary('unknown', reader.size, []);
+            }
+
+            if (eocd.entryCount === 0xffff || eocd.centralDirectoryOffset === 0xffffffff) {
+                return new CrawlerBoltFormatFailure(`ZIP64 archives are not supported`, 'zip64', label);
+            }
+
+            const entries = await this.#readCentralDirectory(reader, eocd, label);
+            if (entries instanceof CrawlerFailure) {
+                return entries;
+            }
+
+            const metadata = await this.#readMetadata(reader, entries);
+            const summary = this.#createSummary('zip', reader.size, entries, metadata);
+            if (includeEntries) {
+                summary.entries = entries.map(({ name, size, compressedSize, method }) => ({ name, size, compressed_size: compressedSize, method }));
+            }
+
+            return summary;
+        } catch (e) {
+            return new CrawlerFailure(e.message, label);
+        } finally {
+            await reader.close();
+        }
+    }
+
+    async #findEndOfCentralDirectory(reader) {
+        if (reader.size < EOCD_SIZE) {
+            return null;
+        }
+
+        const start = Math.max(reader.size - EOCD_SEARCH_SIZE, 0);
+        const tail = await reader.read(start, reader.size - start);
+
+        for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+                return {
+                    entryCount: tail.readUInt16LE(i + 10),
+                    centralDirectorySize: tail.readUInt32LE(i + 12),
+                    centralDirectoryOffset: tail.readUInt32LE(i + 16),
+                };
+            }
+        }
+
+        return null;
+    }
+
+    async #readCentralDirectory(reader, { entryCount, centralDirectorySize, centralDirectoryOffset }, label) {
+        if (centralDirectoryOffset + centralDirectorySize > reader.size) {
+            return new CrawlerBoltFormatFailure(`ZIP central directory exceeds file size`, 'zip', label);
+        }
+
+        const directory = await reader.read(centralDirectoryOffset, centralDirectorySize);
+        const entries = [];
+
+        let offset = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_FILE_HEADER) {
+                return new CrawlerBoltFormatFailure(`Invalid ZIP central directory entry ${i}`, 'zip', label);
+            }
+
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+            // directories are listed with a trailing slash
+            if (!name.endsWith('/')) {
+                entries.push({
+                    name,
+                    flags: directory.readUInt16LE(offset + 8),
+                    method: directory.readUInt16LE(offset + 10),
+                    compressedSize: directory.readUInt32LE(offset + 20),
+                    size: directory.readUInt32LE(offset + 24),
+                    localHeaderOffset: directory.readUInt32LE(offset + 42),
+                });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    async #readMetadata(reader, entries) {
+        const metadata = {};
+
+        const candidates = entries
+            .filter((entry) => this.#metadataFileRegex.test(entry.name) && entry.size <= this.#maxMetadataSize)
+            .slice(0, this.#maxMetadataFiles);
+
+        for (const entry of candidates) {
+            try {
+                const data = await this.#readEntry(reader, entry);
+                if (data) {
+                    metadata[entry.name] = JSON.parse(data.toString('utf8').replace(/^\uFEFF/, ''));
+                }
+            } catch (e) {
+                // broken entries and files which are not JSON at all are ignored
+            }
+        }
+
+        return metadata;
+    }
+
+    async #readEntry(reader, entry) {
+        // encrypted entries and compression methods other than store and deflate are skipped
+        if ((entry.flags & 0x1) || ![0, 8].includes(entry.method)) {
+            return null;
+        }
+
+        const header = await reader.read(entry.localHeaderOffset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+            return null;
+        }
+
+        const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const data = await reader.read(dataOffset, entry.compressedSize);
+
+        return (entry.method === 8) ? zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) }) : data;
+    }
+
+    #createSummary(format, fileSize, entries, metadata = {}) {
+        const assetCounts = {};
+        for (const entry of entries) {
+            const type = getAssetType(entry.name);
+            assetCounts[type] = (assetCounts[type] || 0) + 1;
+        }
+
+        const requiredFeatures = new Set();
+        const trackingTypes = new Set();
+        let version = '';
+
+        for (const json of Object.values(metadata)) {
+            BoltInspector.#collectValues(json, /features?$|capabilit/i, requiredFeatures);
+            BoltInspector.#collectValues(json, /tracking/i, trackingTypes);
+
+            const versionKey = Object.keys(json || {}).find((key) => /^(lens_?studio_?version|studio_?version|version)$/i.test(key));
+            if (!version && versionKey && ['string', 'number'].includes(typeof json[versionKey])) {
+                version = `${json[versionKey]}`;
+            }
+        }
+
+        const unsupported = this.#unsupportedFeatures.map(normalizeFeature);
+        const unsupportedFeatures = [...requiredFeatures, ...trackingTypes]
+            .filter((feature, index, features) => features.indexOf(feature) === index)
+            .filter((feature) => unsupported.some((name) => normalizeFeature(feature).includes(name)));
+
+        return {
+            format,
+            file_size: fileSize,
+            entry_count: entries.length,
+            uncompressed_size: entries.reduce((total, entry) => total + entry.size, 0),
+            asset_counts: assetCounts,
+            metadata_files: Object.keys(metadata),
+            version,
+            required_features: [...requiredFeatures],
+            tracking_types: [...trackingTypes],
+            unsupported_features: unsupportedFeatures,
+            // support is unknown (null) unless a metadata file was recognized
+            is_supported: (Object.keys(metadata).length > 0) ? unsupportedFeatures.length === 0 : null,
+            inspected_at: Date.now(),
+        };
+    }
+
+    // collects string values and object keys below keys matching the pattern
+    static #collectValues(value, keyRegex, result, depth = 0) {
+        if (!value || typeof value !== 'object' || depth > 8) {
+            return;
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            if (keyRegex.test(key)) {
+                if (typeof child === 'string' && child) {
+                    result.add(child);
+                } else if (Array.isArray(child)) {
+                    child.filter((item) => typeof item === 'string' && item).forEach((item) => result.add(item));
+                } else if (child && typeof child === 'object') {
+                    // { "WorldTracking": true } style maps list enabled features only
+                    Object.entries(child).filter(([, enabled]) => enabled === true).forEach(([name]) => result.add(name));
+                }
+            }
+
+            if (child && typeof child === 'object') {
+                BoltInspector.#collectValues(child, keyRegex, result, depth + 1);
+            }
+        }
+    }
+
+    static async #openSource(source) {
+        if (Buffer.isBuffer(source)) {
+            return {
+                size: source.length,
+                read: async (offset, length) => source.subarray(offset, offset + length),
+                close: async () => { },
+            };
+        }
+
+        const fileHandle = await fs.open(source, 'r');
+        const { size } = await fileHandle.stat();
+
+        return {
+            size,
+            read: async (offset, length) => {
+                const { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(length), 0, length, offset);
+                return buffer.subarray(0, bytesRead);
+            },
+            close: async () => await fileHandle.close(),
+        };
+    }
+}
+
+export default BoltInspector;
+export { BoltInspector, UNSUPPORTED_FEATURES, ASSET_TYPES };
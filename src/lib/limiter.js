@@ -0,0 +1,106 @@
+class TokenBucket {
+    #capacity;
+    #refillRate;
+    #tokens;
+    #updatedAt;
+    #pausedUntil = 0;
+
+    constructor({ requestsPerSecond = 10, burst = 1 } = {}) {
+        this.#capacity = Math.max(parseInt(burst) || 1, 1);
+        this.#refillRate = Math.max(parseFloat(requestsPerSecond) || 0, 0.001) / 1000;
+        this.#tokens = this.#capacity;
+        this.#updatedAt = Date.now();
+    }
+
+    reserve() {
+        const now = this.#refill();
+
+        // tokens may go negative, each caller waits for its own slot
+        this.#tokens -= 1;
+        const waitMs = (this.#tokens < 0) ? Math.ceil(-this.#tokens / this.#refillRate) : 0;
+
+        return Math.max(waitMs, this.#pausedUntil - now, 0);
+    }
+
+    pause(ms) {
+        this.#pausedUntil = Math.max(this.#pausedUntil, Date.now() + ms);
+    }
+
+    isIdle() {
+        const now = this.#refill();
+        return (this.#tokens >= this.#capacity && this.#pausedUntil <= now);
+    }
+
+    #refill() {
+        const now = Date.now();
+        this.#tokens = Math.min(this.#capacity, this.#tokens + (now - this.#updatedAt) * this.#refillRate);
+        this.#updatedAt = now;
+        return now;
+    }
+}
+
+class RateLimiter {
+    #limits;
+    #defaultLimit;
+    #buckets = new Map();
+
+    constructor(limits = {}, defaultLimit = null) {
+        this.#limits = { ...limits };
+        this.#defaultLimit = defaultLimit;
+    }
+
+    getLimit(hostname) {
+        // match the hostname or any of its parent domains
+        const labels = hostname.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const domain = labels.slice(i).join('.');
+            if (Object.hasOwn(this.#limits, domain)) {
+                return this.#limits[domain];
+            }
+        }
+
+        return this.#defaultLimit;
+    }
+
+    reserve(hostname) {
+        const bucket = this.#getBucket(hostname);
+        return bucket ? bucket.reserve() : 0;
+    }
+
+    pause(hostname, ms) {
+        const bucket = this.#getBucket(hostname);
+        if (bucket && ms > 0) {
+            bucket.pause(ms);
+        }
+    }
+
+    cleanup() {
+        for (const [hostname, bucket] of this.#buckets) {
+            if (bucket.isIdle()) {
+                this.#buckets.delete(hostname);
+            }
+        }
+    }
+
+    clear() {
+        this.#buckets.clear();
+    }
+
+    #getBucket(hostname) {
+        if (this.#buckets.has(hostname)) {
+            return this.#buckets.get(hostname);
+        }
+
+        const limit = this.getLimit(hostname);
+        if (!limit) {
+            return null;
+        }
+
+        const bucket = new TokenBucket(limit);
+        this.#buckets.set(hostname, bucket);
+        return bucket;
+    }
+}
+
+export default RateLimiter;
+export { RateLimiter, TokenBucket };
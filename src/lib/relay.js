@@ -1,15 +1,28 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
 import HTTPStatusError from './error.js';
+import { CrawlerAbortedFailure } from './failure.js';
 
-class RelayServer {
+const SILENT_CONSOLE = {
+    log: () => { },
+    info: () => { },
+    warn: () => { },
+    error: () => { },
+    debug: () => { }
+};
+
+class RelayServer extends EventEmitter {
     #host;
     #connectionTimeoutMs;
     #failedRequestDelayMs;
     #maxRequestRetries;
     #headers;
     #verbose;
-    #console;
+    #consoleScope = new AsyncLocalStorage();
 
     constructor({ host = 'https://snapchatreverse.jaku.tv', connectionTimeoutMs = 9000, failedRequestDelayMs = 4500, maxRequestRetries = 2, verbose = true } = {}) {
+        super();
+
         this.#host = host;
         this.#connectionTimeoutMs = connectionTimeoutMs;
         this.#failedRequestDelayMs = failedRequestDelayMs;
@@ -21,42 +34,67 @@ class RelayServer {
         };
 
         this.#verbose = verbose;
-        this.#console = this.#verbose ? console : {
-            log: () => { },
-            info: () => { },
-            warn: () => { },
-            error: () => { },
-            debug: () => { }
-        };
     }
 
-    async getLens(lensId) {
-        const result = await this.#request(`/vc/v1/explorer/lenses`, 'POST', JSON.stringify({ 'lenses': [lensId] }));
+    // console output of everything called within the callback goes to the given logger
+    withConsole(logger, callback) {
+        return this.#consoleScope.run(logger, callback);
+    }
+
+    get #console() {
+        if (!this.#verbose) {
+            return SILENT_CONSOLE;
+        }
+        return this.#consoleScope.getStore() || console;
+    }
+
+    async getLens(lensId, { signal = null } = {}) {
+        const result = await this.#request(`/vc/v1/explorer/lenses`, 'POST', JSON.stringify({ 'lenses': [lensId] }), signal);
+        if (result instanceof CrawlerAbortedFailure) {
+            return result;
+        }
+
         if (result && result['lenses']) {
             return result['lenses'];
         }
         return null;
     }
 
-    async getUnlock(lensId) {
-        const unlock = await this.#request(`/vc/v1/explorer/unlock?uid=${lensId}`);
+    async getUnlock(lensId, { signal = null } = {}) {
+        const unlock = await this.#request(`/vc/v1/explorer/unlock?uid=${lensId}`, 'GET', null, signal);
+        if (unlock instanceof CrawlerAbortedFailure) {
+            return unlock;
+        }
+
         if (unlock && unlock.lens_id && unlock.lens_url) {
             return unlock;
         }
         return null;
     }
 
-    async #request(path, method = 'GET', body = null) {
+    async #request(path, method = 'GET', body = null, signal = null) {
         const url = `${this.#host}${path}`;
         const maxAttempts = this.#maxRequestRetries + 1;
         let attempt = 1;
 
         while (attempt <= maxAttempts) {
+            if (signal?.aborted) {
+                return this.#abortedFailure(url);
+            }
+
+            const requestEvent = { url, method, attempt, maxAttempts };
+            const startTime = Date.now();
+            this.#emit('request', requestEvent);
+
             const controller = new AbortController();
             const timeout = setTimeout(() => {
                 controller.abort();
             }, this.#connectionTimeoutMs);
 
+            // cancel the request together with the caller
+            const onAbort = () => controller.abort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+
             try {
                 let requestInit = { method: method, headers: this.#headers, signal: controller.signal };
                 if (body) {
@@ -67,6 +105,7 @@ class RelayServer {
                 clearTimeout(timeout);
 
                 if (response?.ok) {
+                    this.#emit('response', { ...requestEvent, status: response.status, durationMs: Date.now() - startTime });
                     const data = (response.body) ? await response.text() : null;
                     return (data) ? JSON.parse(data) : null;
                 }
@@ -74,36 +113,73 @@ class RelayServer {
                 throw new HTTPStatusError(response?.status);
             } catch (e) {
                 clearTimeout(timeout);
-                if (e instanceof HTTPStatusError) {
+                const durationMs = Date.now() - startTime;
+                if (signal?.aborted) {
+                    return this.#abortedFailure(url);
+                } else if (e instanceof HTTPStatusError) {
                     if (e.code == 404) {
+                        this.#emit('notFound', { ...requestEvent, status: e.code, durationMs });
                         this.#console.error(`[Not Found] ${url} - ${e.message}`);
                         break;
                     } else {
+                        this.#emit('httpError', { ...requestEvent, status: e.code, durationMs });
                         this.#console.error(`[Failed] (${attempt}/${maxAttempts}) ${url} - ${e.message}`);
                     }
                 } else if (e.name === 'AbortError') {
+                    this.#emit('timeout', { ...requestEvent, timeoutMs: this.#connectionTimeoutMs, durationMs });
                     this.#console.error(`[Timeout] (${attempt}/${maxAttempts}) ${url}`);
                 } else {
+                    this.#emit('requestError', { ...requestEvent, message: e.message, durationMs });
                     this.#console.error(`[Error] (${attempt}/${maxAttempts}) ${url} - ${e.message}`);
                 }
             } finally {
                 clearTimeout(timeout);
+                signal?.removeEventListener('abort', onAbort);
             }
 
             attempt++;
             if (attempt <= maxAttempts) {
-                await this.#sleep(this.#failedRequestDelayMs);
+                this.#emit('retry', { url, method, attempt, maxAttempts, delayMs: this.#failedRequestDelayMs });
+                await this.#sleep(this.#failedRequestDelayMs, signal);
             }
         }
 
         return null;
     }
 
-    #sleep(ms) {
+    #emit(eventName, payload) {
+        try {
+            this.emit(eventName, { ...payload, timestamp: Date.now() });
+        } catch (e) {
+            this.#console.error(`[Event Error] ${eventName} - ${e.message}`);
+        }
+    }
+
+    #sleep(ms, signal = null) {
+        // resolves early when aborted, the request loop checks the signal afterwards
         return new Promise((resolve) => {
-            setTimeout(resolve, ms);
+            if (signal?.aborted) {
+                return resolve();
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+
+            const timeout = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
         });
     }
+
+    #abortedFailure(url) {
+        this.#console.error(`[Aborted] ${url}`);
+        return new CrawlerAbortedFailure('Operation was aborted', url);
+    }
 }
 
 export default RelayServer;
@@ -0,0 +1,222 @@
+// expected shape of the page structures the crawler reads
+// only fields used by formatLensItem() are listed, anything else is reported as unknown
+// { type, required, properties, items, additionalProperties }
+
+const THUMBNAIL_SEQUENCE = {
+    type: 'object',
+    properties: {
+        urlPattern: { type: 'string' },
+        numThumbnails: { type: ['number', 'string'] },
+        animationIntervalMs: { type: ['number', 'string'] },
+    },
+};
+
+const LENS_RESOURCE = {
+    type: 'object',
+    properties: {
+        archiveLink: { type: 'string' },
+        signature: { type: 'string' },
+        checkSum: { type: 'string' },
+        lastUpdated: { type: ['number', 'string'] },
+    },
+};
+
+const LENS_ITEM = {
+    type: 'object',
+    properties: {
+        scannableUuid: { type: 'string', required: true },
+        lensId: { type: 'string', required: true },
+        lensName: { type: 'string', required: true },
+        deeplinkUrl: { type: 'string' },
+        unlockUrl: { type: 'string' },
+        snapcodeUrl: { type: 'string' },
+        lensCreatorSearchTags: { type: 'array', items: { type: 'string' } },
+        lensCreatorDisplayName: { type: 'string' },
+        lensCreatorUsername: { type: 'string' },
+        userProfileUrl: { type: 'string' },
+        creatorUserId: { type: 'string' },
+        creatorProfileId: { type: 'string' },
+        iconUrl: { type: 'string' },
+        thumbnailUrl: { type: 'string' },
+        previewImageUrl: { type: 'string' },
+        lensPreviewImageUrl: { type: 'string' },
+        previewVideoUrl: { type: 'string' },
+        lensPreviewVideoUrl: { type: 'string' },
+        thumbnailSequence: THUMBNAIL_SEQUENCE,
+        lensResource: LENS_RESOURCE,
+        lastUpdatedEpoch: { type: ['number', 'string'] },
+    },
+};
+
+const SEARCH_LENS_ITEM = {
+    type: 'object',
+    properties: {
+        lensId: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        deeplinkUrl: { type: 'string', required: true },
+        creator: { type: 'object', properties: { title: { type: 'string' } }, additionalProperties: true },
+        iconUrl: { type: 'string' },
+        previewImageUrl: { type: 'string' },
+        previewVideoUrl: { type: 'string' },
+        thumbnailSequence: THUMBNAIL_SEQUENCE,
+    },
+};
+
+const CREATOR_LENS_ITEM = {
+    type: 'object',
+    properties: {
+        lensId: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        deeplinkUrl: { type: 'string', required: true },
+        creatorName: { type: 'string', required: true },
+        iconUrl: { type: 'string' },
+        previewImageUrl: { type: 'string' },
+        previewVideoUrl: { type: 'string' },
+        thumbnailSequence: THUMBNAIL_SEQUENCE,
+        lastUpdatedEpoch: { type: ['number', 'string'] },
+    },
+};
+
+const PAGE_SCHEMAS = {
+    lensDisplayInfo: LENS_ITEM,
+    moreLenses: { type: 'array', items: LENS_ITEM },
+    topLenses: { type: 'array', items: LENS_ITEM },
+    encodedSearchResponse: {
+        type: 'object',
+        properties: {
+            sections: {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        sectionType: { type: 'number' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    resultType: { type: 'number' },
+                                    // sections also contain creators and search terms
+                                    result: { type: 'object', properties: { lens: SEARCH_LENS_ITEM }, additionalProperties: true },
+                                },
+                            },
+                        },
+                    },
+                    additionalProperties: true,
+                },
+            },
+        },
+        additionalProperties: true,
+    },
+    lensesList: { type: 'array', items: CREATOR_LENS_ITEM },
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+class SchemaValidator {
+    #schemas;
+    #report = {};
+
+    constructor({ schemas = {} } = {}) {
+        this.#schemas = { ...PAGE_SCHEMAS, ...schemas };
+    }
+
+    getPageTypes() { return Object.keys(this.#schemas); }
+    getSchema(pageType) { return this.#schemas[pageType]; }
+
+    register(pageType, schema) {
+        this.#schemas[pageType] = schema;
+    }
+
+    // returns the drift of a single page and adds it to the report
+    validate(pageType, value) {
+        const schema = this.#schemas[pageType];
+        if (!schema) {
+            throw new TypeError(`Unknown page type: ${pageType}`);
+        }
+
+        const result = { missing: new Set(), unknown: new Set(), mismatched: new Map() };
+        this.#validateValue(schema, value, pageType, result);
+
+        const drift = {
+            pageType,
+            missing: [...result.missing],
+            unknown: [...result.unknown],
+            mismatched: [...result.mismatched.values()],
+        };
+        drift.hasDrift = !!(drift.missing.length || drift.unknown.length || drift.mismatched.length);
+
+        this.#addToReport(drift);
+
+        return drift;
+    }
+
+    getReport() {
+        return structuredClone(this.#report);
+    }
+
+    resetReport() {
+        this.#report = {};
+    }
+
+    #validateValue(schema, value, path, result) {
+        const expected = [schema.type || 'any'].flat();
+        const actual = typeOf(value);
+
+        if (!expected.includes('any') && !expected.includes(actual)) {
+            // the same path of different array items is reported once
+            if (!result.mismatched.has(path)) {
+                result.mismatched.set(path, { path, expected: expected.join('|'), actual });
+            }
+            return;
+        }
+
+        if (actual === 'array' && schema.items) {
+            for (const item of value) {
+                this.#validateValue(schema.items, item, `${path}[]`, result);
+            }
+        } else if (actual === 'object' && schema.properties) {
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                if (value[key] === undefined || value[key] === null) {
+                    if (propertySchema.required) {
+                        result.missing.add(`${path}.${key}`);
+                    }
+                    continue;
+                }
+                this.#validateValue(propertySchema, value[key], `${path}.${key}`, result);
+            }
+
+            if (!schema.additionalProperties) {
+                for (const key of Object.keys(value)) {
+                    if (!Object.hasOwn(schema.properties, key)) {
+                        result.unknown.add(`${path}.${key}`);
+                    }
+                }
+            }
+        }
+    }
+
+    #addToReport(drift) {
+        const entry = this.#report[drift.pageType] ??= { pages: 0, drifted: 0, missing: {}, unknown: {}, mismatched: {} };
+
+        entry.pages++;
+        if (drift.hasDrift) {
+            entry.drifted++;
+        }
+
+        // counts are per page, not per array item
+        drift.missing.forEach((path) => { entry.missing[path] = (entry.missing[path] || 0) + 1; });
+        drift.unknown.forEach((path) => { entry.unknown[path] = (entry.unknown[path] || 0) + 1; });
+        drift.mismatched.forEach(({ path }) => { entry.mismatched[path] = (entry.mismatched[path] || 0) + 1; });
+    }
+}
+
+export default SchemaValidator;
+export { SchemaValidator, PAGE_SCHEMAS };
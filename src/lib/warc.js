@@ -0,0 +1,329 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream';
+import { ArchiveProvider, toArchiveTimestamp } from './archive.js';
+import { CrawlerFailure, CrawlerAbortedFailure } from './failure.js';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+class WarcRecord {
+    #httpResponse;
+
+    constructor(headers, block) {
+        this.headers = headers;
+        this.block = block;
+    }
+
+    get type() { return this.headers['warc-type'] || ''; }
+    get targetUri() { return (this.headers['warc-target-uri'] || '').replace(/^<(.*)>$/, '$1'); }
+    get date() { return this.headers['warc-date'] || ''; }
+    get timestamp() { return this.date ? toArchiveTimestamp(new Date(this.date)) : 0; }
+    get digest() { return this.headers['warc-payload-digest'] || ''; }
+
+    isHttpResponse() {
+        return (this.type === 'response' && /application\/http/i.test(this.headers['content-type'] || ''));
+    }
+
+    getHttpResponse() {
+        if (this.#httpResponse === undefined) {
+            this.#httpResponse = this.isHttpResponse() ? parseHttpResponse(this.block) : null;
+        }
+        return this.#httpResponse;
+    }
+}
+
+async function isGzipFile(filePath) {
+    const fileHandle = await fs.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(2), 0, 2, 0);
+        return (bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b);
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+async function* readWarcRecords(filePath, { signal = null } = {}) {
+    // missing or unreadable files fail here, before a stream exists whose errors nobody listens to
+    const isGzip = await isGzipFile(filePath);
+
+    let stream = null;
+    let buffer = Buffer.alloc(0);
+    let pending = null;
+
+    // block chunks of the pending record are concatenated once it is complete
+    let blockChunks = [];
+    let blockLength = 0;
+
+    try {
+        stream = createReadStream(filePath);
+        if (isGzip) {
+            // .warc.gz files consist of one gzip member per record
+            const gunzip = zlib.createGunzip();
+            stream = pipeline(stream, gunzip, () => { });
+        }
+
+        for await (const chunk of stream) {
+            if (signal?.aborted) {
+                return;
+            }
+
+            if (pending) {
+                blockChunks.push(chunk);
+                blockLength += chunk.length;
+            } else {
+                buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+            }
+
+            while (true) {
+                if (!pending) {
+                    // records are separated by blank lines
+                    let start = 0;
+                    while (start < buffer.length && (buffer[start] === 0x0d || buffer[start] === 0x0a)) {
+                        start++;
+                    }
+                    buffer = buffer.subarray(start);
+
+                    const headerEnd = buffer.indexOf(HEADER_END);
+                    if (headerEnd === -1) {
+                        break;
+                    }
+
+                    pending = parseWarcHeaders(buffer.subarray(0, headerEnd).toString('utf8'));
+                    if (!pending) {
+                        throw new Error(`Invalid WARC record header in file: ${filePath}`);
+                    }
+
+                    const rest = buffer.subarray(headerEnd + HEADER_END.length);
+                    blockChunks = [rest];
+                    blockLength = rest.length;
+                    buffer = Buffer.alloc(0);
+                }
+
+                if (blockLength < pending.length) {
+                    break;
+                }
+
+                const data = (blockChunks.length === 1) ? blockChunks[0] : Buffer.concat(blockChunks, blockLength);
+                const block = Buffer.from(data.subarray(0, pending.length));
+                buffer = data.subarray(pending.length);
+
+                blockChunks = [];
+                blockLength = 0;
+
+                const record = new WarcRecord(pending.headers, block);
+                pending = null;
+
+                yield record;
+            }
+        }
+    } finally {
+        stream?.destroy();
+    }
+}
+
+function parseWarcHeaders(text) {
+    const [versionLine, ...lines] = text.split('\r\n');
+    if (!versionLine.startsWith('WARC/')) {
+        return null;
+    }
+
+    const headers = parseHeaderLines(lines);
+    const length = parseInt(headers['content-length']);
+
+    return { headers, length: isNaN(length) ? 0 : length };
+}
+
+function parseHeaderLines(lines) {
+    const headers = {};
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            const name = line.substring(0, separator).trim().toLowerCase();
+            const value = line.substring(separator + 1).trim();
+            headers[name] = (headers[name] !== undefined) ? `${headers[name]}, ${value}` : value;
+        }
+    }
+    return headers;
+}
+
+function parseHttpResponse(block) {
+    const headerEnd = block.indexOf(HEADER_END);
+    if (headerEnd === -1) {
+        return null;
+    }
+
+    const [statusLine, ...lines] = block.subarray(0, headerEnd).toString('latin1').split('\r\n');
+    const status = parseInt(statusLine.split(' ')[1]);
+    if (!statusLine.startsWith('HTTP/') || isNaN(status)) {
+        return null;
+    }
+
+    const headers = parseHeaderLines(lines);
+    let body = block.subarray(headerEnd + HEADER_END.length);
+
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+        body = decodeChunked(body);
+    }
+
+    return { status, headers, body: decodeContent(body, headers['content-encoding']) };
+}
+
+function decodeChunked(body) {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < body.length) {
+        const lineEnd = body.indexOf(CRLF, offset);
+        if (lineEnd === -1) {
+            break;
+        }
+
+        // chunk extensions follow the size
+        const size = parseInt(body.subarray(offset, lineEnd).toString('latin1').split(';')[0], 16);
+        if (isNaN(size) || size === 0) {
+            break;
+        }
+
+        chunks.push(body.subarray(lineEnd + CRLF.length, lineEnd + CRLF.length + size));
+        offset = lineEnd + CRLF.length + size + CRLF.length;
+    }
+
+    return Buffer.concat(chunks);
+}
+
+function decodeContent(body, encoding) {
+    // some crawlers store the decoded body but keep the original header
+    try {
+        switch ((encoding || '').trim().toLowerCase()) {
+            case 'gzip':
+            case 'x-gzip':
+                return zlib.gunzipSync(body);
+            case 'deflate':
+                try {
+                    return zlib.inflateSync(body);
+                } catch (e) {
+                    return zlib.inflateRawSync(body);
+                }
+            case 'br':
+                return zlib.brotliDecompressSync(body);
+        }
+    } catch (e) { }
+
+    return body;
+}
+
+class WarcArchiveProvider extends ArchiveProvider {
+    // lens pages from local WARC files, only the lens data of each capture is kept in memory
+
+    static LENS_PAGE_REGEX = /^(lens\.snapchat\.com\/[0-9a-f]{32}|snapchat\.com\/lens\/[0-9a-f]{32})$/;
+
+    #files;
+    #index = null;
+
+    constructor({ files = [], name = 'warc', candidateLimit = 10 } = {}) {
+        super({ name, candidateLimit });
+        this.#files = [files].flat().filter(Boolean);
+    }
+
+    getFiles() { return [...this.#files]; }
+
+    async findSnapshots(url, context) {
+        const index = await this.#getIndex(context);
+        if (index instanceof CrawlerFailure) {
+            return index;
+        }
+
+        const captures = index.get(WarcArchiveProvider.normalizeUrl(url.replace(/\*+$/, ''))) || [];
+        if (!captures.length) {
+            return new CrawlerFailure(`Snapshot does not exist`, url);
+        }
+
+        const snapshots = this.selectCandidates(captures, context.window);
+        if (!snapshots.length) {
+            return new CrawlerFailure(`Snapshots exist but do not match criteria`, url);
+        }
+
+        return snapshots;
+    }
+
+    async loadSnapshot(snapshot, context) {
+        const index = await this.#getIndex(context);
+        if (index instanceof CrawlerFailure) {
+            return index;
+        }
+
+        const captures = index.get(WarcArchiveProvider.normalizeUrl(snapshot.url)) || [];
+        const capture = captures.find((item) => item.url === snapshot.url && item.timestamp === snapshot.timestamp);
+        if (!capture) {
+            return new CrawlerFailure(`Snapshot not found in WARC files`, snapshot.url);
+        }
+
+        return { props: { pageProps: { lensDisplayInfo: capture.lensDisplayInfo } } };
+    }
+
+    static normalizeUrl(url) {
+        return `${url || ''}`
+            .toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/[?#].*$/, '')
+            .replace(/\/+$/, '');
+    }
+
+    #getIndex(context) {
+        if (!this.#index) {
+            this.#index = this.#buildIndex(context).then((index) => {
+                // an interrupted index is rebuilt on the next call
+                if (index instanceof CrawlerFailure) {
+                    this.#index = null;
+                }
+                return index;
+            });
+        }
+        return this.#index;
+    }
+
+    async #buildIndex(context) {
+        const index = new Map();
+
+        for (const filePath of this.#files) {
+            try {
+                for await (const record of readWarcRecords(filePath, { signal: context.signal })) {
+                    const key = WarcArchiveProvider.normalizeUrl(record.targetUri);
+                    if (!WarcArchiveProvider.LENS_PAGE_REGEX.test(key)) {
+                        continue;
+                    }
+
+                    const response = record.getHttpResponse();
+                    if (response?.status !== 200) {
+                        continue;
+                    }
+
+                    const nextData = context.parseNextData(response.body.toString('utf8'), record.targetUri);
+                    const lensDisplayInfo = nextData?.props?.pageProps?.lensDisplayInfo;
+                    if (nextData instanceof CrawlerFailure || !lensDisplayInfo) {
+                        continue;
+                    }
+
+                    if (!index.has(key)) {
+                        index.set(key, []);
+                    }
+                    index.get(key).push({ timestamp: record.timestamp, url: record.targetUri, digest: record.digest, lensDisplayInfo });
+                }
+            } catch (e) {
+                return new CrawlerFailure(e.message, filePath);
+            }
+
+            if (context.signal?.aborted) {
+                return new CrawlerAbortedFailure('Operation was aborted', filePath);
+            }
+        }
+
+        return index;
+    }
+}
+
+export default WarcArchiveProvider;
+export { WarcArchiveProvider, WarcRecord, readWarcRecords, parseHttpResponse };
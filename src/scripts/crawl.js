@@ -1,39 +1,52 @@
 import SnapLensWebCrawler from "../lib/crawler.js";
 import * as Utils from "./utils/functions.js";
 
-const args = new Set(process.argv.slice(2));
+const args = Utils.parseScriptArgs(process.argv.slice(2));
 
 const options = {
-    queryArchive: args.has('--query-archive'),
-    retryBrokenDownloads: args.has('--retry-broken-downloads'),
-    overwriteExistingBolts: args.has('--overwrite-existing-bolts') || args.has('--overwrite-existing'),
-    overwriteExistingData: args.has('--overwrite-existing-data') || args.has('--overwrite-existing'),
-    saveIncompleteLensInfo: args.has('--save-incomplete-lens-info'),
+    queryArchive: args.flags.has('--query-archive'),
+    retryBrokenDownloads: args.flags.has('--retry-broken-downloads'),
+    overwriteExistingBolts: args.flags.has('--overwrite-existing-bolts') || args.flags.has('--overwrite-existing'),
+    overwriteExistingData: args.flags.has('--overwrite-existing-data') || args.flags.has('--overwrite-existing'),
+    saveIncompleteLensInfo: args.flags.has('--save-incomplete-lens-info'),
+    concurrency: parseInt(args.values.get('--concurrency')) || 1,
+    inspectBolts: args.flags.has('--inspect-bolts'),
+    markSeen: true,
 };
 
-const crawler = new SnapLensWebCrawler({ maxRequestRetries: 2, gcInterval: false });
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+const changeLog = Utils.openChangeLog(args, storage);
+const crawler = new SnapLensWebCrawler({ maxRequestRetries: 2, gcInterval: false, snapshotDiscovery: args.values.get('--snapshot-discovery') });
 const resolvedLensCache = new Set();
 
 for (const category in crawler.TOP_CATEGORIES) {
     console.log(`[Fetching] Top Lens Category: ${category.toUpperCase()}`);
 
     try {
-        let topLenses = await crawler.getTopLensesByCategory(category, null);
-        if (topLenses && topLenses.length) {
-            console.log(`[Resolving] ${topLenses.length} Lenses from Category: ${category.toUpperCase()}`);
+        let total = 0;
 
-            await Utils.crawlLenses(topLenses, { crawler, resolvedLensCache, queryRelayServer: false, ...options});
+        // crawl each page right away instead of waiting for the complete category
+        for await (const page of crawler.iterateTopLensesByCategory(category)) {
+            if (page.lenses.length) {
+                console.log(`[Resolving] ${page.lenses.length} Lenses from Category: ${category.toUpperCase()}`);
 
-            console.log(`[Finished] ${topLenses.length} Lenses from Category: ${category.toUpperCase()}`);
-            console.log(`-----`);
+                await Utils.crawlLenses(page.lenses, { crawler, storage, catalog, changeLog, resolvedLensCache, queryRelayServer: false, ...options});
+                total += page.lenses.length;
+            }
+        }
 
-            topLenses.length = 0;
-            topLenses = null;
+        if (total) {
+            console.log(`[Finished] ${total} Lenses from Category: ${category.toUpperCase()}`);
+            console.log(`-----`);
         }
     } catch (e) {
         console.error(e);
     }
 };
 
+await Utils.writeChangeFeed(args, changeLog);
+
 resolvedLensCache.clear();
+catalog?.close();
 crawler.destroy();
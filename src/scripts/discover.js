@@ -0,0 +1,138 @@
+import SnapLensWebCrawler from "../lib/crawler.js";
+import LensDiscovery from "../lib/discovery.js";
+import { CrawlerFailure } from "../lib/failure.js";
+import CheckpointJournal from "./utils/checkpoint.js";
+import * as Utils from "./utils/functions.js";
+import path from 'path';
+import process from 'process';
+
+const args = Utils.parseScriptArgs(process.argv.slice(2));
+
+const options = {
+    queryArchive: args.flags.has('--query-archive'),
+    retryBrokenDownloads: args.flags.has('--retry-broken-downloads'),
+    saveIncompleteLensInfo: args.flags.has('--save-incomplete-lens-info'),
+    concurrency: parseInt(args.values.get('--concurrency')) || 1,
+    inspectBolts: args.flags.has('--inspect-bolts'),
+    markSeen: true,
+};
+
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+const changeLog = Utils.openChangeLog(args, storage);
+const crawler = new SnapLensWebCrawler({ maxRequestRetries: 2, gcInterval: false, snapshotDiscovery: args.values.get('--snapshot-discovery') });
+const resolvedLensCache = new Set();
+
+// seen lenses, visited and queued nodes are journaled so the frontier survives restarts
+const checkpoint = new CheckpointJournal(path.join(storage.getOutputDir(), 'discover.checkpoint.jsonl'));
+if (args.flags.has('--resume')) {
+    const count = await checkpoint.load();
+    checkpoint.get('lens').forEach((uuid) => resolvedLensCache.add(uuid));
+    console.log(`[Resume] Restored ${count} checkpoint entries from: '${checkpoint.getFilePath()}'`);
+} else {
+    await checkpoint.reset();
+}
+
+const discovery = new LensDiscovery({
+    crawler,
+    maxDepth: parseInt(args.values.get('--max-depth') ?? 2),
+    maxLenses: parseInt(args.values.get('--max-lenses')) || 1000,
+    maxQueueSize: parseInt(args.values.get('--max-queue-size')) || 10000,
+    seen: new Set(checkpoint.get('seen')),
+    visited: new Set(checkpoint.get('visited')),
+});
+
+async function getSeeds() {
+    // seeds are lens UUIDs, creator:<slug> or user:<username>
+    const seeds = [];
+    for (const value of args.positionals) {
+        const [type, ...rest] = value.split(':');
+        if (rest.length && LensDiscovery.NODE_TYPES.includes(type)) {
+            seeds.push({ type, value: rest.join(':'), depth: 0 });
+        } else {
+            const lens = await crawler.getLensByHash(value);
+            if (lens instanceof CrawlerFailure) {
+                console.error(`[Seed] Unable to resolve lens: ${value}`);
+            } else {
+                seeds.push(lens);
+            }
+        }
+    }
+
+    if (!seeds.length) {
+        console.log(`[Seed] No seeds specified, starting from top lenses`);
+        const topLenses = await crawler.getTopLensesByCategory('default', 100);
+        if (Array.isArray(topLenses)) {
+            seeds.push(...topLenses);
+        }
+    }
+
+    return seeds;
+}
+
+try {
+    let seeds;
+    if (args.flags.has('--resume')) {
+        // continue with the journaled nodes that were not visited yet
+        seeds = Array.from(checkpoint.get('node'))
+            .map((value) => JSON.parse(value))
+            .filter((node) => !checkpoint.has('visited', `${node.type}:${node.value}`));
+        console.log(`[Resume] ${seeds.length} nodes left in frontier`);
+    } else {
+        seeds = await getSeeds();
+        await Utils.crawlLenses(seeds.filter((seed) => seed.uuid), { crawler, storage, catalog, changeLog, resolvedLensCache, checkpoint, queryRelayServer: false, ...options });
+
+        for (const seed of seeds.filter((seed) => seed.uuid)) {
+            await checkpoint.record('seen', seed.uuid);
+        }
+    }
+
+    for (const { type, value, depth } of discovery.seed(seeds)) {
+        await checkpoint.record('node', JSON.stringify({ type, value, depth }));
+    }
+
+    let total = 0;
+
+    for await (const result of discovery.discover()) {
+        if (result instanceof CrawlerFailure) {
+            break;
+        }
+
+        const { node } = result;
+
+        // failed nodes stay in the journaled frontier so --resume visits them again
+        if (result.failure) {
+            console.error(`[Failed] ${node.type}: ${node.value} - ${result.failure.message}`);
+            continue;
+        }
+
+        await checkpoint.record('visited', `${node.type}:${node.value}`);
+
+        for (const { type, value, depth } of result.enqueued) {
+            await checkpoint.record('node', JSON.stringify({ type, value, depth }));
+        }
+
+        if (result.lenses.length) {
+            console.log(`[Discovered] ${result.lenses.length} new Lenses from ${node.type}: ${node.value} (depth ${node.depth}, ${result.queueSize} queued)`);
+
+            await Utils.crawlLenses(result.lenses, { crawler, storage, catalog, changeLog, resolvedLensCache, checkpoint, queryRelayServer: false, ...options });
+
+            for (const lens of result.lenses) {
+                await checkpoint.record('seen', lens.uuid);
+            }
+            total += result.lenses.length;
+        }
+    }
+
+    console.log(`[Finished] Discovered ${total} new Lenses`);
+    console.log(`-----`);
+} catch (e) {
+    console.error(e);
+}
+
+await Utils.writeChangeFeed(args, changeLog);
+
+resolvedLensCache.clear();
+catalog?.close();
+checkpoint.clear();
+crawler.destroy();
@@ -0,0 +1,34 @@
+import * as Utils from "./utils/functions.js";
+import { exportLensBundle } from "./utils/exporter.js";
+import process from 'process';
+
+const args = Utils.parseScriptArgs(process.argv.slice(2));
+
+const bundleDir = args.positionals[0];
+if (!bundleDir) {
+    console.error('No bundle directory specified.');
+    process.exit(1);
+}
+
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+
+try {
+    console.log(`[Export] Exporting mirrored lenses from '${storage.getOutputDir()}' to bundle: '${bundleDir}'`);
+
+    const lenses = (catalog) ? catalog.iterateLenses() : storage.iterateLensInfo();
+    const result = await exportLensBundle(lenses, {
+        storage,
+        bundleDir,
+        columns: Object.keys(Utils.getLensInfoTemplate()),
+        baseUrl: args.values.get('--base-url') || '',
+        hardlink: args.flags.has('--hardlink'),
+        supportedOnly: args.flags.has('--supported-only'),
+    });
+
+    console.log(`[Finished] Exported ${result.exported} Lenses, skipped ${result.skipped} unmirrored Lenses, ${result.unsupported} unsupported Lenses, ${result.unknown} Lenses of unknown support, ${result.missing} Lenses with missing bolt files`);
+} catch (e) {
+    console.error(e);
+}
+
+catalog?.close();
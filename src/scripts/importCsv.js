@@ -1,16 +1,41 @@
 import SnapLensWebCrawler from "../lib/crawler.js";
+import { FileCache } from "../lib/cache.js";
+import { CrawlerFailure } from "../lib/failure.js";
+import CheckpointJournal from "./utils/checkpoint.js";
 import * as Utils from "./utils/functions.js";
+import path from 'path';
 import process from 'process';
 
-const crawler = new SnapLensWebCrawler({ cacheTTL: 86400, maxRequestRetries: 2 });
-const resolvedLensCache = new Set();
+const args = Utils.parseScriptArgs(process.argv.slice(2));
 
-const inputFile = process.argv[2];
+const inputFile = args.positionals[0];
 if (!inputFile) {
     console.error('No input file specified.');
     process.exit(1);
 }
 
+const concurrency = parseInt(args.values.get('--concurrency')) || 1;
+const statusOptions = Utils.getLensStatusOptions(args);
+const inspectBolts = args.flags.has('--inspect-bolts');
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+const changeLog = Utils.openChangeLog(args, storage);
+
+// keep crawled pages on disk so interrupted imports can be resumed cheaply
+const cache = new FileCache({ directory: path.join(storage.getOutputDir(), 'cache'), ttl: 86400 });
+const crawler = new SnapLensWebCrawler({ cache, maxRequestRetries: 2, snapshotDiscovery: args.values.get('--snapshot-discovery') });
+const resolvedLensCache = new Set();
+
+// journal of finished work stored next to the output
+const checkpoint = new CheckpointJournal(path.join(storage.getOutputDir(), `import-csv.${path.basename(inputFile)}.checkpoint.jsonl`));
+if (args.flags.has('--resume')) {
+    const count = await checkpoint.load();
+    checkpoint.get('lens').forEach((uuid) => resolvedLensCache.add(uuid));
+    console.log(`[Resume] Restored ${count} checkpoint entries from: '${checkpoint.getFilePath()}'`);
+} else {
+    await checkpoint.reset();
+}
+
 try {
     let entries = await Utils.readCSV(inputFile);
     if (entries && entries.length) {
@@ -20,7 +45,7 @@ try {
             try {
                 console.log(`[Import CSV] Importing ${lenses.length} Lenses by UUID from CSV file: '${inputFile}'`);
 
-                await Utils.crawlLenses(lenses, { crawler, resolvedLensCache, saveIncompleteLensInfo: false });
+                await Utils.crawlLenses(lenses, { crawler, storage, catalog, changeLog, resolvedLensCache, checkpoint, concurrency, inspectBolts, saveIncompleteLensInfo: false, ...statusOptions });
             } catch (e) {
                 console.error(e);
             }
@@ -38,20 +63,39 @@ try {
                 const creatorSlug = slugEntries[index].obfuscated_user_slug;
                 const n = parseInt(index) + 1;
 
+                if (checkpoint.has('slug', creatorSlug)) {
+                    continue;
+                }
+
                 try {
                     console.log(`[Fetching] Creator slug (${n}/${slugEntries.length}): ${creatorSlug}`);
 
-                    let creatorLenses = await crawler.getLensesByCreator(creatorSlug);
-                    if (creatorLenses && creatorLenses.length) {
-                        console.log(`[Resolving] ${creatorLenses.length} Lenses by Creator (${n}/${slugEntries.length}): ${creatorSlug}`);
+                    let total = 0;
+                    let failure = null;
+                    for await (const page of crawler.iterateLensesByCreator(creatorSlug)) {
+                        if (page instanceof CrawlerFailure) {
+                            failure = page;
+                            continue;
+                        } else if (!page.lenses.length) {
+                            continue;
+                        }
+
+                        console.log(`[Resolving] ${page.lenses.length} Lenses by Creator (${n}/${slugEntries.length}): ${creatorSlug}`);
 
-                        await Utils.crawlLenses(creatorLenses, { crawler, resolvedLensCache, saveIncompleteLensInfo: true });
+                        await Utils.crawlLenses(page.lenses, { crawler, storage, catalog, changeLog, resolvedLensCache, checkpoint, concurrency, inspectBolts, saveIncompleteLensInfo: true, markSeen: true });
+                        total += page.lenses.length;
+                    }
 
-                        console.log(`[Finished] ${creatorLenses.length} Lenses by Creator (${n}/${slugEntries.length}): ${creatorSlug}`);
+                    if (total) {
+                        console.log(`[Finished] ${total} Lenses by Creator (${n}/${slugEntries.length}): ${creatorSlug}`);
                         console.log(`-----`);
+                    }
 
-                        creatorLenses.length = 0;
-                        creatorLenses = null;
+                    // failed slugs are not journaled so --resume tries them again
+                    if (failure) {
+                        console.error(`[Failed] Creator slug: ${creatorSlug} - ${failure.message}`);
+                    } else {
+                        await checkpoint.record('slug', creatorSlug);
                     }
                 } catch (e) {
                     console.error(e);
@@ -73,5 +117,9 @@ try {
     console.error(e);
 }
 
+await Utils.writeChangeFeed(args, changeLog);
+
 resolvedLensCache.clear();
+catalog?.close();
+checkpoint.clear();
 crawler.destroy();
@@ -0,0 +1,91 @@
+import SnapLensWebCrawler from "../lib/crawler.js";
+import { CrawlerFailure } from "../lib/failure.js";
+import * as Utils from "./utils/functions.js";
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+
+const args = Utils.parseScriptArgs(process.argv.slice(2));
+
+const inputPath = args.positionals[0];
+if (!inputPath) {
+    console.error('No input directory specified.');
+    process.exit(1);
+}
+
+const options = {
+    queryArchive: args.flags.has('--query-archive'),
+    overwriteExistingData: args.flags.has('--overwrite-existing-data'),
+    saveIncompleteLensInfo: args.flags.has('--save-incomplete-lens-info'),
+    concurrency: parseInt(args.values.get('--concurrency')) || 1,
+    inspectBolts: args.flags.has('--inspect-bolts'),
+    ...Utils.getLensStatusOptions(args),
+};
+
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+const changeLog = Utils.openChangeLog(args, storage);
+const crawler = new SnapLensWebCrawler({ maxRequestRetries: 2, snapshotDiscovery: args.values.get('--snapshot-discovery') });
+const resolvedLensCache = new Set();
+
+const htmlFileRegex = /\.(html?|json)$/i;
+
+async function findInputFiles(inputPath) {
+    const stat = await fs.stat(inputPath);
+    if (stat.isFile()) {
+        return [inputPath];
+    }
+
+    // "Save Page As" dumps come with a folder of assets next to each page
+    const entries = await fs.readdir(inputPath, { recursive: true, withFileTypes: true });
+    return entries
+        .filter((entry) => entry.isFile() && htmlFileRegex.test(entry.name))
+        .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+        .sort();
+}
+
+try {
+    const files = await findInputFiles(inputPath);
+    console.log(`[Import HTML] Importing ${files.length} files from: '${inputPath}'`);
+
+    const lenses = new Map();
+    for (const file of files) {
+        const content = await fs.readFile(file, 'utf8');
+
+        // raw __NEXT_DATA__ JSON can be imported as well
+        // saved pages do not tell if a lens is still live
+        const result = file.toLowerCase().endsWith('.json')
+            ? crawler.parseLensesFromNextData(content, { lensStatus: '' }, { url: file })
+            : crawler.parseLensesFromHtml(content, { lensStatus: '' }, { url: file });
+
+        if (result instanceof CrawlerFailure) {
+            console.error(`[Skipped] ${file} - ${result.message}`);
+            continue;
+        }
+
+        for (const lens of result) {
+            if (lens.uuid) {
+                lenses.set(lens.uuid, lenses.has(lens.uuid) ? SnapLensWebCrawler.mergeLensItems(lenses.get(lens.uuid), lens) : lens);
+            }
+        }
+    }
+
+    if (lenses.size) {
+        console.log(`[Resolving] ${lenses.size} Lenses from: '${inputPath}'`);
+
+        await Utils.crawlLenses(Array.from(lenses.values()), { crawler, storage, catalog, changeLog, resolvedLensCache, queryRelayServer: false, ...options });
+
+        console.log(`[Finished] ${lenses.size} Lenses from: '${inputPath}'`);
+        console.log(`-----`);
+    }
+
+    lenses.clear();
+} catch (e) {
+    console.error(e);
+}
+
+await Utils.writeChangeFeed(args, changeLog);
+
+resolvedLensCache.clear();
+catalog?.close();
+crawler.destroy();
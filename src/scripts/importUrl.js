@@ -1,18 +1,43 @@
 import SnapLensWebCrawler from "../lib/crawler.js";
+import { FileCache } from "../lib/cache.js";
+import { CrawlerFailure } from "../lib/failure.js";
+import CheckpointJournal from "./utils/checkpoint.js";
 import * as Utils from "./utils/functions.js";
+import path from 'path';
 import process from 'process';
 
-const crawler = new SnapLensWebCrawler({ cacheTTL: 86400, maxRequestRetries: 2 });
-const resolvedLensCache = new Set();
-
-const urlRegex = /^(https?:\/\/)[^\s/$.?#].[^\s]*$/i;
+const args = Utils.parseScriptArgs(process.argv.slice(2));
 
-const inputFile = process.argv[2];
+const inputFile = args.positionals[0];
 if (!inputFile) {
     console.error('No input file specified.');
     process.exit(1);
 }
 
+const concurrency = parseInt(args.values.get('--concurrency')) || 1;
+const statusOptions = Utils.getLensStatusOptions(args);
+const inspectBolts = args.flags.has('--inspect-bolts');
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+const changeLog = Utils.openChangeLog(args, storage);
+
+// keep crawled pages on disk so interrupted imports can be resumed cheaply
+const cache = new FileCache({ directory: path.join(storage.getOutputDir(), 'cache'), ttl: 86400 });
+const crawler = new SnapLensWebCrawler({ cache, maxRequestRetries: 2, snapshotDiscovery: args.values.get('--snapshot-discovery') });
+const resolvedLensCache = new Set();
+
+const urlRegex = /^(https?:\/\/)[^\s/$.?#].[^\s]*$/i;
+
+// journal of finished work stored next to the output
+const checkpoint = new CheckpointJournal(path.join(storage.getOutputDir(), `import-url.${path.basename(inputFile)}.checkpoint.jsonl`));
+if (args.flags.has('--resume')) {
+    const count = await checkpoint.load();
+    checkpoint.get('lens').forEach((uuid) => resolvedLensCache.add(uuid));
+    console.log(`[Resume] Restored ${count} checkpoint entries from: '${checkpoint.getFilePath()}'`);
+} else {
+    await checkpoint.reset();
+}
+
 try {
     let lines = await Utils.readTextFile(inputFile);
     if (lines && lines.length) {
@@ -28,20 +53,31 @@ try {
                 const url = urls[index];
                 const n = parseInt(index) + 1;
 
+                if (checkpoint.has('url', url)) {
+                    continue;
+                }
+
                 try {
                     console.log(`[Fetching] URL (${n}/${urls.length}): ${url}`);
 
                     let lenses = await crawler.getLensesFromUrl(url);
-                    if (lenses && lenses.length) {
-                        console.log(`[Resolving] ${lenses.length} Lenses from URL: ${url}`);
+                    if (lenses instanceof CrawlerFailure) {
+                        // failed URLs are not journaled so --resume tries them again
+                        console.error(`[Failed] ${url} - ${lenses.message}`);
+                    } else {
+                        if (lenses.length) {
+                            console.log(`[Resolving] ${lenses.length} Lenses from URL: ${url}`);
+
+                            await Utils.crawlLenses(lenses, { crawler, storage, catalog, changeLog, resolvedLensCache, checkpoint, concurrency, inspectBolts, ...statusOptions });
 
-                        await Utils.crawlLenses(lenses, { crawler, resolvedLensCache });
+                            console.log(`[Finished] ${lenses.length} Lenses from URL: ${url}`);
+                            console.log(`-----`);
 
-                        console.log(`[Finished] ${lenses.length} Lenses from URL: ${url}`);
-                        console.log(`-----`);
+                            lenses.length = 0;
+                            lenses = null;
+                        }
 
-                        lenses.length = 0;
-                        lenses = null;
+                        await checkpoint.record('url', url);
                     }
                 } catch (e) {
                     console.error(e);
@@ -60,5 +96,9 @@ try {
     console.error(e);
 }
 
+await Utils.writeChangeFeed(args, changeLog);
+
 resolvedLensCache.clear();
+catalog?.close();
+checkpoint.clear();
 crawler.destroy();
@@ -0,0 +1,102 @@
+import SnapLensWebCrawler from "../lib/crawler.js";
+import { readWarcRecords } from "../lib/warc.js";
+import { CrawlerFailure } from "../lib/failure.js";
+import * as Utils from "./utils/functions.js";
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+
+const args = Utils.parseScriptArgs(process.argv.slice(2));
+
+const inputFiles = args.positionals;
+if (!inputFiles.length) {
+    console.error('No input file specified.');
+    process.exit(1);
+}
+
+const options = {
+    queryArchive: args.flags.has('--query-archive'),
+    overwriteExistingData: args.flags.has('--overwrite-existing-data'),
+    concurrency: parseInt(args.values.get('--concurrency')) || 1,
+    inspectBolts: args.flags.has('--inspect-bolts'),
+    ...Utils.getLensStatusOptions(args),
+};
+
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+const changeLog = Utils.openChangeLog(args, storage);
+const crawler = new SnapLensWebCrawler({ maxRequestRetries: 2, snapshotDiscovery: args.values.get('--snapshot-discovery') });
+const resolvedLensCache = new Set();
+
+async function extractBolts(inputFile, lenses) {
+    // bolts captured in the same archive are stored before crawling so they don't need to be downloaded
+    const lensesByUrl = new Map();
+    for (const lensInfo of lenses) {
+        if (lensInfo.lens_url) {
+            lensesByUrl.set(lensInfo.lens_url, lensInfo);
+        }
+    }
+
+    let count = 0;
+    for await (const record of readWarcRecords(inputFile)) {
+        const lensInfo = lensesByUrl.get(record.targetUri);
+        if (!lensInfo) {
+            continue;
+        }
+
+        const response = record.getHttpResponse();
+        if (response?.status !== 200 || !response.body.length) {
+            continue;
+        }
+
+        const { boltFolderPath } = await storage.locate(lensInfo);
+        const lensFilePath = path.join(boltFolderPath, "lens.lns");
+
+        try {
+            await fs.access(lensFilePath);
+            continue;
+        } catch (e) { }
+
+        await fs.mkdir(boltFolderPath, { recursive: true });
+        await fs.writeFile(`${lensFilePath}.part`, response.body);
+        await fs.rename(`${lensFilePath}.part`, lensFilePath);
+
+        lensesByUrl.delete(record.targetUri);
+        count++;
+    }
+
+    return count;
+}
+
+for (const inputFile of inputFiles) {
+    try {
+        console.log(`[Import WARC] Reading lenses from WARC file: '${inputFile}'`);
+
+        let lenses = await crawler.getLensesFromWarc(inputFile);
+        if (lenses instanceof CrawlerFailure) {
+            console.error(`[Failed] ${lenses.message}`);
+            continue;
+        }
+
+        if (lenses.length) {
+            const bolts = await extractBolts(inputFile, lenses);
+            console.log(`[Resolving] ${lenses.length} Lenses and ${bolts} Bolts from WARC file: '${inputFile}'`);
+
+            await Utils.crawlLenses(lenses, { crawler, storage, catalog, changeLog, resolvedLensCache, queryRelayServer: false, saveIncompleteLensInfo: true, ...options });
+
+            console.log(`[Finished] ${lenses.length} Lenses from WARC file: '${inputFile}'`);
+            console.log(`-----`);
+        }
+
+        lenses.length = 0;
+        lenses = null;
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+await Utils.writeChangeFeed(args, changeLog);
+
+resolvedLensCache.clear();
+catalog?.close();
+crawler.destroy();
@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as Utils from "./utils/functions.js";
+import BoltInspector from '../lib/inspector.js';
+import { CrawlerFailure } from '../lib/failure.js';
+import process from 'process';
+
+const args = Utils.parseScriptArgs(process.argv.slice(2));
+const dryRun = args.flags.has('--dry-run');
+const force = args.flags.has('--force');
+
+const inspector = new BoltInspector();
+
+async function inspectFiles(filePaths) {
+    // single files are printed with all entries instead of being stored
+    for (const filePath of filePaths) {
+        const summary = await inspector.inspect(filePath, { includeEntries: true });
+        if (summary instanceof CrawlerFailure) {
+            console.error(`[Failed] ${filePath} - ${summary.message}`);
+            process.exitCode = 1;
+        } else {
+            console.log(JSON.stringify({ file: filePath, ...summary }, null, 2));
+        }
+    }
+}
+
+async function inspectMirror() {
+    const storage = await Utils.openLensStorage(args);
+    const catalog = await Utils.openLensCatalog(args, storage);
+
+    async function saveLensInfo(lensInfo) {
+        if (catalog) {
+            catalog.saveLens(lensInfo);
+        } else {
+            const infoFolderPath = await storage.getInfoFolderPath(lensInfo);
+            await fs.writeFile(path.join(infoFolderPath, 'lens.json'), JSON.stringify(lensInfo, null, 2), 'utf8');
+        }
+    }
+
+    const result = { inspected: 0, unsupported: 0, unknown: 0, failed: 0, skipped: 0 };
+
+    async function inspectFile(lensInfo, filePath, key) {
+        if (lensInfo[key] && !force) {
+            return false;
+        }
+
+        const summary = await inspector.inspect(filePath);
+        if (summary instanceof CrawlerFailure) {
+            console.error(`[Failed] ${lensInfo.uuid} - ${summary.message}`);
+            result.failed++;
+            return false;
+        }
+
+        if (summary.is_supported === false) {
+            console.log(`[Unsupported] ${lensInfo.uuid} - ${summary.unsupported_features.join(', ')}`);
+            result.unsupported++;
+        } else if (summary.is_supported === null) {
+            result.unknown++;
+        }
+
+        lensInfo[key] = summary;
+        result.inspected++;
+        return true;
+    }
+
+    try {
+        console.log(`[Inspect] Inspecting mirrored lenses in '${storage.getOutputDir()}'${dryRun ? ' (dry run)' : ''}`);
+
+        const lenses = (catalog) ? catalog.iterateLenses() : storage.iterateLensInfo();
+        for await (const lensInfo of lenses) {
+            if (!lensInfo?.uuid || (lensInfo.is_mirrored !== true && lensInfo.is_backed_up !== true)) {
+                result.skipped++;
+                continue;
+            }
+
+            const boltFolderPath = await storage.getBoltFolderPath(lensInfo);
+            let isChanged = false;
+
+            if (lensInfo.is_mirrored === true) {
+                isChanged = await inspectFile(lensInfo, path.join(boltFolderPath, 'lens.lns'), 'bolt_summary') || isChanged;
+            }
+
+            if (lensInfo.is_backed_up === true) {
+                isChanged = await inspectFile(lensInfo, path.join(boltFolderPath, 'lens.zip'), 'backup_bolt_summary') || isChanged;
+            }
+
+            if (isChanged && !dryRun) {
+                await saveLensInfo(lensInfo);
+            }
+        }
+
+        console.log(`[Finished] Inspected ${result.inspected} files, ${result.unsupported} unsupported, ${result.unknown} of unknown support, ${result.failed} failed, skipped ${result.skipped} Lenses`);
+    } catch (e) {
+        console.error(e);
+    }
+
+    catalog?.close();
+
+    if (result.failed) {
+        process.exitCode = 1;
+    }
+}
+
+if (args.positionals.length) {
+    await inspectFiles(args.positionals);
+} else {
+    await inspectMirror();
+}
@@ -0,0 +1,187 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+class LensCatalog {
+    // queryable columns, the complete lens info is stored as JSON
+    static COLUMNS = [
+        'unlockable_id',
+        'lens_id',
+        'lens_name',
+        'lens_status',
+        'user_name',
+        'user_display_name',
+        'obfuscated_user_slug',
+        'lens_url',
+        'signature',
+        'sha256',
+        'last_updated',
+        'is_mirrored',
+        'is_backed_up',
+        'is_download_broken',
+    ];
+
+    static BOOLEAN_COLUMNS = ['is_mirrored', 'is_backed_up', 'is_download_broken'];
+
+    #filePath;
+    #db = null;
+    #statements = {};
+
+    constructor({ filePath = './output/catalog.sqlite' } = {}) {
+        this.#filePath = path.resolve(filePath);
+    }
+
+    getFilePath() { return this.#filePath; }
+
+    async open() {
+        if (this.#db) {
+            return;
+        }
+
+        // the driver is only needed when the catalog is actually used
+        const { default: Database } = await import('better-sqlite3');
+
+        await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+        this.#db = new Database(this.#filePath);
+        this.#db.pragma('journal_mode = WAL');
+
+        const columns = LensCatalog.COLUMNS.map((column) => `${column} ${LensCatalog.BOOLEAN_COLUMNS.includes(column) ? 'INTEGER' : 'TEXT'}`);
+        this.#db.exec(`
+            CREATE TABLE IF NOT EXISTS lenses (
+                uuid TEXT PRIMARY KEY NOT NULL,
+                ${columns.join(',\n                ')},
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_lenses_unlockable_id ON lenses (unlockable_id);
+            CREATE INDEX IF NOT EXISTS idx_lenses_obfuscated_user_slug ON lenses (obfuscated_user_slug);
+            CREATE INDEX IF NOT EXISTS idx_lenses_user_name ON lenses (user_name);
+        `);
+
+        const placeholders = ['uuid', ...LensCatalog.COLUMNS, 'data', 'updated_at'];
+        this.#statements = {
+            get: this.#db.prepare(`SELECT data FROM lenses WHERE uuid = ?`),
+            page: this.#db.prepare(`SELECT uuid, data FROM lenses WHERE uuid > ? ORDER BY uuid LIMIT ?`),
+            save: this.#db.prepare(`
+                INSERT INTO lenses (${placeholders.join(', ')}) VALUES (${placeholders.map(() => '?').join(', ')})
+                ON CONFLICT (uuid) DO UPDATE SET ${placeholders.slice(1).map((column) => `${column} = excluded.${column}`).join(', ')}
+            `),
+            delete: this.#db.prepare(`DELETE FROM lenses WHERE uuid = ?`),
+            count: this.#db.prepare(`SELECT COUNT(*) AS count FROM lenses`),
+            removed: this.#db.prepare(`
+                SELECT uuid, CAST(json_extract(data, '$.removed_at') AS INTEGER) AS removed_at FROM lenses
+                WHERE lens_status = 'Removed' AND is_mirrored IS NOT 1 ORDER BY removed_at DESC
+            `),
+        };
+    }
+
+    close() {
+        if (this.#db) {
+            this.#db.close();
+            this.#db = null;
+            this.#statements = {};
+        }
+    }
+
+    getLens(uuid) {
+        const row = this.#statements.get.get(uuid.toLowerCase());
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    saveLens(lensInfo) {
+        const values = LensCatalog.COLUMNS.map((column) => this.#toColumnValue(column, lensInfo[column]));
+        this.#statements.save.run(lensInfo.uuid.toLowerCase(), ...values, JSON.stringify(lensInfo), Date.now());
+    }
+
+    deleteLens(uuid) {
+        this.#statements.delete.run(uuid.toLowerCase());
+    }
+
+    count() {
+        return this.#statements.count.get().count;
+    }
+
+    findLenses({ uuid, unlockableId, obfuscatedUserSlug, userName, lensStatus, isMirrored, isBackedUp, isDownloadBroken, limit, offset } = {}) {
+        const conditions = [];
+        const params = [];
+
+        const filters = [
+            ['uuid', uuid?.toLowerCase()],
+            ['unlockable_id', unlockableId],
+            ['obfuscated_user_slug', obfuscatedUserSlug],
+            ['user_name', userName],
+            ['lens_status', lensStatus],
+        ];
+
+        for (const [column, value] of filters) {
+            if (value !== undefined && value !== null) {
+                conditions.push(`${column} = ?`);
+                params.push(String(value));
+            }
+        }
+
+        const flags = [
+            ['is_mirrored', isMirrored],
+            ['is_backed_up', isBackedUp],
+            ['is_download_broken', isDownloadBroken],
+        ];
+
+        for (const [column, value] of flags) {
+            if (value === true) {
+                conditions.push(`${column} = 1`);
+            } else if (value === false) {
+                conditions.push(`${column} IS NOT 1`);
+            }
+        }
+
+        let sql = `SELECT data FROM lenses`;
+        if (conditions.length) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+
+        sql += ` ORDER BY uuid`;
+        if (Number.isInteger(limit) && limit > 0) {
+            sql += ` LIMIT ${limit}`;
+            if (Number.isInteger(offset) && offset > 0) {
+                sql += ` OFFSET ${offset}`;
+            }
+        }
+
+        return this.#db.prepare(sql).all(...params).map((row) => JSON.parse(row.data));
+    }
+
+    // removed lenses without a mirrored bolt, most recently removed first
+    getRemovedLenses() {
+        return this.#statements.removed.all().map((row) => ({ uuid: row.uuid, removed_at: row.removed_at || 0 }));
+    }
+
+    *iterateLenses({ pageSize = 500 } = {}) {
+        // rows are read page by page, an open cursor would block saveLens() of the caller
+        let lastUuid = '';
+        while (true) {
+            const rows = this.#statements.page.all(lastUuid, pageSize);
+            if (!rows.length) {
+                return;
+            }
+
+            lastUuid = rows.at(-1).uuid;
+            for (const row of rows) {
+                yield JSON.parse(row.data);
+            }
+        }
+    }
+
+    #toColumnValue(column, value) {
+        if (LensCatalog.BOOLEAN_COLUMNS.includes(column)) {
+            return (value === true) ? 1 : (value === false ? 0 : null);
+        }
+
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        return String(value);
+    }
+}
+
+export default LensCatalog;
+export { LensCatalog };
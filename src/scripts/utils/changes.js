@@ -0,0 +1,183 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// fields worth telling users about, download flags and checksums change as a side effect
+const TRACKED_FIELDS = ['lens_url', 'signature', 'last_updated', 'lens_name', 'lens_creator_search_tags', 'lens_status'];
+
+function normalizeValue(value) {
+    // tag order is not meaningful
+    if (Array.isArray(value)) {
+        return JSON.stringify([...value].sort());
+    }
+    return JSON.stringify(value ?? "");
+}
+
+function diffLensInfo(previous, current, fields = TRACKED_FIELDS) {
+    return fields
+        .filter((field) => normalizeValue(previous?.[field]) !== normalizeValue(current?.[field]))
+        .map((field) => ({ field, from: previous?.[field] ?? "", to: current?.[field] ?? "" }));
+}
+
+function escapeXml(value) {
+    return `${value ?? ''}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ChangeLog {
+    static TYPES = ['new', 'updated', 'removed'];
+
+    #filePath;
+    #fields;
+    #entries = [];
+
+    constructor({ filePath = './output/changes.jsonl', fields = TRACKED_FIELDS } = {}) {
+        this.#filePath = path.resolve(filePath);
+        this.#fields = fields;
+    }
+
+    getFilePath() { return this.#filePath; }
+    getFields() { return [...this.#fields]; }
+
+    // entries recorded during this run
+    getEntries() { return [...this.#entries]; }
+
+    // returns the recorded entry or null if no tracked field changed
+    async record(previous, current) {
+        const isNew = !previous || Object.keys(previous).length === 0;
+        const changes = isNew ? [] : diffLensInfo(previous, current, this.#fields);
+        if (!isNew && !changes.length) {
+            return null;
+        }
+
+        let type = 'updated';
+        if (isNew) {
+            type = 'new';
+        } else if (changes.some(({ field, from, to }) => field === 'lens_status' && from === 'Live' && to !== 'Live')) {
+            type = 'removed';
+        }
+
+        const entry = {
+            uuid: current.uuid,
+            type,
+            lens_name: current.lens_name || previous?.lens_name || "",
+            changes,
+            timestamp: Date.now(),
+        };
+
+        this.#entries.push(entry);
+
+        try {
+            await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+            await fs.appendFile(this.#filePath, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (e) {
+            console.error(`Error trying to write ${this.#filePath}:`, e);
+        }
+
+        return entry;
+    }
+
+    // all recorded entries of a lens, oldest first
+    async getHistory(uuid) {
+        let data = '';
+        try {
+            data = await fs.readFile(this.#filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Error trying to read ${this.#filePath}:`, e);
+            }
+            return [];
+        }
+
+        const entries = [];
+        for (const line of data.split(/\r?\n/)) {
+            if (line.includes(uuid)) {
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.uuid === uuid) {
+                        entries.push(entry);
+                    }
+                } catch (e) {
+                    // last line may be incomplete if the process was killed while writing
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    toJsonFeed({ title = 'Lens changes', homePageUrl = 'https://lens.snapchat.com/' } = {}) {
+        return {
+            version: 'https://jsonfeed.org/version/1.1',
+            title,
+            home_page_url: homePageUrl,
+            items: this.#entries.map((entry) => ({
+                id: `${entry.uuid}:${entry.timestamp}`,
+                url: `https://lens.snapchat.com/${entry.uuid}`,
+                title: ChangeLog.#getTitle(entry),
+                content_text: ChangeLog.#getSummary(entry),
+                date_published: new Date(entry.timestamp).toISOString(),
+                tags: [entry.type],
+                _lens: entry,
+            })),
+        };
+    }
+
+    toAtom({ title = 'Lens changes', id = 'urn:snap-lens-web-crawler:changes' } = {}) {
+        const updated = new Date(this.#entries.at(-1)?.timestamp || Date.now()).toISOString();
+        const entries = this.#entries.map((entry) => [
+            '  <entry>',
+            `    <id>urn:lens:${escapeXml(entry.uuid)}:${entry.timestamp}</id>`,
+            `    <title>${escapeXml(ChangeLog.#getTitle(entry))}</title>`,
+            `    <link href="https://lens.snapchat.com/${escapeXml(entry.uuid)}"/>`,
+            `    <updated>${new Date(entry.timestamp).toISOString()}</updated>`,
+            `    <category term="${entry.type}"/>`,
+            `    <summary>${escapeXml(ChangeLog.#getSummary(entry))}</summary>`,
+            '  </entry>',
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <id>${escapeXml(id)}</id>`,
+            `  <title>${escapeXml(title)}</title>`,
+            `  <updated>${updated}</updated>`,
+            '  <author><name>snap-lens-web-crawler</name></author>',
+            ...entries,
+            '</feed>',
+            '',
+        ].join('\n');
+    }
+
+    // the format is chosen by file extension: .json for JSON Feed, anything else is Atom
+    async writeFeed(filePath, options = {}) {
+        const isJson = path.extname(filePath).toLowerCase() === '.json';
+        const content = isJson ? JSON.stringify(this.toJsonFeed(options), null, 2) : this.toAtom(options);
+
+        await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.writeFile(filePath, content, 'utf8');
+
+        return this.#entries.length;
+    }
+
+    clear() {
+        this.#entries.length = 0;
+    }
+
+    static #getTitle(entry) {
+        const label = { new: 'New', updated: 'Updated', removed: 'Removed' }[entry.type] || entry.type;
+        return `[${label}] ${entry.lens_name || entry.uuid}`;
+    }
+
+    static #getSummary(entry) {
+        if (entry.type === 'new') {
+            return `New lens: ${entry.lens_name || entry.uuid}`;
+        }
+        return entry.changes.map(({ field, from, to }) => `${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`).join('\n');
+    }
+}
+
+export default ChangeLog;
+export { ChangeLog, diffLensInfo, TRACKED_FIELDS };
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+class CheckpointJournal {
+    #filePath;
+    #entries = new Map();
+
+    constructor(filePath) {
+        this.#filePath = path.resolve(filePath);
+    }
+
+    getFilePath() { return this.#filePath; }
+
+    async load() {
+        this.#entries.clear();
+
+        let data = '';
+        try {
+            data = await fs.readFile(this.#filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Error trying to read ${this.#filePath}:`, e);
+            }
+            return 0;
+        }
+
+        // terminate a torn last line so new entries are not appended to it
+        if (data && !data.endsWith('\n')) {
+            try {
+                await fs.appendFile(this.#filePath, '\n', 'utf8');
+            } catch (e) {
+                console.error(`Error trying to write ${this.#filePath}:`, e);
+            }
+        }
+
+        let count = 0;
+        for (const line of data.split(/\r?\n/)) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            try {
+                const { type, value } = JSON.parse(line);
+                if (type && value) {
+                    this.#add(type, value);
+                    count++;
+                }
+            } catch (e) {
+                // last line may be incomplete if the process was killed while writing
+            }
+        }
+
+        return count;
+    }
+
+    async reset() {
+        this.#entries.clear();
+        try {
+            await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+            await fs.writeFile(this.#filePath, '', 'utf8');
+        } catch (e) {
+            console.error(`Error trying to reset ${this.#filePath}:`, e);
+        }
+    }
+
+    has(type, value) {
+        return this.#entries.get(type)?.has(value) || false;
+    }
+
+    get(type) {
+        return this.#entries.get(type) || new Set();
+    }
+
+    async record(type, value) {
+        if (this.has(type, value)) {
+            return;
+        }
+
+        this.#add(type, value);
+        try {
+            await fs.appendFile(this.#filePath, JSON.stringify({ type, value, timestamp: Date.now() }) + '\n', 'utf8');
+        } catch (e) {
+            console.error(`Error trying to write ${this.#filePath}:`, e);
+        }
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+
+    #add(type, value) {
+        if (!this.#entries.has(type)) {
+            this.#entries.set(type, new Set());
+        }
+        this.#entries.get(type).add(value);
+    }
+}
+
+export default CheckpointJournal;
+export { CheckpointJournal };
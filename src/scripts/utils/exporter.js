@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+
+// files copied from each bolt folder, lens.lns is required
+const BOLT_FILES = ['lens.lns', 'lens.sha256', 'lens.sig', 'lens.zip', 'lens.original.sha256', 'lens.original.sig'];
+
+function toCsvValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (typeof value === 'object') {
+        value = JSON.stringify(value);
+    }
+
+    value = String(value);
+    if (/[",\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+
+    return value;
+}
+
+async function writeChunk(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+async function closeStream(stream) {
+    stream.end();
+    await once(stream, 'finish');
+}
+
+async function copyFile(source, destination, hardlink) {
+    await fs.rm(destination, { force: true });
+    if (hardlink) {
+        try {
+            await fs.link(source, destination);
+            return;
+        } catch (e) {
+            // fall back to copying across file systems
+        }
+    }
+    await fs.copyFile(source, destination);
+}
+
+async function exportLensBundle(lenses, { storage, bundleDir, columns = [], baseUrl = '', hardlink = false, supportedOnly = false }) {
+    bundleDir = path.resolve(bundleDir);
+    await fs.mkdir(path.join(bundleDir, 'bolts'), { recursive: true });
+
+    const urlFor = (relativePath) => (baseUrl) ? `${baseUrl.replace(/\/+$/, '')}/${relativePath}` : relativePath;
+
+    const jsonFilePath = path.join(bundleDir, 'lenses.json');
+    const csvFilePath = path.join(bundleDir, 'lenses.csv');
+    const csvRowsFilePath = `${csvFilePath}.rows`;
+
+    const jsonStream = createWriteStream(jsonFilePath, { encoding: 'utf8' });
+    const csvRowsStream = createWriteStream(csvRowsFilePath, { encoding: 'utf8' });
+
+    // columns are collected while exporting, so new lens fields end up in the CSV automatically
+    const csvColumns = [...columns];
+    const result = { exported: 0, skipped: 0, missing: 0, unsupported: 0, unknown: 0 };
+
+    await writeChunk(jsonStream, '[\n');
+
+    for await (let lensInfo of lenses) {
+        if (!lensInfo?.uuid || lensInfo.is_mirrored !== true) {
+            result.skipped++;
+            continue;
+        }
+
+        // lenses which were never inspected or have no recognized metadata are of unknown support
+        if (supportedOnly && lensInfo.bolt_summary?.is_supported !== true) {
+            if (lensInfo.bolt_summary?.is_supported === false) {
+                result.unsupported++;
+            } else {
+                result.unknown++;
+            }
+            continue;
+        }
+
+        const uuid = lensInfo.uuid.toLowerCase();
+        const sourceFolderPath = await storage.getBoltFolderPath(lensInfo);
+        const targetFolderPath = path.join(bundleDir, 'bolts', uuid);
+
+        const copiedFiles = new Set();
+        try {
+            await fs.mkdir(targetFolderPath, { recursive: true });
+            for (const fileName of BOLT_FILES) {
+                try {
+                    await copyFile(path.join(sourceFolderPath, fileName), path.join(targetFolderPath, fileName), hardlink);
+                    copiedFiles.add(fileName);
+                } catch (e) {
+                    if (e.code !== 'ENOENT') {
+                        throw e;
+                    }
+                }
+            }
+        } catch (e) {
+            console.error(`Error trying to export bolt files of lens: ${uuid}`, e);
+        }
+
+        if (!copiedFiles.has('lens.lns')) {
+            console.error(`[Export] Bolt file is missing for lens: ${uuid}`);
+            await fs.rm(targetFolderPath, { recursive: true, force: true });
+            result.missing++;
+            continue;
+        }
+
+        lensInfo = { ...lensInfo, lens_url: urlFor(`bolts/${uuid}/lens.lns`) };
+        if (copiedFiles.has('lens.zip')) {
+            lensInfo.lens_backup_url = urlFor(`bolts/${uuid}/lens.zip`);
+        }
+
+        Object.keys(lensInfo).forEach((key) => {
+            if (!csvColumns.includes(key)) {
+                csvColumns.push(key);
+            }
+        });
+
+        await writeChunk(jsonStream, `${result.exported ? ',\n' : ''}${JSON.stringify(lensInfo)}`);
+        await writeChunk(csvRowsStream, JSON.stringify(lensInfo) + '\n');
+        result.exported++;
+    }
+
+    await writeChunk(jsonStream, '\n]\n');
+    await closeStream(jsonStream);
+    await closeStream(csvRowsStream);
+
+    // the header is only known after all lenses were seen
+    const csvStream = createWriteStream(csvFilePath, { encoding: 'utf8' });
+    await writeChunk(csvStream, csvColumns.map(toCsvValue).join(',') + '\r\n');
+    await pipeline(
+        createReadStream(csvRowsFilePath, { encoding: 'utf8' }),
+        async function* (source) {
+            let remainder = '';
+            for await (const chunk of source) {
+                const lines = (remainder + chunk).split('\n');
+                remainder = lines.pop();
+                for (const line of lines.filter(Boolean)) {
+                    const lensInfo = JSON.parse(line);
+                    yield csvColumns.map((column) => toCsvValue(lensInfo[column])).join(',') + '\r\n';
+                }
+            }
+        },
+        csvStream
+    );
+    await fs.rm(csvRowsFilePath, { force: true });
+
+    return result;
+}
+
+export { exportLensBundle };
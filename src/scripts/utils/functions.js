@@ -6,10 +6,19 @@ import { createReadStream } from 'fs';
 import { pipeline } from 'stream/promises';
 import RelayServer from '../../lib/relay.js';
 import SnapLensWebCrawler from "../../lib/crawler.js";
-import { CrawlerFailure, CrawlerNotFoundFailure } from '../../lib/failure.js';
+import LensCatalog from './catalog.js';
+import LensStorage from './storage.js';
+import ChangeLog from './changes.js';
+import BoltInspector from '../../lib/inspector.js';
+import { CrawlerFailure, CrawlerNotFoundFailure, CrawlerChecksumFailure } from '../../lib/failure.js';
 
-const boltBasePath = "./output/bolts/";
-const infoBasePath = "./output/info/";
+// bolts are served with varying binary or missing content types, only known error page types are refused
+// HTML and XML bodies are always refused by the crawler, an allowlist can be passed to crawlLenses
+const BOLT_REJECTED_CONTENT_TYPES = ['text/*', 'application/json', 'application/problem+json', 'application/xml'];
+const BOLT_MAX_SIZE = 100 * 1024 * 1024;
+
+// a single 404 may be a hiccup, lenses are marked as removed after several runs
+const REMOVAL_THRESHOLD = 3;
 
 async function detectSeparator(filePath) {
     const separators = [',', ';', '\t', '|'];
@@ -46,6 +55,27 @@ async function readCSV(filePath) {
     return rows;
 }
 
+function parseScriptArgs(argv) {
+    const positionals = [];
+    const flags = new Set();
+    const values = new Map();
+
+    for (const arg of argv) {
+        if (arg.startsWith('--')) {
+            const [key, ...value] = arg.split('=');
+            if (value.length) {
+                values.set(key, value.join('='));
+            } else {
+                flags.add(key);
+            }
+        } else {
+            positionals.push(arg);
+        }
+    }
+
+    return { positionals, flags, values };
+}
+
 async function readTextFile(filePath) {
     const data = await fs.readFile(filePath, 'utf8');
     return data.split(/\r?\n/).filter(line => line.trim() !== '');
@@ -61,6 +91,24 @@ async function generateSha256(filePath) {
     }
 }
 
+function isSha256(value) {
+    return (typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value));
+}
+
+async function verifyBoltFile(filePath, expectedSha256, url = '') {
+    const sha256 = await generateSha256(filePath);
+    if (!sha256) {
+        return new CrawlerFailure(`Unable to generate checksum of file: ${filePath}`, url);
+    }
+
+    // checksums in other formats can not be compared
+    if (isSha256(expectedSha256) && expectedSha256.toUpperCase() !== sha256) {
+        return new CrawlerChecksumFailure(`Checksum mismatch of file: ${filePath}`, expectedSha256.toUpperCase(), sha256, url);
+    }
+
+    return sha256;
+}
+
 async function writeValueToFile(value, filePath) {
     if (value) {
         try {
@@ -72,16 +120,108 @@ async function writeValueToFile(value, filePath) {
 }
 
 function getLensInfoTemplate() {
-    return Object.assign(SnapLensWebCrawler.formatLensItem({}), {
+    return Object.assign(SnapLensWebCrawler.formatLensItem({}, { lensStatus: "" }), {
+        first_seen: "",
+        last_seen: "",
+        removed_at: "",
+        not_found_count: 0,
         lens_id: "",
         lens_url: "",
         signature: "",
         sha256: "",
+        lens_checksum: "",
         last_updated: "",
         is_mirrored: "",
     });
 }
 
+async function openLensStorage(args) {
+    try {
+        const storage = new LensStorage({ outputDir: args.values.get('--output'), layout: args.values.get('--layout') });
+        await storage.checkLayout();
+        return storage;
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+async function openLensCatalog(args, storage) {
+    // --catalog uses the default location, --catalog=<file> a custom one
+    const filePath = args.values.get('--catalog') || (args.flags.has('--catalog') ? path.join(storage.getOutputDir(), 'catalog.sqlite') : null);
+    if (!filePath) {
+        return null;
+    }
+
+    const catalog = new LensCatalog({ filePath });
+    await catalog.open();
+
+    return catalog;
+}
+
+function openChangeLog(args, storage) {
+    // --change-log uses the default location, --change-log=<file> a custom one, --feed implies a change log
+    const filePath = args.values.get('--change-log') || ((args.flags.has('--change-log') || args.values.has('--feed')) ? path.join(storage.getOutputDir(), 'changes.jsonl') : null);
+    return filePath ? new ChangeLog({ filePath }) : null;
+}
+
+async function writeChangeFeed(args, changeLog) {
+    const feedPath = args.values.get('--feed');
+    if (!changeLog || !feedPath) {
+        return;
+    }
+
+    try {
+        const count = await changeLog.writeFeed(feedPath);
+        console.log(`[Feed] Wrote ${count} changes to: '${feedPath}'`);
+    } catch (e) {
+        console.error(`Error trying to write ${feedPath}:`, e);
+    }
+}
+
+function getLensStatusOptions(args) {
+    return {
+        checkLensStatus: args.flags.has('--check-status'),
+        removalThreshold: args.values.get('--removal-threshold'),
+        prioritizeRemoved: args.flags.has('--prioritize-removed'),
+    };
+}
+
+function markLensSeen(lensInfo, timestamp) {
+    lensInfo.lens_status = "Live";
+    lensInfo.first_seen = lensInfo.first_seen || timestamp;
+    lensInfo.last_seen = timestamp;
+    lensInfo.removed_at = "";
+    lensInfo.not_found_count = 0;
+}
+
+// returns true if the lens was marked as removed
+function markLensNotFound(lensInfo, timestamp, removalThreshold) {
+    lensInfo.not_found_count = (parseInt(lensInfo.not_found_count) || 0) + 1;
+
+    if (lensInfo.not_found_count >= removalThreshold && lensInfo.lens_status !== "Removed") {
+        lensInfo.lens_status = "Removed";
+        lensInfo.removed_at = timestamp;
+        return true;
+    }
+
+    return false;
+}
+
+async function inspectBoltFile(inspector, filePath, logger) {
+    const summary = await inspector.inspect(filePath);
+    if (summary instanceof CrawlerFailure) {
+        logger.error(`[Inspect] ${filePath} - ${summary.message}`);
+        return null;
+    }
+
+    if (summary.is_supported === false) {
+        logger.warn(`[Unsupported] ${filePath} - ${summary.unsupported_features.join(', ')}`);
+    }
+
+    return summary;
+}
+
 function isLensInfoMissing(lensInfo) {
     const isLensIdMissing = (!lensInfo.unlockable_id);
     const isLensNameMissing = (!lensInfo.lens_name);
@@ -91,254 +231,443 @@ function isLensInfoMissing(lensInfo) {
     return (isLensIdMissing || isLensNameMissing || isUserNameMissing || isCreatorTagsMissing);
 }
 
-async function crawlLenses(lenses, { queryArchive = true, queryRelayServer = true, retryBrokenDownloads = false, overwriteExistingBolts = false, overwriteExistingData = false, saveIncompleteLensInfo = false, crawler = null, resolvedLensCache = null } = {}) {
-    let destroyCrawler = false;
-    let clearResolvedCache = false;
-
-    if (!(crawler instanceof SnapLensWebCrawler)) {
-        crawler = new SnapLensWebCrawler({ cacheTTL: 86400, maxRequestRetries: 2 });
-        destroyCrawler = true;
+function createLensLogger(buffered) {
+    if (!buffered) {
+        return { log: console.log, info: console.info, warn: console.warn, error: console.error, flush: () => { } };
     }
 
-    if (!(resolvedLensCache instanceof Set)) {
-        resolvedLensCache = new Set();
-        clearResolvedCache = true;
-    }
+    // messages are held back and printed in one block per lens
+    const messages = [];
+    return {
+        log: (...args) => messages.push(['log', args]),
+        info: (...args) => messages.push(['info', args]),
+        warn: (...args) => messages.push(['warn', args]),
+        error: (...args) => messages.push(['error', args]),
+        flush: () => {
+            messages.forEach(([method, args]) => console[method](...args));
+            messages.length = 0;
+        }
+    };
+}
 
-    const relayServer = new RelayServer({
-        connectionTimeoutMs: crawler.getConnectionTimeout(),
-        failedRequestDelayMs: crawler.getFailedRequestDelay(),
-        maxRequestRetries: crawler.getMaxRequestRetries(),
-        verbose: crawler.isVerbose()
+async function runPool(items, concurrency, worker) {
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
     });
 
-    for (let lensInfo of lenses) {
-        try {
-            if (lensInfo.uuid) {
-                lensInfo.uuid = lensInfo.uuid.toLowerCase();
+    await Promise.all(runners);
+}
 
-                if (resolvedLensCache && resolvedLensCache.has(lensInfo.uuid)) {
-                    continue;
-                }
+async function crawlLens(lensInfo, { queryArchive, queryRelayServer, retryBrokenDownloads, overwriteExistingBolts, overwriteExistingData, saveIncompleteLensInfo, maxBoltSize, allowedContentTypes, checkLensStatus, markSeen, removalThreshold, crawler, relayServer, inspector, storage, catalog, changeLog, resolvedLensCache, claimedLenses, checkpoint, logger }) {
+    try {
+        if (lensInfo.uuid) {
+            lensInfo.uuid = lensInfo.uuid.toLowerCase();
 
-                const infoFolderPath = path.resolve(`${infoBasePath}${lensInfo.uuid}`);
-                const infoFilePath = path.join(infoFolderPath, "lens.json");
+            // skip lenses resolved earlier or claimed by a concurrent worker
+            if (resolvedLensCache.has(lensInfo.uuid) || claimedLenses.has(lensInfo.uuid)) {
+                return;
+            }
 
-                // read existing lens info from file
-                let existingLensInfo = {};
-                try {
-                    const data = await fs.readFile(infoFilePath, 'utf8');
-
-                    existingLensInfo = JSON.parse(data);
-                    if (existingLensInfo) {
-                        if (existingLensInfo.lens_url && lensInfo.lens_url && existingLensInfo.lens_url !== lensInfo.lens_url && (existingLensInfo.is_mirrored !== true || overwriteExistingData)) {
-                            // keep latest information, overwrite existing data and reset download flags
-                            console.info(`[URL Replace] Replacing URL for Lens: ${lensInfo.uuid}`);
-                            lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, existingLensInfo);
-                            lensInfo.sha256 = "";
-                            lensInfo.is_mirrored = "";
-                            lensInfo.is_download_broken = "";
-                        } else if (overwriteExistingData) {
-                            // keep latest information and overwrite existing data 
-                            lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, existingLensInfo);
-                        } else {
-                            // keep existing data and add missing information only
-                            lensInfo = SnapLensWebCrawler.mergeLensItems(existingLensInfo, lensInfo);
-                            lensInfo.uuid = lensInfo.uuid.toLowerCase();
-                        }
-                    }
-                } catch (err) {
-                    if (err.code !== 'ENOENT') {
-                        console.error(`Error trying to read ${infoFilePath}:`, err);
+            claimedLenses.add(lensInfo.uuid);
+
+            let infoFolderPath = await storage.getInfoFolderPath(lensInfo);
+            let infoFilePath = path.join(infoFolderPath, "lens.json");
+
+            // read existing lens info from catalog or file
+            // lens.json files are used as fallback to migrate existing data into the catalog
+            let existingLensInfo = {};
+            try {
+                const storedLensInfo = catalog?.getLens(lensInfo.uuid) || JSON.parse(await fs.readFile(infoFilePath, 'utf8'));
+                if (storedLensInfo) {
+                    existingLensInfo = storedLensInfo;
+
+                    if (existingLensInfo.lens_url && lensInfo.lens_url && existingLensInfo.lens_url !== lensInfo.lens_url && (existingLensInfo.is_mirrored !== true || overwriteExistingData)) {
+                        // keep latest information, overwrite existing data and reset download flags
+                        logger.info(`[URL Replace] Replacing URL for Lens: ${lensInfo.uuid}`);
+                        lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, existingLensInfo);
+                        lensInfo.sha256 = "";
+                        lensInfo.is_mirrored = "";
+                        lensInfo.is_download_broken = "";
+                        delete lensInfo.is_checksum_mismatch;
+                        delete lensInfo.bolt_summary;
+                    } else if (overwriteExistingData) {
+                        // keep latest information and overwrite existing data 
+                        lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, existingLensInfo);
+                    } else {
+                        // keep existing data and add missing information only
+                        lensInfo = SnapLensWebCrawler.mergeLensItems(existingLensInfo, lensInfo);
+                        lensInfo.uuid = lensInfo.uuid.toLowerCase();
                     }
                 }
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    logger.error(`Error trying to read ${infoFilePath}:`, err);
+                }
+            }
 
-                // try to resolve missing information from single page
-                // lens URL's are no longer available
-                if (isLensInfoMissing(lensInfo)) {
-                    console.log(`[Crawling] https://lens.snapchat.com/${lensInfo.uuid}`);
+            const timestamp = Date.now();
+            let isRemovedNow = false;
 
-                    const liveLensInfo = await crawler.getLensByHash(lensInfo.uuid);
-                    if (!(liveLensInfo instanceof CrawlerFailure)) {
-                        lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, liveLensInfo);
+            // failures which may go away are tried again when an import is resumed
+            let hasFailures = false;
 
-                        // mark search tags as non existing (prevent unecessary re-crawl)
-                        if (lensInfo.lens_creator_search_tags.length === 0) {
-                            lensInfo.has_search_tags = false;
-                        }
+            // lenses of live listings were just seen online
+            if (markSeen) {
+                markLensSeen(lensInfo, timestamp);
+            }
+
+            // try to resolve missing information from single page
+            // lens URL's are no longer available
+            if (isLensInfoMissing(lensInfo) || (checkLensStatus && !markSeen)) {
+                logger.log(`[Crawling] https://lens.snapchat.com/${lensInfo.uuid}`);
+
+                const liveLensInfo = await crawler.getLensByHash(lensInfo.uuid);
+                if (!(liveLensInfo instanceof CrawlerFailure)) {
+                    lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, liveLensInfo);
+                    markLensSeen(lensInfo, timestamp);
+
+                    // mark search tags as non existing (prevent unecessary re-crawl)
+                    if (lensInfo.lens_creator_search_tags.length === 0) {
+                        lensInfo.has_search_tags = false;
+                    }
+                } else if (liveLensInfo instanceof CrawlerNotFoundFailure && !markSeen) {
+                    // other failures say nothing about the lens itself
+                    isRemovedNow = markLensNotFound(lensInfo, timestamp, removalThreshold);
+                    if (isRemovedNow) {
+                        logger.warn(`[Removed] ${lensInfo.uuid} - not found ${lensInfo.not_found_count} times`);
                     }
+                } else if (!(liveLensInfo instanceof CrawlerNotFoundFailure)) {
+                    hasFailures = true;
                 }
+            }
 
-                // try to resolve missing URL's from archived snapshots
-                const queryArchiveCondition = (queryArchive && !lensInfo.lens_url && lensInfo.has_archived_snapshots !== false);
-                if (queryArchiveCondition) {
-                    console.log(`[Wayback Machine] Trying to find lens: ${lensInfo.uuid}`);
-
-                    const archivedLensInfo = await crawler.getLensByArchivedSnapshot(lensInfo.uuid);
-                    if (!(archivedLensInfo instanceof CrawlerFailure)) {
-                        lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, archivedLensInfo);
+            // try to resolve missing URL's from archived snapshots
+            // snapshots may have been taken since the last attempt, so they are queried again when a lens was just removed
+            const queryArchiveCondition = (queryArchive && !lensInfo.lens_url && (lensInfo.has_archived_snapshots !== false || isRemovedNow));
+            if (queryArchiveCondition) {
+                logger.log(`[Archive] Trying to find lens: ${lensInfo.uuid}`);
 
-                        // mark the non-existence of archived snapshots (prevent unecessary re-crawl)
-                        if (!archivedLensInfo.lens_url) {
-                            lensInfo.has_archived_snapshots = false;
-                        } else if (archivedLensInfo.snapshot) {
-                            console.log(`[Found Snapshot] ${archivedLensInfo.uuid} - ${archivedLensInfo.snapshot.date}`);
+                const archivedLensInfo = await crawler.getLensByArchivedSnapshot(lensInfo.uuid);
+                if (!(archivedLensInfo instanceof CrawlerFailure)) {
+                    lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, archivedLensInfo);
 
-                            // save reference
-                            lensInfo.from_snapshot = archivedLensInfo.snapshot.url;
-                        }
+                    // mark the non-existence of archived snapshots (prevent unecessary re-crawl)
+                    if (!archivedLensInfo.lens_url) {
+                        lensInfo.has_archived_snapshots = false;
+                    } else if (archivedLensInfo.snapshot) {
+                        logger.log(`[Found Snapshot] ${archivedLensInfo.uuid} - ${archivedLensInfo.snapshot.date}`);
 
-                        // do not store snapshot
-                        delete lensInfo.snapshot;
+                        // save reference
+                        lensInfo.from_snapshot = archivedLensInfo.snapshot.url;
                     }
-                }
 
-                // fix missing lens ID
-                if (!lensInfo.lens_id && lensInfo.unlockable_id) {
-                    lensInfo.lens_id = lensInfo.unlockable_id;
+                    // do not store snapshot
+                    delete lensInfo.snapshot;
+                } else if (!(archivedLensInfo instanceof CrawlerNotFoundFailure)) {
+                    hasFailures = true;
                 }
+            }
 
-                // fix missing unlockable ID
-                if (!lensInfo.unlockable_id && lensInfo.lens_id) {
-                    lensInfo.unlockable_id = lensInfo.lens_id;
-                }
+            // fix missing lens ID
+            if (!lensInfo.lens_id && lensInfo.unlockable_id) {
+                lensInfo.lens_id = lensInfo.unlockable_id;
+            }
 
-                // unlock URL can be set manually
-                if (!lensInfo.deeplink) {
-                    lensInfo.deeplink = SnapLensWebCrawler.deeplinkUrl(lensInfo.uuid);
-                }
+            // fix missing unlockable ID
+            if (!lensInfo.unlockable_id && lensInfo.lens_id) {
+                lensInfo.unlockable_id = lensInfo.lens_id;
+            }
 
-                // snapcode URL can be set manually
-                if (!lensInfo.snapcode_url) {
-                    lensInfo.snapcode_url = SnapLensWebCrawler.snapcodeUrl(lensInfo.uuid);
-                }
+            // unlock URL can be set manually
+            if (!lensInfo.deeplink) {
+                lensInfo.deeplink = SnapLensWebCrawler.deeplinkUrl(lensInfo.uuid);
+            }
 
-                // try to obtain rare creator slug
-                if (!lensInfo.obfuscated_user_slug && lensInfo.lens_id && queryRelayServer) {
-                    const relayLensInfo = await relayServer.getLens(lensInfo.lens_id);
-                    if (relayLensInfo && relayLensInfo.obfuscated_user_slug) {
-                        lensInfo.obfuscated_user_slug = relayLensInfo.obfuscated_user_slug;
-                    }
+            // snapcode URL can be set manually
+            if (!lensInfo.snapcode_url) {
+                lensInfo.snapcode_url = SnapLensWebCrawler.snapcodeUrl(lensInfo.uuid);
+            }
+
+            // try to obtain rare creator slug
+            if (!lensInfo.obfuscated_user_slug && lensInfo.lens_id && queryRelayServer) {
+                const relayLensInfo = await relayServer.getLens(lensInfo.lens_id);
+                if (relayLensInfo && !(relayLensInfo instanceof CrawlerFailure) && relayLensInfo.obfuscated_user_slug) {
+                    lensInfo.obfuscated_user_slug = relayLensInfo.obfuscated_user_slug;
                 }
+            }
+
+            // the storage layout may depend on information resolved above
+            const lensPaths = await storage.locate(lensInfo);
+            infoFolderPath = lensPaths.infoFolderPath;
+            infoFilePath = path.join(infoFolderPath, "lens.json");
+
+            const boltFolderPath = lensPaths.boltFolderPath;
+            const lensFilePath = path.join(boltFolderPath, "lens.lns");
+            const zipFilePath = path.join(boltFolderPath, "lens.zip");
 
-                const boltFolderPath = path.resolve(`${boltBasePath}${lensInfo.uuid}`);
-                const lensFilePath = path.join(boltFolderPath, "lens.lns");
-                const zipFilePath = path.join(boltFolderPath, "lens.zip");
+            const mirrorDownloadCondition = (lensInfo.is_mirrored !== true || overwriteExistingBolts);
+            const brokenDownloadCondition = ((lensInfo.is_download_broken !== true && lensInfo.is_checksum_mismatch !== true) || retryBrokenDownloads);
+
+            let isBoltDownloaded = false;
+
+            // download and write lens bolt to file and generate a checksum and signature file
+            if (lensInfo.lens_url && mirrorDownloadCondition && brokenDownloadCondition) {
+                let boltFileExists = false;
+                try {
+                    // check if file is present for sha-256 generation
+                    await fs.access(lensFilePath);
+                    boltFileExists = true;
+                } catch { }
 
-                const mirrorDownloadCondition = (lensInfo.is_mirrored !== true || overwriteExistingBolts);
-                const brokenDownloadCondition = (lensInfo.is_download_broken !== true || retryBrokenDownloads);
+                if ((!boltFileExists && lensInfo.is_mirrored !== true) || overwriteExistingBolts) {
+                    logger.log(`[Downloading] ${lensInfo.lens_url}`);
 
-                // download and write lens bolt to file and generate a checksum and signature file
-                if (lensInfo.lens_url && mirrorDownloadCondition && brokenDownloadCondition) {
-                    let boltFileExists = false;
-                    try {
-                        // check if file is present for sha-256 generation
-                        await fs.access(lensFilePath);
+                    // actually download the lens bolt
+                    const downloadResult = await crawler.downloadFile(lensInfo.lens_url, lensFilePath, { maxBytes: maxBoltSize, allowedContentTypes, rejectedContentTypes: BOLT_REJECTED_CONTENT_TYPES });
+                    if (downloadResult === true) {
                         boltFileExists = true;
-                    } catch { }
-
-                    if ((!boltFileExists && lensInfo.is_mirrored !== true) || overwriteExistingBolts) {
-                        console.log(`[Downloading] ${lensInfo.lens_url}`);
-
-                        // actually download the lens bolt
-                        const downloadResult = await crawler.downloadFile(lensInfo.lens_url, lensFilePath);
-                        if (downloadResult === true) {
-                            boltFileExists = true;
-                            delete lensInfo.is_download_broken;
-                        } else if (downloadResult instanceof CrawlerNotFoundFailure && !boltFileExists) {
-                            // prevent unecessary re-download attempts
-                            lensInfo.is_download_broken = true;
-                        }
+                        isBoltDownloaded = true;
+                        delete lensInfo.is_download_broken;
+                    } else if (downloadResult instanceof CrawlerNotFoundFailure && !boltFileExists) {
+                        // prevent unecessary re-download attempts
+                        lensInfo.is_download_broken = true;
+                    } else if (!(downloadResult instanceof CrawlerNotFoundFailure)) {
+                        hasFailures = true;
                     }
+                }
 
-                    if (boltFileExists) {
-                        // file needs to be present for sha-256 generation
-                        lensInfo.sha256 = await generateSha256(lensFilePath);
+                if (boltFileExists) {
+                    // file needs to be present for sha-256 generation
+                    const verifyResult = await verifyBoltFile(lensFilePath, lensInfo.lens_checksum, lensInfo.lens_url);
+                    if (verifyResult instanceof CrawlerChecksumFailure) {
+                        const quarantinePath = await storage.quarantine(lensInfo, lensFilePath);
+                        logger.error(`[Checksum Mismatch] ${lensInfo.uuid} - expected ${verifyResult.expected} got ${verifyResult.actual}, moved to ${quarantinePath}`);
+
+                        // prevent unecessary re-download attempts
+                        lensInfo.sha256 = "";
+                        lensInfo.is_checksum_mismatch = true;
+                    } else if (!(verifyResult instanceof CrawlerFailure)) {
+                        lensInfo.sha256 = verifyResult;
                         await writeValueToFile(lensInfo.sha256, path.join(boltFolderPath, "lens.sha256"));
                         await writeValueToFile(lensInfo.signature, path.join(boltFolderPath, "lens.sig"));
 
+                        delete lensInfo.is_checksum_mismatch;
                         lensInfo.is_mirrored = true;
                     }
                 }
+            }
 
-                // mark file as non-existent
-                if (!lensInfo.lens_url || !lensInfo.is_mirrored) {
-                    lensInfo.is_mirrored = false;
-                }
+            // mark file as non-existent
+            if (!lensInfo.lens_url || !lensInfo.is_mirrored) {
+                lensInfo.is_mirrored = false;
+            }
 
-                // try to get original lens and additional info from relay
-                if (lensInfo.lens_id && queryRelayServer) {
-                    let zipFileExists = false;
-                    try {
-                        // check if file is present for sha-256 generation
-                        await fs.access(zipFilePath);
-                        zipFileExists = true;
-                    } catch { }
-
-                    if (!lensInfo.lens_backup_url || !lensInfo.lens_original_signature || !lensInfo.is_backed_up) {
-                        const unlock = await relayServer.getUnlock(lensInfo.lens_id);
-                        if (unlock) {
-                            lensInfo.lens_backup_url = unlock.lens_url || "";
-                            lensInfo.lens_original_signature = unlock.signature || "";
-                            lensInfo.hint_id = unlock.hint_id || "";
-                            lensInfo.additional_hint_ids = unlock.additional_hint_ids || {};
-
-                            if (unlock.lens_url && !zipFileExists && !lensInfo.is_backed_up) {
-                                console.log(`[Downloading] ${unlock.lens_url}`);
-
-                                if (await crawler.downloadFile(unlock.lens_url, zipFilePath) === true) {
-                                    zipFileExists = true;
-                                }
+            // summarize the bolt once, or again when a new one was downloaded
+            if (inspector && lensInfo.is_mirrored === true && (!lensInfo.bolt_summary || isBoltDownloaded)) {
+                lensInfo.bolt_summary = await inspectBoltFile(inspector, lensFilePath, logger) || lensInfo.bolt_summary;
+            }
+
+            // try to get original lens and additional info from relay
+            if (lensInfo.lens_id && queryRelayServer) {
+                let zipFileExists = false;
+                try {
+                    // check if file is present for sha-256 generation
+                    await fs.access(zipFilePath);
+                    zipFileExists = true;
+                } catch { }
+
+                if (!lensInfo.lens_backup_url || !lensInfo.lens_original_signature || !lensInfo.is_backed_up) {
+                    const unlock = await relayServer.getUnlock(lensInfo.lens_id);
+                    if (unlock && !(unlock instanceof CrawlerFailure)) {
+                        lensInfo.lens_backup_url = unlock.lens_url || "";
+                        lensInfo.lens_original_signature = unlock.signature || "";
+                        lensInfo.hint_id = unlock.hint_id || "";
+                        lensInfo.additional_hint_ids = unlock.additional_hint_ids || {};
+
+                        if (unlock.lens_url && !zipFileExists && !lensInfo.is_backed_up) {
+                            logger.log(`[Downloading] ${unlock.lens_url}`);
+
+                            const downloadResult = await crawler.downloadFile(unlock.lens_url, zipFilePath, { maxBytes: maxBoltSize, allowedContentTypes, rejectedContentTypes: BOLT_REJECTED_CONTENT_TYPES });
+                            if (downloadResult === true) {
+                                zipFileExists = true;
+                                delete lensInfo.backup_bolt_summary;
+                            } else if (!(downloadResult instanceof CrawlerNotFoundFailure)) {
+                                hasFailures = true;
                             }
                         }
                     }
+                }
+
+                if (zipFileExists) {
+                    // file needs to be present for sha-256 generation
+                    lensInfo.lens_original_sha256 = await generateSha256(zipFilePath);
+                    await writeValueToFile(lensInfo.lens_original_sha256, path.join(boltFolderPath, "lens.original.sha256"));
+                    await writeValueToFile(lensInfo.lens_original_signature || "", path.join(boltFolderPath, "lens.original.sig"));
 
-                    if (zipFileExists) {
-                        // file needs to be present for sha-256 generation
-                        lensInfo.lens_original_sha256 = await generateSha256(zipFilePath);
-                        await writeValueToFile(lensInfo.lens_original_sha256, path.join(boltFolderPath, "lens.original.sha256"));
-                        await writeValueToFile(lensInfo.lens_original_signature || "", path.join(boltFolderPath, "lens.original.sig"));
+                    lensInfo.is_backed_up = true;
 
-                        lensInfo.is_backed_up = true;
+                    if (inspector && !lensInfo.backup_bolt_summary) {
+                        const summary = await inspectBoltFile(inspector, zipFilePath, logger);
+                        if (summary) {
+                            lensInfo.backup_bolt_summary = summary;
+                        }
                     }
                 }
+            }
+
+            // write lens info to json file
+            if (lensInfo.lens_url || lensInfo.is_mirrored || lensInfo.is_backed_up || saveIncompleteLensInfo) {
+                try {
+                    // use template to create uniform property order
+                    lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, getLensInfoTemplate());
+
+                    if (JSON.stringify(lensInfo) !== JSON.stringify(existingLensInfo)) {
+                        if (changeLog) {
+                            const change = await changeLog.record(existingLensInfo, lensInfo);
+                            if (change && change.type !== 'new') {
+                                logger.info(`[Changed] ${lensInfo.uuid} - ${change.changes.map(({ field }) => field).join(', ')}`);
+                            }
+                        }
 
-                // write lens info to json file
-                if (lensInfo.lens_url || lensInfo.is_mirrored || lensInfo.is_backed_up || saveIncompleteLensInfo) {
-                    try {
-                        // use template to create uniform property order
-                        lensInfo = SnapLensWebCrawler.mergeLensItems(lensInfo, getLensInfoTemplate());
+                        if (catalog) {
+                            if (Object.keys(existingLensInfo).length === 0) {
+                                logger.log(`[Catalog] Adding new lens: ${lensInfo.uuid}`);
+                            } else {
+                                logger.log(`[Catalog] Updating existing lens: ${lensInfo.uuid}`);
+                            }
 
-                        if (JSON.stringify(lensInfo) !== JSON.stringify(existingLensInfo)) {
+                            catalog.saveLens(lensInfo);
+                        } else {
                             if (Object.keys(existingLensInfo).length === 0) {
-                                console.log(`[Lens.json] Writing new info file: ${lensInfo.uuid}`);
+                                logger.log(`[Lens.json] Writing new info file: ${lensInfo.uuid}`);
                             } else {
-                                console.log(`[Lens.json] Updating existing info file: ${lensInfo.uuid}`);
+                                logger.log(`[Lens.json] Updating existing info file: ${lensInfo.uuid}`);
                             }
 
                             await fs.mkdir(infoFolderPath, { recursive: true });
                             await fs.writeFile(infoFilePath, JSON.stringify(lensInfo, null, 2), 'utf8');
                         }
-                    } catch (err) {
-                        console.error(`Error trying to save ${infoFilePath}:`, err);
                     }
+                } catch (err) {
+                    logger.error(`Error trying to save ${catalog ? catalog.getFilePath() : infoFilePath}:`, err);
+                    hasFailures = true;
                 }
+            }
+
+            // mark lens as resolved for the current crawl iteration
+            // since there are no more sources to query
+            resolvedLensCache.add(lensInfo.uuid);
+
+            if (checkpoint && !hasFailures) {
+                await checkpoint.record('lens', lensInfo.uuid);
+            }
+        } else {
+            logger.error(`Lens UUID is missing`, lensInfo);
+        }
+    } catch (e) {
+        logger.error(`Error trying to process lens: ${lensInfo.uuid}`, e);
+    }
+}
+
+async function readStoredLensInfo(lensInfo, { storage }) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(await storage.getInfoFolderPath(lensInfo), "lens.json"), 'utf8'));
+    } catch {
+        return null;
+    }
+}
 
-                // mark lens as resolved for the current crawl iteration
-                // since there are no more sources to query
-                if (resolvedLensCache) {
-                    resolvedLensCache.add(lensInfo.uuid);
+async function prioritizeRemovedLenses(lenses, { storage, catalog, prioritizeRemoved }) {
+    // removed lenses without a mirrored bolt go first, most recently removed first
+    // their archived snapshots are the only source left and may still be fresh
+    const removedAt = new Map();
+    if (catalog) {
+        // a single query instead of reading every lens
+        catalog.getRemovedLenses().forEach((lensInfo) => removedAt.set(lensInfo.uuid, lensInfo.removed_at));
+    } else if (prioritizeRemoved) {
+        // lens.json files have to be read one by one, so this is opt-in
+        for (const lensInfo of lenses) {
+            if (lensInfo?.uuid) {
+                const storedLensInfo = await readStoredLensInfo({ ...lensInfo, uuid: lensInfo.uuid.toLowerCase() }, { storage });
+                if (storedLensInfo?.lens_status === "Removed" && storedLensInfo.is_mirrored !== true) {
+                    removedAt.set(lensInfo.uuid.toLowerCase(), parseInt(storedLensInfo.removed_at) || 0);
                 }
-            } else {
-                console.error(`Lens UUID is missing`, lensInfo);
             }
-        } catch (e) {
-            console.error(`Error trying to process lens: ${lensInfo.uuid}`, e);
         }
+    }
 
-        lensInfo = null;
+    if (!removedAt.size) {
+        return lenses;
     }
 
+    const isRemoved = (lensInfo) => removedAt.has(lensInfo?.uuid?.toLowerCase());
+    const removed = lenses.filter(isRemoved).sort((a, b) => removedAt.get(b.uuid.toLowerCase()) - removedAt.get(a.uuid.toLowerCase()));
+    return removed.concat(lenses.filter((lensInfo) => !isRemoved(lensInfo)));
+}
+
+async function crawlLenses(lenses, { queryArchive = true, queryRelayServer = true, retryBrokenDownloads = false, overwriteExistingBolts = false, overwriteExistingData = false, saveIncompleteLensInfo = false, maxBoltSize = BOLT_MAX_SIZE, allowedContentTypes = null, checkLensStatus = false, markSeen = false, removalThreshold = REMOVAL_THRESHOLD, prioritizeRemoved = false, inspectBolts = false, concurrency = 1, crawler = null, storage = null, catalog = null, changeLog = null, resolvedLensCache = null, checkpoint = null } = {}) {
+    let destroyCrawler = false;
+    let clearResolvedCache = false;
+
+    if (!(crawler instanceof SnapLensWebCrawler)) {
+        crawler = new SnapLensWebCrawler({ cacheTTL: 86400, maxRequestRetries: 2 });
+        destroyCrawler = true;
+    }
+
+    if (!(storage instanceof LensStorage)) {
+        storage = new LensStorage();
+    }
+
+    await storage.checkLayout();
+
+    if (!(resolvedLensCache instanceof Set)) {
+        resolvedLensCache = new Set();
+        clearResolvedCache = true;
+    }
+
+    const relayServer = new RelayServer({
+        connectionTimeoutMs: crawler.getConnectionTimeout(),
+        failedRequestDelayMs: crawler.getFailedRequestDelay(),
+        maxRequestRetries: crawler.getMaxRequestRetries(),
+        verbose: crawler.isVerbose()
+    });
+
+    // an inspector instance can be passed to customize the summary
+    const inspector = (inspectBolts instanceof BoltInspector) ? inspectBolts : (inspectBolts ? new BoltInspector() : null);
+
+    concurrency = Math.max(parseInt(concurrency) || 1, 1);
+    removalThreshold = Math.max(parseInt(removalThreshold) || REMOVAL_THRESHOLD, 1);
+
+    if (queryArchive) {
+        lenses = await prioritizeRemovedLenses(lenses, { storage, catalog, prioritizeRemoved });
+    }
+
+    const options = { queryArchive, queryRelayServer, retryBrokenDownloads, overwriteExistingBolts, overwriteExistingData, saveIncompleteLensInfo, maxBoltSize, allowedContentTypes, checkLensStatus, markSeen, removalThreshold, crawler, relayServer, inspector, storage, catalog, changeLog, resolvedLensCache, checkpoint };
+    const claimedLenses = new Set();
+
+    // logs of finished lenses, crawler and relay output included, are flushed in input order
+    const loggers = [];
+    let flushIndex = 0;
+
+    await runPool(lenses, concurrency, async (lensInfo, index) => {
+        const logger = createLensLogger(concurrency > 1);
+        await crawler.withConsole(logger, () => relayServer.withConsole(logger, () => crawlLens(lensInfo, { ...options, claimedLenses, logger })));
+
+        loggers[index] = logger;
+        while (loggers[flushIndex]) {
+            loggers[flushIndex].flush();
+            loggers[flushIndex] = null;
+            flushIndex++;
+        }
+    });
+
+    claimedLenses.clear();
+
     lenses = null;
 
     if (destroyCrawler) {
@@ -352,4 +681,4 @@ async function crawlLenses(lenses, { queryArchive = true, queryRelayServer = tru
     }
 }
 
-export { readCSV, readTextFile, crawlLenses };
+export { parseScriptArgs, readCSV, readTextFile, getLensInfoTemplate, openLensStorage, openLensCatalog, openChangeLog, writeChangeFeed, getLensStatusOptions, verifyBoltFile, crawlLenses };
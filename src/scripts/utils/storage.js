@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+class LensStorage {
+    static LAYOUTS = ['flat', 'sharded', 'creator'];
+
+    // folder for lenses without a known creator slug
+    static UNKNOWN_CREATOR = '_unknown';
+
+    #outputDir;
+    #layout;
+    #creatorIndex = null;
+    #layoutCheck = null;
+
+    constructor({ outputDir = './output', layout = 'flat' } = {}) {
+        if (!LensStorage.LAYOUTS.includes(layout)) {
+            throw new TypeError(`Unknown storage layout: ${layout} - valid layouts are: ${LensStorage.LAYOUTS.join(', ')}`);
+        }
+
+        this.#outputDir = path.resolve(outputDir);
+        this.#layout = layout;
+    }
+
+    getOutputDir() { return this.#outputDir; }
+    getLayout() { return this.#layout; }
+    getInfoBasePath() { return path.join(this.#outputDir, 'info'); }
+    getBoltBasePath() { return path.join(this.#outputDir, 'bolts'); }
+    getQuarantineBasePath() { return path.join(this.#outputDir, 'quarantine'); }
+
+    // layouts of existing lens folders, e.g. to tell if the output directory was written with another layout
+    async detectLayouts() {
+        const layouts = new Set();
+
+        for (const basePath of [this.getInfoBasePath(), this.getBoltBasePath()]) {
+            let entries = [];
+            try {
+                entries = await fs.readdir(basePath, { withFileTypes: true });
+            } catch (e) {
+                continue;
+            }
+
+            for (const entry of entries.filter((entry) => entry.isDirectory())) {
+                if (/^[0-9a-f]{32}$/i.test(entry.name)) {
+                    layouts.add('flat');
+                } else if (/^[0-9a-f]{2}$/i.test(entry.name)) {
+                    layouts.add('sharded');
+                } else {
+                    layouts.add('creator');
+                }
+            }
+        }
+
+        return LensStorage.LAYOUTS.filter((layout) => layouts.has(layout));
+    }
+
+    // existing lenses are not migrated, mixing layouts would store them twice
+    checkLayout() {
+        if (!this.#layoutCheck) {
+            this.#layoutCheck = this.detectLayouts().then((layouts) => {
+                const otherLayouts = layouts.filter((layout) => layout !== this.#layout);
+                if (otherLayouts.length) {
+                    throw new TypeError(`Output directory '${this.#outputDir}' uses the ${otherLayouts.join(', ')} layout, not ${this.#layout} - use --layout=${otherLayouts[0]} or another output directory`);
+                }
+            });
+        }
+        return this.#layoutCheck;
+    }
+
+    async getInfoFolderPath(lensInfo) {
+        const segments = await this.#getSegments(lensInfo);
+        return path.join(this.getInfoBasePath(), ...segments);
+    }
+
+    async getBoltFolderPath(lensInfo) {
+        const segments = await this.#getSegments(lensInfo);
+        return path.join(this.getBoltBasePath(), ...segments);
+    }
+
+    async locate(lensInfo) {
+        const uuid = lensInfo.uuid.toLowerCase();
+
+        if (this.#layout === 'creator') {
+            const index = await this.#getCreatorIndex();
+            const storedCreator = index.get(uuid);
+            const creator = this.#creatorFolderName(lensInfo.obfuscated_user_slug);
+
+            // move lenses out of the unknown folder once the creator is known
+            if (storedCreator && storedCreator !== creator && creator !== LensStorage.UNKNOWN_CREATOR) {
+                await this.#move(path.join(this.getInfoBasePath(), storedCreator, uuid), path.join(this.getInfoBasePath(), creator, uuid));
+                await this.#move(path.join(this.getBoltBasePath(), storedCreator, uuid), path.join(this.getBoltBasePath(), creator, uuid));
+            }
+
+            if (!storedCreator || creator !== LensStorage.UNKNOWN_CREATOR) {
+                index.set(uuid, creator);
+            }
+        }
+
+        return {
+            infoFolderPath: await this.getInfoFolderPath(lensInfo),
+            boltFolderPath: await this.getBoltFolderPath(lensInfo),
+        };
+    }
+
+    async quarantine(lensInfo, filePath) {
+        // keep corrupted files for inspection instead of deleting them
+        const quarantineFolderPath = path.join(this.getQuarantineBasePath(), lensInfo.uuid.toLowerCase());
+        const destination = path.join(quarantineFolderPath, `${Date.now()}-${path.basename(filePath)}`);
+
+        await fs.mkdir(quarantineFolderPath, { recursive: true });
+        await fs.rename(filePath, destination);
+
+        return destination;
+    }
+
+    async *iterateLensInfo() {
+        // flat layout has one level below info/, sharded and creator layouts have two
+        const depth = (this.#layout === 'flat') ? 1 : 2;
+
+        for await (const folderPath of this.#walkFolders(this.getInfoBasePath(), depth)) {
+            const infoFilePath = path.join(folderPath, 'lens.json');
+            try {
+                yield JSON.parse(await fs.readFile(infoFilePath, 'utf8'));
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    console.error(`Error trying to read ${infoFilePath}:`, e);
+                }
+            }
+        }
+    }
+
+    async *#walkFolders(folderPath, depth) {
+        let entries = [];
+        try {
+            entries = await fs.readdir(folderPath, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) {
+                continue;
+            }
+
+            const entryPath = path.join(folderPath, entry.name);
+            if (depth > 1) {
+                yield* this.#walkFolders(entryPath, depth - 1);
+            } else {
+                yield entryPath;
+            }
+        }
+    }
+
+    async #getSegments(lensInfo) {
+        const uuid = lensInfo.uuid.toLowerCase();
+
+        switch (this.#layout) {
+            case 'sharded':
+                return [uuid.substring(0, 2), uuid];
+            case 'creator': {
+                const index = await this.#getCreatorIndex();
+                return [index.get(uuid) || this.#creatorFolderName(lensInfo.obfuscated_user_slug), uuid];
+            }
+            default:
+                return [uuid];
+        }
+    }
+
+    #creatorFolderName(obfuscatedSlug) {
+        if (typeof obfuscatedSlug === 'string' && obfuscatedSlug) {
+            return obfuscatedSlug.replace(/[^\w-]/g, '_');
+        }
+        return LensStorage.UNKNOWN_CREATOR;
+    }
+
+    #getCreatorIndex() {
+        if (!this.#creatorIndex) {
+            this.#creatorIndex = this.#buildCreatorIndex();
+        }
+        return this.#creatorIndex;
+    }
+
+    async #buildCreatorIndex() {
+        const index = new Map();
+
+        // lenses stored in a catalog have no info folder, their bolt folder tells where they are
+        for (const basePath of [this.getInfoBasePath(), this.getBoltBasePath()]) {
+            let creators = [];
+            try {
+                creators = await fs.readdir(basePath, { withFileTypes: true });
+            } catch (e) {
+                continue;
+            }
+
+            for (const creator of creators) {
+                if (!creator.isDirectory()) {
+                    continue;
+                }
+
+                try {
+                    const lenses = await fs.readdir(path.join(basePath, creator.name));
+                    lenses
+                        .filter((uuid) => !index.has(uuid) || index.get(uuid) === LensStorage.UNKNOWN_CREATOR)
+                        .forEach((uuid) => index.set(uuid, creator.name));
+                } catch (e) { }
+            }
+        }
+
+        return index;
+    }
+
+    async #move(source, destination) {
+        let sourceStats;
+        try {
+            sourceStats = await fs.stat(source);
+        } catch (e) {
+            return;
+        }
+
+        try {
+            const destinationStats = await fs.stat(destination).catch(() => null);
+            if (!destinationStats) {
+                await fs.mkdir(path.dirname(destination), { recursive: true });
+                await fs.rename(source, destination);
+            } else if (sourceStats.isDirectory() && destinationStats.isDirectory()) {
+                // merge folders stored in both places
+                for (const entry of await fs.readdir(source)) {
+                    await this.#move(path.join(source, entry), path.join(destination, entry));
+                }
+                await fs.rmdir(source);
+            } else if (sourceStats.isDirectory() || destinationStats.isDirectory()) {
+                console.error(`Error trying to move ${source} to ${destination}: a file and a folder of the same name can not be merged`);
+            } else if (sourceStats.mtimeMs > destinationStats.mtimeMs) {
+                // files stored in both places, the most recent one is kept
+                await fs.rename(source, destination);
+            } else {
+                await fs.rm(source);
+            }
+        } catch (e) {
+            console.error(`Error trying to move ${source} to ${destination}:`, e);
+        }
+    }
+}
+
+export default LensStorage;
+export { LensStorage };
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as Utils from "./utils/functions.js";
+import { CrawlerChecksumFailure } from '../lib/failure.js';
+import process from 'process';
+
+const args = Utils.parseScriptArgs(process.argv.slice(2));
+const dryRun = args.flags.has('--dry-run');
+
+const storage = await Utils.openLensStorage(args);
+const catalog = await Utils.openLensCatalog(args, storage);
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function saveLensInfo(lensInfo) {
+    if (catalog) {
+        catalog.saveLens(lensInfo);
+    } else {
+        const infoFolderPath = await storage.getInfoFolderPath(lensInfo);
+        await fs.writeFile(path.join(infoFolderPath, 'lens.json'), JSON.stringify(lensInfo, null, 2), 'utf8');
+    }
+}
+
+const result = { verified: 0, mismatched: 0, missing: 0, skipped: 0 };
+
+try {
+    console.log(`[Verify] Verifying mirrored lenses in '${storage.getOutputDir()}'${dryRun ? ' (dry run)' : ''}`);
+
+    const lenses = (catalog) ? catalog.iterateLenses() : storage.iterateLensInfo();
+    for await (const lensInfo of lenses) {
+        if (!lensInfo?.uuid || (lensInfo.is_mirrored !== true && lensInfo.is_backed_up !== true)) {
+            result.skipped++;
+            continue;
+        }
+
+        const boltFolderPath = await storage.getBoltFolderPath(lensInfo);
+        let isChanged = false;
+
+        if (lensInfo.is_mirrored === true) {
+            const lensFilePath = path.join(boltFolderPath, 'lens.lns');
+
+            // prefer the checksum of the server, fall back to the one recorded when the file was downloaded
+            const isServerChecksum = /^[0-9a-f]{64}$/i.test(lensInfo.lens_checksum || '');
+            const expectedSha256 = (isServerChecksum) ? lensInfo.lens_checksum : lensInfo.sha256;
+
+            if (!await fileExists(lensFilePath)) {
+                console.error(`[Missing] Bolt file of lens: ${lensInfo.uuid}`);
+                lensInfo.sha256 = "";
+                lensInfo.is_mirrored = false;
+                isChanged = true;
+                result.missing++;
+            } else {
+                const verifyResult = await Utils.verifyBoltFile(lensFilePath, expectedSha256, lensInfo.lens_url);
+                if (verifyResult instanceof CrawlerChecksumFailure) {
+                    console.error(`[Checksum Mismatch] ${lensInfo.uuid} - expected ${verifyResult.expected} got ${verifyResult.actual}`);
+                    if (!dryRun) {
+                        console.log(`[Quarantine] ${await storage.quarantine(lensInfo, lensFilePath)}`);
+                    }
+
+                    lensInfo.sha256 = "";
+                    lensInfo.is_mirrored = false;
+                    if (isServerChecksum) {
+                        // the server delivers a corrupted file, a local mismatch can be fixed by downloading again
+                        lensInfo.is_checksum_mismatch = true;
+                    }
+                    isChanged = true;
+                    result.mismatched++;
+                } else {
+                    result.verified++;
+                }
+            }
+        }
+
+        if (lensInfo.is_backed_up === true && lensInfo.lens_original_sha256) {
+            const zipFilePath = path.join(boltFolderPath, 'lens.zip');
+
+            if (!await fileExists(zipFilePath)) {
+                console.error(`[Missing] Backup file of lens: ${lensInfo.uuid}`);
+                lensInfo.lens_original_sha256 = "";
+                lensInfo.is_backed_up = false;
+                isChanged = true;
+                result.missing++;
+            } else {
+                const verifyResult = await Utils.verifyBoltFile(zipFilePath, lensInfo.lens_original_sha256, lensInfo.lens_backup_url);
+                if (verifyResult instanceof CrawlerChecksumFailure) {
+                    console.error(`[Checksum Mismatch] ${lensInfo.uuid} backup - expected ${verifyResult.expected} got ${verifyResult.actual}`);
+                    if (!dryRun) {
+                        console.log(`[Quarantine] ${await storage.quarantine(lensInfo, zipFilePath)}`);
+                    }
+
+                    lensInfo.lens_original_sha256 = "";
+                    lensInfo.is_backed_up = false;
+                    isChanged = true;
+                    result.mismatched++;
+                } else {
+                    result.verified++;
+                }
+            }
+        }
+
+        if (isChanged && !dryRun) {
+            await saveLensInfo(lensInfo);
+        }
+    }
+
+    console.log(`[Finished] Verified ${result.verified} files, ${result.mismatched} checksum mismatches, ${result.missing} missing files, skipped ${result.skipped} Lenses`);
+} catch (e) {
+    console.error(e);
+}
+
+catalog?.close();
+
+if (result.mismatched || result.missing) {
+    process.exitCode = 1;
+}
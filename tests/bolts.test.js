@@ -0,0 +1,111 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import nock from 'nock';
+import os from 'os';
+import path from 'path';
+import SnapLensWebCrawler from '../src/lib/crawler.js';
+import CheckpointJournal from '../src/scripts/utils/checkpoint.js';
+import LensStorage from '../src/scripts/utils/storage.js';
+import { crawlLenses } from '../src/scripts/utils/functions.js';
+
+describe('Bolt downloads', () => {
+    let tmpDir;
+    let crawler;
+    let storage;
+
+    const createLens = (char) => ({
+        uuid: char.repeat(32),
+        unlockable_id: char,
+        lens_name: `Test Lens ${char}`,
+        user_name: 'creator',
+        lens_creator_search_tags: [],
+        has_search_tags: false,
+        lens_url: `https://bolt.example.com/${char}`,
+    });
+
+    async function readLensInfo(uuid) {
+        return JSON.parse(await fs.readFile(path.join(await storage.getInfoFolderPath({ uuid }), 'lens.json'), 'utf8'));
+    }
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bolts-test-'));
+        storage = new LensStorage({ outputDir: tmpDir });
+        crawler = new SnapLensWebCrawler({ cacheTTL: 0, maxRequestRetries: 0, minRequestDelayMs: 0, verbose: false });
+    });
+
+    afterEach(async () => {
+        nock.cleanAll();
+        crawler.destroy();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should accept binary bolts of any content type and refuse error bodies', async () => {
+        nock('https://bolt.example.com')
+            .get('/a').reply(200, Buffer.from([1, 2, 3]), { 'Content-Type': 'application/x-lns' })
+            .get('/b').reply(200, Buffer.from([1, 2, 3]), { 'Content-Type': 'binary/octet-stream' })
+            .get('/c').reply(200, Buffer.from([1, 2, 3]))
+            .get('/d').reply(200, '{"error":"Forbidden"}', { 'Content-Type': 'application/json' })
+            .get('/e').reply(200, '<html><body>Error</body></html>', { 'Content-Type': 'application/octet-stream' });
+
+        const lenses = ['a', 'b', 'c', 'd', 'e'].map(createLens);
+        await crawlLenses(lenses, { crawler, storage, queryArchive: false, queryRelayServer: false });
+
+        const mirrored = [];
+        for (const lens of lenses) {
+            mirrored.push((await readLensInfo(lens.uuid)).is_mirrored);
+        }
+        assert.deepStrictEqual(mirrored, [true, true, true, false, false], 'Only error bodies should be refused');
+    });
+
+    it('should restrict content types on request', async () => {
+        nock('https://bolt.example.com')
+            .get('/a').reply(200, Buffer.from([1, 2, 3]), { 'Content-Type': 'application/x-lns' })
+            .get('/b').reply(200, Buffer.from([1, 2, 3]), { 'Content-Type': 'application/octet-stream' });
+
+        const lenses = ['a', 'b'].map(createLens);
+        await crawlLenses(lenses, { crawler, storage, queryArchive: false, queryRelayServer: false, allowedContentTypes: ['application/octet-stream'] });
+
+        assert.strictEqual((await readLensInfo(lenses[0].uuid)).is_mirrored, false, 'Other content types should be refused');
+        assert.strictEqual((await readLensInfo(lenses[1].uuid)).is_mirrored, true, 'Allowed content types should be downloaded');
+    });
+
+    it('should keep crawler output of concurrent lenses together', async () => {
+        nock('https://bolt.example.com')
+            .get('/a').delay(200).reply(200, '{"error":"Forbidden"}', { 'Content-Type': 'application/json' })
+            .get('/b').reply(200, '{"error":"Forbidden"}', { 'Content-Type': 'application/json' });
+
+        crawler.setVerbose(true);
+
+        const output = [];
+        const methods = ['log', 'info', 'warn', 'error'];
+        const originals = methods.map((method) => console[method]);
+        methods.forEach((method) => { console[method] = (...args) => output.push(args.join(' ')); });
+
+        try {
+            await crawlLenses(['a', 'b'].map(createLens), { crawler, storage, queryArchive: false, queryRelayServer: false, concurrency: 2 });
+        } finally {
+            methods.forEach((method, index) => { console[method] = originals[index]; });
+        }
+
+        const isOf = (char) => (line) => line.includes(char.repeat(32)) || line.includes(`bolt.example.com/${char}`);
+        assert(output.some((line) => line.startsWith('[Download Rejected]') && isOf('b')(line)), 'Crawler output should be printed');
+        assert(output.findLastIndex(isOf('a')) < output.findIndex(isOf('b')), 'Crawler output should be flushed in input order');
+    });
+
+    it('should not checkpoint lenses with failed downloads', async () => {
+        nock('https://bolt.example.com')
+            .get('/a').reply(200, Buffer.from([1, 2, 3]), { 'Content-Type': 'application/octet-stream' })
+            .get('/b').reply(500, 'Internal Server Error')
+            .get('/c').reply(404, 'Not Found');
+
+        const checkpoint = new CheckpointJournal(path.join(tmpDir, 'import.checkpoint.jsonl'));
+        await checkpoint.reset();
+
+        const lenses = ['a', 'b', 'c'].map(createLens);
+        await crawlLenses(lenses, { crawler, storage, checkpoint, queryArchive: false, queryRelayServer: false });
+
+        assert(checkpoint.has('lens', lenses[0].uuid), 'Downloaded lenses should be recorded');
+        assert(!checkpoint.has('lens', lenses[1].uuid), 'Lenses with failed downloads should be crawled again on resume');
+        assert(checkpoint.has('lens', lenses[2].uuid), 'Lenses with missing bolts should be recorded');
+    });
+});
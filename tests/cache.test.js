@@ -0,0 +1,108 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import nock from 'nock';
+import os from 'os';
+import path from 'path';
+import SnapLensWebCrawler from '../src/lib/crawler.js';
+import { MemoryCache, FileCache } from '../src/lib/cache.js';
+
+describe('MemoryCache', () => {
+    it('should expire entries after the TTL', async () => {
+        const cache = new MemoryCache({ ttl: 1 });
+        await cache.set('key', { value: 1 });
+        assert.deepStrictEqual(await cache.get('key'), { value: 1 });
+
+        await new Promise((resolve) => setTimeout(resolve, 1100));
+        assert.strictEqual(await cache.get('key'), undefined);
+    });
+});
+
+describe('FileCache', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lens-cache-'));
+    });
+
+    afterEach(async () => {
+        nock.cleanAll();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should persist entries across instances', async () => {
+        const first = new FileCache({ directory, ttl: 3600 });
+        await first.set('https://example.com/page', { props: { pageProps: {} } });
+        first.destroy();
+
+        const second = new FileCache({ directory, ttl: 3600 });
+        assert.deepStrictEqual(await second.get('https://example.com/page'), { props: { pageProps: {} } });
+        assert.strictEqual(await second.get('https://example.com/other'), undefined);
+    });
+
+    it('should evict least recently used entries when the size limit is exceeded', async () => {
+        const cache = new FileCache({ directory, ttl: 3600, maxSize: 300 });
+        await cache.set('a', 'x'.repeat(80));
+        await cache.set('b', 'x'.repeat(80));
+        await cache.get('a');
+        await cache.set('c', 'x'.repeat(80));
+
+        assert.ok(cache.getSize() <= 300, 'Cache size should not exceed the limit');
+        assert.strictEqual(await cache.get('b'), undefined, 'Least recently used entry should be evicted');
+        assert.ok(await cache.get('a'), 'Recently used entry should be kept');
+        assert.ok(await cache.get('c'), 'Newest entry should be kept');
+    });
+
+    it('should handle concurrent writes of the same key', async () => {
+        const cache = new FileCache({ directory, ttl: 3600 });
+        await Promise.all(['a', 'b', 'c', 'd'].map((value) => cache.set('key', value)));
+
+        assert.ok(['a', 'b', 'c', 'd'].includes(await cache.get('key')), 'One of the written values should be kept');
+
+        const files = await fs.readdir(directory, { recursive: true });
+        assert.deepStrictEqual(files.filter((file) => file.endsWith('.tmp')), [], 'No temporary files should be left');
+    });
+
+    it('should be used transparently by the crawler', async () => {
+        const mockJsonData = {
+            props: {
+                pageProps: {
+                    lensDisplayInfo: { scannableUuid: 'example-hash', lensId: '11234567890', lensName: 'Test Lens' }
+                }
+            }
+        };
+
+        nock('https://lens.snapchat.com')
+            .get('/example-hash')
+            .once()
+            .reply(200, `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(mockJsonData)}</script>`, { 'Content-Type': 'text/html' });
+
+        const first = new SnapLensWebCrawler({ cache: new FileCache({ directory }), maxRequestRetries: 0, verbose: false });
+        const lens = await first.getLensByHash('example-hash');
+        first.destroy();
+
+        // second crawler must not hit the network again
+        const second = new SnapLensWebCrawler({ cache: new FileCache({ directory }), maxRequestRetries: 0, verbose: false });
+        const cachedLens = await second.getLensByHash('example-hash');
+        second.destroy();
+
+        assert.strictEqual(lens.lens_name, 'Test Lens');
+        assert.deepStrictEqual(cachedLens, lens);
+    });
+});
+
+describe('Custom cache', () => {
+    it('should be accepted without a TTL getter', async () => {
+        const entries = new Map();
+        const cache = {
+            get: async (key) => entries.get(key),
+            set: async (key, value) => { entries.set(key, value); },
+            delete: async (key) => { entries.delete(key); },
+            cleanup: async () => { },
+        };
+
+        const crawler = new SnapLensWebCrawler({ cache, maxRequestRetries: 0, verbose: false });
+        assert.strictEqual(crawler.getCacheTTL(), 0, 'Unknown TTL should be reported as 0');
+        assert.strictEqual(crawler.getCache(), cache, 'Custom cache should be used');
+        crawler.destroy();
+    });
+});
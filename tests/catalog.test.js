@@ -0,0 +1,68 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import LensCatalog from '../src/scripts/utils/catalog.js';
+
+describe('LensCatalog', () => {
+    let tmpDir;
+    let catalog;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-test-'));
+        catalog = new LensCatalog({ filePath: path.join(tmpDir, 'nested', 'catalog.sqlite') });
+        await catalog.open();
+    });
+
+    afterEach(async () => {
+        catalog.close();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should save and load complete lens info', async () => {
+        const lensInfo = {
+            uuid: 'A'.repeat(32),
+            lens_name: 'Test Lens',
+            lens_creator_search_tags: ['tag'],
+            image_sequence: { size: 2 },
+            is_mirrored: true,
+            custom_field: 'kept',
+        };
+
+        catalog.saveLens(lensInfo);
+        assert.deepStrictEqual(catalog.getLens('a'.repeat(32)), lensInfo, 'Lens info should round trip');
+
+        catalog.saveLens({ ...lensInfo, lens_name: 'Renamed' });
+        assert.strictEqual(catalog.getLens(lensInfo.uuid).lens_name, 'Renamed', 'Saving again should update the lens');
+        assert.strictEqual(catalog.count(), 1, 'Lenses should be stored once');
+
+        catalog.deleteLens(lensInfo.uuid);
+        assert.strictEqual(catalog.getLens(lensInfo.uuid), null, 'Deleted lenses should be gone');
+    });
+
+    it('should find lenses by column and flag', async () => {
+        catalog.saveLens({ uuid: 'a'.repeat(32), user_name: 'alice', lens_status: 'Live', is_mirrored: true });
+        catalog.saveLens({ uuid: 'b'.repeat(32), user_name: 'alice', lens_status: 'Removed', is_mirrored: false });
+        catalog.saveLens({ uuid: 'c'.repeat(32), user_name: 'bob', lens_status: 'Live' });
+
+        const uuids = (lenses) => lenses.map((lens) => lens.uuid[0]);
+        assert.deepStrictEqual(uuids(catalog.findLenses({ userName: 'alice' })), ['a', 'b'], 'Lenses should be found by user name');
+        assert.deepStrictEqual(uuids(catalog.findLenses({ lensStatus: 'Removed' })), ['b'], 'Lenses should be found by status');
+        assert.deepStrictEqual(uuids(catalog.findLenses({ isMirrored: false })), ['b', 'c'], 'Unset flags should count as false');
+        assert.deepStrictEqual(uuids(catalog.findLenses({ limit: 1, offset: 1 })), ['b'], 'Results should be paginated');
+    });
+
+    it('should iterate all lenses in pages and allow writes in between', async () => {
+        const chars = '0123456789abcdef'.split('');
+        chars.forEach((char) => catalog.saveLens({ uuid: char.repeat(32), is_mirrored: true }));
+
+        const uuids = [];
+        for (const lensInfo of catalog.iterateLenses({ pageSize: 3 })) {
+            uuids.push(lensInfo.uuid);
+            catalog.saveLens({ ...lensInfo, is_mirrored: false });
+        }
+
+        assert.deepStrictEqual(uuids, chars.map((char) => char.repeat(32)), 'Every lens should be iterated once in order');
+        assert.deepStrictEqual(catalog.findLenses({ isMirrored: true }), [], 'Writes during iteration should be saved');
+    });
+});
@@ -0,0 +1,77 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ChangeLog, { diffLensInfo } from '../src/scripts/utils/changes.js';
+
+const UUID = 'a'.repeat(32);
+
+describe('ChangeLog', () => {
+    let tmpDir;
+    let changeLog;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'changes-test-'));
+        changeLog = new ChangeLog({ filePath: path.join(tmpDir, 'nested', 'changes.jsonl') });
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should diff tracked fields only', () => {
+        const previous = { lens_name: 'Old', lens_creator_search_tags: ['a', 'b'], sha256: 'x' };
+        const current = { lens_name: 'New', lens_creator_search_tags: ['b', 'a'], sha256: 'y', lens_url: 'https://bolt.example.com/a' };
+
+        assert.deepStrictEqual(diffLensInfo(previous, current), [
+            { field: 'lens_url', from: '', to: 'https://bolt.example.com/a' },
+            { field: 'lens_name', from: 'Old', to: 'New' },
+        ], 'Tag order and untracked fields should be ignored');
+    });
+
+    it('should record entries by type', async () => {
+        const lensInfo = { uuid: UUID, lens_name: 'Test Lens', lens_status: 'Live', lens_creator_search_tags: ['a', 'b'] };
+
+        assert.strictEqual((await changeLog.record({}, lensInfo)).type, 'new', 'Unknown lenses should be new');
+        assert.strictEqual(await changeLog.record(lensInfo, { ...lensInfo, lens_creator_search_tags: ['b', 'a'] }), null, 'Reordered tags should not be recorded');
+        assert.strictEqual((await changeLog.record(lensInfo, { ...lensInfo, lens_name: 'Renamed' })).type, 'updated', 'Changed lenses should be updated');
+
+        const removed = await changeLog.record(lensInfo, { ...lensInfo, lens_status: 'Removed' });
+        assert.strictEqual(removed.type, 'removed', 'Live lenses going away should be removed');
+        assert.deepStrictEqual(removed.changes, [{ field: 'lens_status', from: 'Live', to: 'Removed' }], 'Changes should be listed');
+
+        assert.deepStrictEqual(changeLog.getEntries().map((entry) => entry.type), ['new', 'updated', 'removed'], 'Entries should be kept in order');
+    });
+
+    it('should read the history of a lens', async () => {
+        await changeLog.record({}, { uuid: UUID, lens_name: 'Test Lens' });
+        await changeLog.record({}, { uuid: 'b'.repeat(32), lens_name: 'Other Lens' });
+        await changeLog.record({ uuid: UUID, lens_name: 'Test Lens' }, { uuid: UUID, lens_name: 'Renamed' });
+        await fs.appendFile(changeLog.getFilePath(), `{"uuid":"${UUID}","ty`);
+
+        const history = await new ChangeLog({ filePath: changeLog.getFilePath() }).getHistory(UUID);
+        assert.deepStrictEqual(history.map((entry) => entry.type), ['new', 'updated'], 'History should contain entries of the lens only');
+        assert.deepStrictEqual(await new ChangeLog({ filePath: path.join(tmpDir, 'missing.jsonl') }).getHistory(UUID), [], 'Missing files should have no history');
+    });
+
+    it('should write Atom and JSON feeds', async () => {
+        await changeLog.record({}, { uuid: UUID, lens_name: 'Tom & Jerry <"3">' });
+
+        const atomPath = path.join(tmpDir, 'feed.xml');
+        assert.strictEqual(await changeLog.writeFeed(atomPath, { title: 'A & B' }), 1, 'Written entries should be counted');
+
+        const atom = await fs.readFile(atomPath, 'utf8');
+        assert(atom.includes('<title>A &amp; B</title>'), 'Feed title should be escaped');
+        assert(atom.includes('<title>[New] Tom &amp; Jerry &lt;&quot;3&quot;&gt;</title>'), 'Entry title should be escaped');
+        assert(!atom.includes('<"3">'), 'Raw markup should not be written');
+
+        const jsonPath = path.join(tmpDir, 'feed.json');
+        await changeLog.writeFeed(jsonPath);
+
+        const feed = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+        assert.strictEqual(feed.version, 'https://jsonfeed.org/version/1.1', 'JSON feeds should be written by extension');
+        assert.strictEqual(feed.items[0].title, '[New] Tom & Jerry <"3">', 'Item title should be plain text');
+        assert.deepStrictEqual(feed.items[0].tags, ['new'], 'Item should be tagged by type');
+        assert.strictEqual(feed.items[0].url, `https://lens.snapchat.com/${UUID}`, 'Item should link to the lens');
+    });
+});
@@ -0,0 +1,76 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import CheckpointJournal from '../src/scripts/utils/checkpoint.js';
+
+describe('CheckpointJournal', () => {
+    let tmpDir;
+    let filePath;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-test-'));
+        filePath = path.join(tmpDir, 'nested', 'import.checkpoint.jsonl');
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should record entries and restore them after a restart', async () => {
+        const checkpoint = new CheckpointJournal(filePath);
+        await checkpoint.reset();
+        await checkpoint.record('lens', 'a');
+        await checkpoint.record('lens', 'b');
+        await checkpoint.record('url', 'https://lens.snapchat.com/a');
+
+        assert(checkpoint.has('lens', 'a'), 'Recorded entries should be known');
+        assert(!checkpoint.has('url', 'a'), 'Entries should be separated by type');
+
+        const restored = new CheckpointJournal(filePath);
+        assert.strictEqual(await restored.load(), 3, 'All entries should be restored');
+        assert.deepStrictEqual([...restored.get('lens')], ['a', 'b'], 'Entries should be restored by type');
+        assert(restored.has('url', 'https://lens.snapchat.com/a'), 'Restored entries should be known');
+        assert.deepStrictEqual([...restored.get('slug')], [], 'Unknown types should be empty');
+    });
+
+    it('should write each entry only once', async () => {
+        const checkpoint = new CheckpointJournal(filePath);
+        await checkpoint.reset();
+        await checkpoint.record('lens', 'a');
+        await checkpoint.record('lens', 'a');
+
+        const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+        assert.strictEqual(lines.length, 1, 'Duplicate entries should not be appended');
+    });
+
+    it('should skip a torn last line', async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, [
+            JSON.stringify({ type: 'lens', value: 'a', timestamp: 1 }),
+            JSON.stringify({ type: 'lens', value: 'b', timestamp: 2 }),
+            '{"type":"lens","val',
+        ].join('\n'));
+
+        const checkpoint = new CheckpointJournal(filePath);
+        assert.strictEqual(await checkpoint.load(), 2, 'Complete lines should be restored');
+        assert.deepStrictEqual([...checkpoint.get('lens')], ['a', 'b'], 'Torn line should be skipped');
+
+        // appending after a torn line must not merge the new entry into it
+        await checkpoint.record('lens', 'c');
+        const restored = new CheckpointJournal(filePath);
+        await restored.load();
+        assert(restored.has('lens', 'c'), 'Entries recorded after a torn line should be restored');
+    });
+
+    it('should start empty after a reset or without a file', async () => {
+        const checkpoint = new CheckpointJournal(filePath);
+        assert.strictEqual(await checkpoint.load(), 0, 'Missing files should restore nothing');
+
+        await checkpoint.reset();
+        await checkpoint.record('lens', 'a');
+        await checkpoint.reset();
+        assert(!checkpoint.has('lens', 'a'), 'Reset should forget entries');
+        assert.strictEqual(await new CheckpointJournal(filePath).load(), 0, 'Reset should truncate the file');
+    });
+});
@@ -0,0 +1,8 @@
+// preloaded by the CLI tests with --import, the CLI runs in its own process
+import nock from 'nock';
+
+nock.disableNetConnect();
+
+for (const { origin, path, status = 200, body = '', headers = {} } of JSON.parse(process.env.CLI_MOCKS || '[]')) {
+    nock(origin).get(path).reply(status, body, headers);
+}
@@ -0,0 +1,99 @@
+import assert from 'assert';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const cliScript = path.resolve('src/bin/cli.js');
+const mocksScript = path.resolve('tests/cli.mocks.js');
+
+const UUID = 'a'.repeat(32);
+
+function getMockPage(mockJsonData) {
+    return `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(mockJsonData)}</script>`;
+}
+
+async function runCli(args, mocks = []) {
+    const options = { timeout: 20000, env: { ...process.env, CLI_MOCKS: JSON.stringify(mocks) } };
+    try {
+        const { stdout, stderr } = await execFileAsync(process.execPath, ['--import', mocksScript, cliScript, ...args], options);
+        return { code: 0, stdout, stderr };
+    } catch (e) {
+        return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+    }
+}
+
+describe('Command line', () => {
+    it('should print a lens as JSON', async () => {
+        const result = await runCli(['lens', UUID, '--retries', '0', '--delay=0'], [{
+            origin: 'https://lens.snapchat.com',
+            path: `/${UUID}`,
+            body: getMockPage({ props: { pageProps: { lensDisplayInfo: { scannableUuid: UUID, lensId: '11234567890', lensName: 'Test Lens' } } } }),
+            headers: { 'Content-Type': 'text/html' },
+        }]);
+
+        assert.strictEqual(result.code, 0, 'Command should succeed');
+
+        const lens = JSON.parse(result.stdout);
+        assert.strictEqual(lens.uuid, UUID, 'Lens UUID should match');
+        assert.strictEqual(lens.lens_name, 'Test Lens', 'Lens name should match');
+    });
+
+    it('should print one JSON object per line with --ndjson', async () => {
+        const lenses = ['1', '2'].map((id) => ({ scannableUuid: id.repeat(32), lensId: id, lensName: `Test Lens ${id}` }));
+        const result = await runCli(['url', 'https://example.com/page', '--ndjson', '-q'], [{
+            origin: 'https://example.com',
+            path: '/page',
+            body: getMockPage({ props: { pageProps: { lenses } } }),
+            headers: { 'Content-Type': 'text/html' },
+        }]);
+
+        assert.strictEqual(result.code, 0, 'Command should succeed');
+
+        const lines = result.stdout.trim().split('\n').map((line) => JSON.parse(line));
+        assert.deepStrictEqual(lines.map((lens) => lens.lens_name), ['Test Lens 1', 'Test Lens 2'], 'Every lens should be printed on its own line');
+    });
+
+    it('should print failures to stderr and exit with code 1', async () => {
+        const result = await runCli(['lens', UUID, '--retries=0', '--quiet'], [{
+            origin: 'https://lens.snapchat.com',
+            path: `/${UUID}`,
+            status: 404,
+            body: 'Not Found',
+        }]);
+
+        assert.strictEqual(result.code, 1, 'Failures should exit with code 1');
+        assert.strictEqual(result.stdout, '', 'Nothing should be printed to stdout');
+
+        const failure = JSON.parse(result.stderr.trim());
+        assert.strictEqual(failure.error, 'CrawlerNotFoundFailure', 'Failure class should be printed');
+        assert.strictEqual(failure.url, `https://lens.snapchat.com/${UUID}`, 'Failure URL should be printed');
+    });
+
+    it('should exit with code 2 on usage errors', async () => {
+        const unknown = await runCli(['unknown']);
+        assert.strictEqual(unknown.code, 2, 'Unknown commands should exit with code 2');
+        assert.match(unknown.stderr, /Unknown command: unknown/, 'Unknown command should be reported');
+
+        const missing = await runCli(['lens']);
+        assert.strictEqual(missing.code, 2, 'Missing arguments should exit with code 2');
+        assert.match(missing.stderr, /Usage: snap-lens-web-crawler lens <hash>/, 'Command usage should be printed');
+
+        const invalid = await runCli(['top', '--max=-1']);
+        assert.strictEqual(invalid.code, 2, 'Invalid option values should exit with code 2');
+        assert.match(invalid.stderr, /Option '--max' expects a non-negative integer/, 'Invalid option should be reported');
+
+        const unsupported = await runCli(['lens', UUID, '--unsupported']);
+        assert.strictEqual(unsupported.code, 2, 'Unknown options should exit with code 2');
+
+        const empty = await runCli([]);
+        assert.strictEqual(empty.code, 2, 'Missing command should exit with code 2');
+        assert.match(empty.stdout, /^Usage:/, 'Help should be printed');
+    });
+
+    it('should print help', async () => {
+        const result = await runCli(['--help']);
+        assert.strictEqual(result.code, 0, 'Help should exit with code 0');
+        assert.match(result.stdout, /Commands:[\s\S]*snapshot <hash>/, 'Commands should be listed');
+    });
+});
@@ -1,7 +1,12 @@
 import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import nock from 'nock';
+import { getEventListeners } from 'events';
 import SnapLensWebCrawler from '../src/lib/crawler.js';
-import { CrawlerFailure, CrawlerHTTPStatusFailure, CrawlerNotFoundFailure } from '../src/lib/failure.js';
+import { ArchiveProvider, MementoProvider } from '../src/lib/archive.js';
+import { CrawlerFailure, CrawlerJsonParseFailure, CralwerAggregateFailure, CrawlerHTTPStatusFailure, CrawlerNotFoundFailure, CrawlerAbortedFailure, CrawlerDownloadTruncatedFailure, CrawlerDownloadRejectedFailure } from '../src/lib/failure.js';
 
 function getMockPage(mockJsonData) {
     const mockHtmlResponse = `
@@ -118,6 +123,99 @@ describe('SnapLensWebCrawler', () => {
         assert.strictEqual(lens.uuid, 'example-hash', 'Lens UUID should match');
         assert.strictEqual(lens.unlockable_id, '11234567890', 'Lens ID should match');
         assert.strictEqual(lens.lens_name, 'Test Lens', 'Lens name should match');
+        assert.strictEqual(lens.lens_status, '', 'Archived lens status should be unknown');
+    });
+
+    it('should try CDX snapshot candidates newest first', async () => {
+        const lensPage = (lensResource) => getMockPage({
+            props: { pageProps: { lensDisplayInfo: { scannableUuid: 'example-hash', lensId: '11234567890', lensName: 'Test Lens', lensResource } } }
+        });
+
+        nock('https://web.archive.org')
+            .get('/cdx/search/cdx')
+            .query((query) => query.url === 'lens.snapchat.com/example-hash*')
+            .reply(200, [
+                ['timestamp', 'original', 'statuscode', 'digest'],
+                ['20210101000000', 'https://lens.snapchat.com/example-hash', '200', 'OLD'],
+                ['20220301000000', 'https://lens.snapchat.com/example-hash', '200', 'B'],
+                ['20230101000000', 'https://lens.snapchat.com/example-hash', '200', 'A'],
+                ['20230601000000', 'https://lens.snapchat.com/example-hash', '200', 'A'],
+                ['20240101000000', 'https://lens.snapchat.com/example-hash', '301', 'C'],
+            ])
+            .get('/web/20230601000000/https://lens.snapchat.com/example-hash')
+            .reply(200, lensPage({}), { 'Content-Type': 'text/html' })
+            .get('/web/20220301000000/https://lens.snapchat.com/example-hash')
+            .reply(200, lensPage({ archiveLink: 'https://example.com/download/file.lns' }), { 'Content-Type': 'text/html' });
+
+        const cdxCrawler = new SnapLensWebCrawler({ maxRequestRetries: 0, minRequestDelayMs: 0, rateLimits: { 'archive.org': null }, verbose: false });
+        const lens = await cdxCrawler.getLensByArchivedSnapshot('example-hash', { discovery: 'cdx' });
+        cdxCrawler.destroy();
+
+        assert(!(lens instanceof CrawlerFailure), 'Lens should not be an instance of CrawlerFailure');
+        assert.strictEqual(lens.lens_url, 'https://example.com/download/file.lns', 'Lens URL should match');
+        assert.strictEqual(lens.snapshot.url, 'https://web.archive.org/web/20220301000000/https://lens.snapchat.com/example-hash', 'Snapshot URL should match');
+        assert(nock.isDone(), 'All candidates should be requested');
+    });
+
+    it('should get a lens from a Memento archive within the snapshot window', async () => {
+        const timemap = [
+            '<https://lens.snapchat.com/example-hash>; rel="original",',
+            '<https://archive.example.com/web/20230301000000/https://lens.snapchat.com/example-hash>; rel="first memento"; datetime="Wed, 01 Mar 2023 00:00:00 GMT",',
+            '<https://archive.example.com/web/20250301000000/https://lens.snapchat.com/example-hash>; rel="last memento"; datetime="Sat, 01 Mar 2025 00:00:00 GMT"',
+        ].join('\n');
+
+        const mockJsonData = {
+            props: {
+                pageProps: {
+                    lensDisplayInfo: {
+                        scannableUuid: 'example-hash',
+                        lensId: '11234567890',
+                        lensName: 'Test Lens',
+                        lensResource: { archiveLink: 'https://archive.example.com/web/20230301000000id_/https://example.com/download/file.lns' }
+                    }
+                }
+            }
+        };
+
+        nock('https://timemap.example.com')
+            .get('/timemap/link/https://lens.snapchat.com/example-hash')
+            .reply(200, timemap, { 'Content-Type': 'application/link-format' });
+
+        nock('https://archive.example.com')
+            .get('/web/20230301000000/https://lens.snapchat.com/example-hash')
+            .reply(200, getMockPage(mockJsonData), { 'Content-Type': 'text/html' });
+
+        const mementoCrawler = new SnapLensWebCrawler({
+            maxRequestRetries: 0,
+            verbose: false,
+            snapshotMaxTimestamp: new Date('2024-12-31T23:59:59Z'),
+            archiveProviders: [new MementoProvider({ timemapUrl: 'https://timemap.example.com/timemap/link/' })],
+        });
+        const lens = await mementoCrawler.getLensByArchivedSnapshot('example-hash');
+        mementoCrawler.destroy();
+
+        assert(!(lens instanceof CrawlerFailure), 'Lens should not be an instance of CrawlerFailure');
+        assert.strictEqual(lens.lens_url, 'https://example.com/download/file.lns', 'Archive prefix should be removed');
+        assert.strictEqual(lens.snapshot.timestamp, 20230301000000, 'Snapshot inside the window should be used');
+        assert.strictEqual(lens.snapshot.provider, 'memento', 'Snapshot should name its provider');
+    });
+
+    it('should aggregate failures of all archive providers', async () => {
+        class EmptyArchiveProvider extends ArchiveProvider {
+            async findSnapshots(url) {
+                return new CrawlerFailure('Snapshot does not exist', url);
+            }
+        }
+
+        const providerCrawler = new SnapLensWebCrawler({
+            verbose: false,
+            archiveProviders: [new EmptyArchiveProvider({ name: 'first' }), new EmptyArchiveProvider({ name: 'second' })],
+        });
+        const result = await providerCrawler.getLensByArchivedSnapshot('example-hash');
+        providerCrawler.destroy();
+
+        assert(result instanceof CralwerAggregateFailure, 'Result should be an aggregate failure');
+        assert.strictEqual(result.failures.length, 4, 'Each provider and URL pattern should fail');
     });
 
     it('should get more lenses by hash', async () => {
@@ -183,6 +281,108 @@ describe('SnapLensWebCrawler', () => {
         assert.strictEqual(lenses.length, 3, 'Should return 3 lenses');
     });
 
+    it('should iterate lenses by creator page by page', async () => {
+        const createLenses = (count, start) => Array.from({ length: count }, (_, i) => ({
+            lensId: `${start + i}`, name: `Test Lens ${start + i}`, creatorName: 'test',
+            deeplinkUrl: `https://www.snapchat.com/unlock/?type=SNAPCODE&uuid=${(start + i).toString(16).padStart(32, '0')}&metadata=01`
+        }));
+
+        nock('https://lensstudio.snapchat.com')
+            .get('/v1/creator/lenses/')
+            .query((query) => query.slug === 'example-slug' && query.offset === '0')
+            .reply(200, JSON.stringify({ lensesList: createLenses(100, 0) }), { 'Content-Type': 'application/json' })
+            .get('/v1/creator/lenses/')
+            .query((query) => query.slug === 'example-slug' && query.offset === '100')
+            .reply(200, JSON.stringify({ lensesList: createLenses(3, 100) }), { 'Content-Type': 'application/json' });
+
+        const pages = [];
+        for await (const page of crawler.iterateLensesByCreator('example-slug')) {
+            pages.push(page);
+        }
+
+        assert.strictEqual(pages.length, 2, 'Should yield 2 pages');
+        assert.strictEqual(pages[0].lenses.length, 100, 'First page should have 100 lenses');
+        assert.strictEqual(pages[0].nextOffset, 100, 'First page should expose the next offset');
+        assert.strictEqual(pages[1].offset, 100, 'Second page should start at offset 100');
+        assert.strictEqual(pages[1].hasMore, false, 'Last page should not have more');
+
+        // resume at the offset of the second page
+        nock('https://lensstudio.snapchat.com')
+            .get('/v1/creator/lenses/')
+            .query((query) => query.slug === 'example-slug' && query.offset === '100')
+            .reply(200, JSON.stringify({ lensesList: createLenses(3, 100) }), { 'Content-Type': 'application/json' });
+
+        const resumeCrawler = new SnapLensWebCrawler({ maxRequestRetries: 0, cacheTTL: 0, verbose: false });
+        const resumed = [];
+        for await (const page of resumeCrawler.iterateLensesByCreator('example-slug', { offset: 100 })) {
+            resumed.push(...page.lenses);
+            break;
+        }
+        resumeCrawler.destroy();
+
+        assert.strictEqual(resumed.length, 3, 'Should resume at the given offset');
+    });
+
+    it('should advance creator offsets by the items returned by the API', async () => {
+        const createLenses = (count, start) => Array.from({ length: count }, (_, i) => ({
+            lensId: `${start + i}`, name: `Test Lens ${start + i}`, creatorName: 'test',
+            deeplinkUrl: `https://www.snapchat.com/unlock/?type=SNAPCODE&uuid=${(start + i).toString(16).padStart(32, '0')}&metadata=01`
+        }));
+
+        // one item of the first page misses its deeplink and is dropped
+        const firstPage = createLenses(100, 0);
+        delete firstPage[42].deeplinkUrl;
+
+        nock('https://lensstudio.snapchat.com')
+            .get('/v1/creator/lenses/')
+            .query((query) => query.slug === 'example-slug' && query.offset === '0')
+            .reply(200, JSON.stringify({ lensesList: firstPage }), { 'Content-Type': 'application/json' })
+            .get('/v1/creator/lenses/')
+            .query((query) => query.slug === 'example-slug' && query.offset === '100')
+            .reply(200, JSON.stringify({ lensesList: createLenses(3, 100) }), { 'Content-Type': 'application/json' });
+
+        const pages = [];
+        for await (const page of crawler.iterateLensesByCreator('example-slug')) {
+            pages.push(page);
+        }
+
+        assert.strictEqual(pages.length, 2, 'Invalid items should not end the iteration');
+        assert.strictEqual(pages[0].lenses.length, 99, 'Invalid items should be dropped');
+        assert.strictEqual(pages[0].hasMore, true, 'First page should have more');
+        assert.strictEqual(pages[0].nextOffset, 100, 'Next offset should count the invalid item');
+        assert.deepStrictEqual(pages[1].lenses.map((lens) => lens.unlockable_id), ['100', '101', '102'], 'Second page should continue after the first');
+    });
+
+    it('should iterate top lenses by cursor', async () => {
+        const createPage = (uuids, nextCursorId) => getMockPage({
+            props: {
+                pageProps: {
+                    topLenses: uuids.map((uuid) => ({ scannableUuid: uuid, lensId: uuid, lensName: `Test Lens ${uuid}` })),
+                    hasMore: !!nextCursorId,
+                    nextCursorId,
+                }
+            }
+        });
+
+        nock('https://www.snapchat.com')
+            .get('/lens/')
+            .reply(200, createPage(['example-hash1', 'example-hash2'], 'cursor-1'), { 'Content-Type': 'text/html' })
+            .get('/lens/')
+            .query({ cursor_id: 'cursor-1' })
+            .reply(200, createPage(['example-hash2', 'example-hash3'], null), { 'Content-Type': 'text/html' });
+
+        const pages = [];
+        for await (const page of crawler.iterateTopLensesByCategory('default', { maxLenses: 3 })) {
+            pages.push(page);
+        }
+
+        assert.strictEqual(pages.length, 2, 'Should yield 2 pages');
+        assert.strictEqual(pages[0].cursor, null, 'First page should not have a cursor');
+        assert.strictEqual(pages[0].nextCursor, 'cursor-1', 'First page should expose the next cursor');
+        assert.strictEqual(pages[1].cursor, 'cursor-1', 'Second page should expose its cursor');
+        assert.deepStrictEqual(pages[1].lenses.map((lens) => lens.uuid), ['example-hash3'], 'Duplicates should be skipped');
+    });
+
     it('should get top lenses by category', async () => {
         const mockJsonData = {
             props: {
@@ -253,6 +453,557 @@ describe('SnapLensWebCrawler', () => {
         assert.strictEqual(lenses.length, 2, 'Should return 2 lenses');
     });
 
+    it('should follow search pages and collect creators and search terms', async () => {
+        // explore page with lenses, creators and related search terms in its encoded search response
+        const explorePage = JSON.parse(await fs.readFile(new URL('./fixtures/explore-search.json', import.meta.url), 'utf8'));
+        const deeplink = (uuid) => `https://www.snapchat.com/unlock/?type=SNAPCODE&uuid=${uuid}&metadata=01`;
+        const lensResult = (lensId, uuid, name) => ({ resultType: 6, result: { "$case": "lens", lens: { lensId, name, deeplinkUrl: deeplink(uuid) } } });
+
+        const firstPage = { props: { pageProps: { ...explorePage.props.pageProps, hasMore: true, nextCursorId: 'page-2' } } };
+        const secondPage = {
+            props: {
+                pageProps: {
+                    encodedSearchResponse: JSON.stringify({
+                        sections: [{ title: 'Lenses', sectionType: 6, results: [lensResult('21234567890', 'b'.repeat(32), 'Lens 2'), lensResult('31234567890', 'c'.repeat(32), 'Lens 3')] }],
+                        relatedSearchTerms: ['example term', 'Another Term'],
+                    }),
+                    hasMore: false,
+                }
+            }
+        };
+
+        nock('https://www.snapchat.com')
+            .get('/explore/example-search')
+            .reply(200, getMockPage(explorePage), { 'Content-Type': 'text/html' })
+            .get('/explore/paginated-search')
+            .reply(200, getMockPage(firstPage), { 'Content-Type': 'text/html' })
+            .get('/explore/paginated-search')
+            .query({ cursor_id: 'page-2' })
+            .reply(200, getMockPage(secondPage), { 'Content-Type': 'text/html' });
+
+        const single = await crawler.search('example search', { maxPages: 3 });
+        assert.strictEqual(single.pages, 1, 'Search responses without pagination should not be followed');
+        assert.deepStrictEqual(single.lenses.map((lens) => lens.unlockable_id), ['11234567890', '21234567890'], 'Lenses should be returned');
+        assert.deepStrictEqual(single.creators.map((creator) => creator.user_name), ['creator1'], 'Creators should be returned');
+        assert.strictEqual(single.creators[0].user_display_name, 'Creator 1', 'Creator name should match');
+        assert.deepStrictEqual(single.searchTerms, ['Example Term'], 'Search terms should be returned');
+        assert.strictEqual(single.nextCursor, null, 'There should be no more pages');
+
+        const result = await crawler.search('paginated search', { maxPages: 3 });
+        assert(!(result instanceof CrawlerFailure), 'Result should not be an instance of CrawlerFailure');
+        assert.strictEqual(result.pages, 2, 'Should follow the next cursor');
+        assert.deepStrictEqual(result.lenses.map((lens) => lens.unlockable_id), ['11234567890', '21234567890', '31234567890'], 'Lenses should be unique');
+        assert.deepStrictEqual(result.searchTerms, ['Example Term', 'Another Term'], 'Search terms should be unique');
+        assert.strictEqual(result.nextCursor, null, 'There should be no more pages');
+    });
+
+    it('should fetch one search page by default', async () => {
+        const explorePage = JSON.parse(await fs.readFile(new URL('./fixtures/explore-search.json', import.meta.url), 'utf8'));
+        explorePage.props.pageProps = { ...explorePage.props.pageProps, hasMore: true, nextCursorId: 'page-2' };
+
+        nock('https://www.snapchat.com')
+            .get('/explore/example-search')
+            .reply(200, getMockPage(explorePage), { 'Content-Type': 'text/html' });
+
+        const result = await crawler.search('example search');
+        assert.strictEqual(result.pages, 1, 'Search should fetch one page like searchLenses');
+        assert.strictEqual(result.nextCursor, 'page-2', 'Next cursor should be returned');
+
+        const lenses = await crawler.searchLenses('example search');
+        assert.deepStrictEqual(lenses.map((lens) => lens.unlockable_id), result.lenses.map((lens) => lens.unlockable_id), 'Both should return the same lenses');
+    });
+
+    it('should filter search results', async () => {
+        nock('https://www.snapchat.com')
+            .get('/explore/example-search')
+            .reply(200, getMockPage({
+                props: {
+                    pageProps: {
+                        initialApolloState: {
+                            'Lens:1': { id: '1', lensName: 'Lens 1', deeplinkUrl: `https://www.snapchat.com/unlock/?type=SNAPCODE&uuid=${'a'.repeat(32)}&metadata=01`, lensCreatorUsername: 'creator1', lensCreatorSearchTags: ['#Face'], lensResource: { archiveLink: 'https://example.com/1.lns' } },
+                            'Lens:2': { id: '2', lensName: 'Lens 2', deeplinkUrl: `https://www.snapchat.com/unlock/?type=SNAPCODE&uuid=${'b'.repeat(32)}&metadata=01`, lensCreatorUsername: 'creator2', lensCreatorSearchTags: ['#World'] },
+                        }
+                    }
+                }
+            }), { 'Content-Type': 'text/html' });
+
+        const byCreator = await crawler.search('example search', { filters: { creator: 'Creator1' } });
+        assert.deepStrictEqual(byCreator.lenses.map((lens) => lens.unlockable_id), ['1'], 'Should filter by creator');
+
+        const withoutBolt = await crawler.search('example search', { filters: { hasBolt: false } });
+        assert.deepStrictEqual(withoutBolt.lenses.map((lens) => lens.unlockable_id), ['2'], 'Should filter by bolt');
+
+        const byCategory = await crawler.search('example search', { filters: { category: 'world' } });
+        assert.deepStrictEqual(byCategory.lenses.map((lens) => lens.unlockable_id), ['2'], 'Should filter by category');
+    });
+
+    it('should parse lenses from saved HTML and raw next data', () => {
+        const mockJsonData = {
+            props: {
+                pageProps: {
+                    lensDisplayInfo: {
+                        scannableUuid: 'example-hash1',
+                        lensId: '11234567890',
+                        lensName: 'Test Lens 1',
+                        lensResource: { archiveLink: 'https://web.archive.org/web/20230601000000/https://bolt.example.com/lens.lns' }
+                    },
+                    moreLenses: [{ scannableUuid: 'example-hash2', lensId: '21234567890', lensName: 'Test Lens 2' }],
+                }
+            }
+        };
+
+        const lenses = crawler.parseLensesFromHtml(getMockPage(mockJsonData), { userName: 'example-user' });
+        assert(Array.isArray(lenses), 'Result should be an array');
+        assert.strictEqual(lenses.length, 2, 'Should return 2 lenses');
+        assert.strictEqual(lenses[0].lens_url, 'https://bolt.example.com/lens.lns', 'Archive prefixes should be removed');
+        assert.strictEqual(lenses[1].user_name, 'example-user', 'Lens defaults should be applied');
+
+        const jsonLenses = crawler.parseLensesFromNextData(JSON.stringify(mockJsonData));
+        assert.deepStrictEqual(jsonLenses.map((lens) => lens.uuid), ['example-hash1', 'example-hash2'], 'JSON strings should be parsed');
+
+        const propsLenses = crawler.parseLensesFromNextData(mockJsonData.props);
+        assert.strictEqual(propsLenses.length, 2, 'Props objects should be accepted');
+
+        assert(crawler.parseLensesFromHtml('<html><body></body></html>') instanceof CrawlerFailure, 'Pages without next data should fail');
+        assert(crawler.parseLensesFromNextData('{ invalid') instanceof CrawlerJsonParseFailure, 'Invalid JSON should fail');
+    });
+
+    it('should space out concurrent requests to the same host', async () => {
+        const requestTimes = [];
+        nock('https://example.com')
+            .get('/concurrent')
+            .times(3)
+            .reply(200, () => {
+                requestTimes.push(Date.now());
+                return getMockPage({ props: { pageProps: { lenses: [] } } });
+            }, { 'Content-Type': 'text/html' });
+
+        const gentleCrawler = new SnapLensWebCrawler({ minRequestDelayMs: 200, cacheTTL: 0, maxRequestRetries: 0, verbose: false });
+        await Promise.all([1, 2, 3].map(() => gentleCrawler.getLensesFromUrl('https://example.com/concurrent')));
+        gentleCrawler.destroy();
+
+        assert.strictEqual(requestTimes.length, 3, 'Should send 3 requests');
+        assert.ok(requestTimes[2] - requestTimes[0] >= 300, 'Requests should be spaced out');
+    });
+
+    it('should apply default rate limits to known hosts', () => {
+        assert.deepStrictEqual(crawler.getRateLimit('www.snapchat.com'), { requestsPerSecond: 2, burst: 3 }, 'Snapchat should have a default budget');
+        assert.deepStrictEqual(crawler.getRateLimit('lensstudio.snapchat.com'), { requestsPerSecond: 1, burst: 2 }, 'Lens Studio should have a default budget');
+        assert.deepStrictEqual(crawler.getRateLimit('web.archive.org'), { requestsPerSecond: 1, burst: 2 }, 'Subdomains should share the budget');
+
+        const customCrawler = new SnapLensWebCrawler({ rateLimits: { 'www.snapchat.com': null }, verbose: false });
+        assert.strictEqual(customCrawler.getRateLimit('www.snapchat.com'), null, 'Default budgets should be removable');
+        customCrawler.destroy();
+    });
+
+    it('should reserve a rate limit token for every retry', async () => {
+        nock('https://example.com')
+            .get('/retried')
+            .times(2)
+            .reply(500, 'Internal Server Error')
+            .get('/retried')
+            .reply(200, getMockPage({ props: { pageProps: { lenses: [] } } }), { 'Content-Type': 'text/html' });
+
+        const retryCrawler = new SnapLensWebCrawler({ maxRequestRetries: 2, minRequestDelayMs: 0, failedRequestDelayMs: 10, rateLimits: { 'example.com': { requestsPerSecond: 4, burst: 1 } }, cacheTTL: 0, verbose: false });
+        const throttled = [];
+        retryCrawler.on('throttle', (payload) => throttled.push(payload));
+
+        const startTime = Date.now();
+        const lenses = await retryCrawler.getLensesFromUrl('https://example.com/retried');
+        retryCrawler.destroy();
+
+        assert(Array.isArray(lenses), 'Result should be an array');
+        assert.strictEqual(throttled.length, 2, 'Retries should be throttled');
+        assert.ok(Date.now() - startTime >= 450, 'Retries should stay within the host budget');
+    });
+
+    it('should honor Retry-After on HTTP 429', async () => {
+        nock('https://example.com')
+            .get('/rate-limited')
+            .reply(429, 'Too Many Requests', { 'Retry-After': '1' })
+            .get('/rate-limited')
+            .reply(200, getMockPage({ props: { pageProps: { lenses: [{ scannableUuid: 'example-hash1', lensId: '11234567890', lensName: 'Test Lens 1' }] } } }), { 'Content-Type': 'text/html' });
+
+        const retryCrawler = new SnapLensWebCrawler({ maxRequestRetries: 1, failedRequestDelayMs: 100, verbose: false });
+        const startTime = Date.now();
+        const lenses = await retryCrawler.getLensesFromUrl('https://example.com/rate-limited');
+        retryCrawler.destroy();
+
+        assert(Array.isArray(lenses), 'Result should be an array');
+        assert.strictEqual(lenses.length, 1, 'Should return 1 lens');
+        assert.ok(Date.now() - startTime >= 1000, 'Retry should wait for the Retry-After delay');
+    });
+
+    it('should give up when Retry-After exceeds the maximum retry delay', async () => {
+        nock('https://example.com')
+            .get('/rate-limited-long')
+            .reply(503, 'Service Unavailable', { 'Retry-After': '3600' });
+
+        const retryCrawler = new SnapLensWebCrawler({ maxRequestRetries: 2, failedRequestDelayMs: 100, maxRetryDelayMs: 1000, verbose: false });
+        const result = await retryCrawler.getLensesFromUrl('https://example.com/rate-limited-long');
+        retryCrawler.destroy();
+
+        assert(result instanceof CrawlerHTTPStatusFailure, 'Result should be an error');
+        assert.strictEqual(result.code, 503, 'HTTP status code should match');
+    });
+
+    it('should emit request events', async () => {
+        nock('https://example.com')
+            .get('/events')
+            .reply(500, 'Internal Server Error')
+            .get('/events')
+            .reply(200, getMockPage({ props: { pageProps: { lenses: [] } } }), { 'Content-Type': 'text/html' })
+            .get('/events-not-found')
+            .reply(404, 'Not Found');
+
+        const eventCrawler = new SnapLensWebCrawler({ maxRequestRetries: 1, failedRequestDelayMs: 100, verbose: false });
+        const events = [];
+        ['request', 'response', 'retry', 'httpError', 'notFound', 'cacheHit', 'parseError'].forEach((eventName) => {
+            eventCrawler.on(eventName, (payload) => events.push({ eventName, ...payload }));
+        });
+
+        await eventCrawler.getLensesFromUrl('https://example.com/events');
+        await eventCrawler.getLensesFromUrl('https://example.com/events');
+        await eventCrawler.getLensesFromUrl('https://example.com/events-not-found');
+        eventCrawler.destroy();
+
+        const names = events.map((event) => event.eventName);
+        assert.deepStrictEqual(names, ['request', 'httpError', 'retry', 'request', 'response', 'cacheHit', 'request', 'notFound']);
+
+        const httpError = events.find((event) => event.eventName === 'httpError');
+        assert.strictEqual(httpError.url, 'https://example.com/events', 'Event URL should match');
+        assert.strictEqual(httpError.status, 500, 'Event status should match');
+        assert.strictEqual(httpError.attempt, 1, 'Event attempt should match');
+        assert.ok(typeof httpError.durationMs === 'number', 'Event should have a duration');
+    });
+
+    it('should fall back to other page data sources without __NEXT_DATA__', async () => {
+        const lensPage = `<html>
+            <head>
+                <meta property="og:title" content="Open Graph Lens">
+                <meta property="og:image" content="https://example.com/og.jpg">
+                <script type="application/ld+json">${JSON.stringify({ '@type': 'CreativeWork', name: 'JSON-LD Lens', author: { name: 'Creator' } })}</script>
+            </head>
+            <body></body>
+        </html>`;
+
+        nock('https://lens.snapchat.com')
+            .get('/example-hash')
+            .reply(200, lensPage, { 'Content-Type': 'text/html' });
+
+        const events = [];
+        crawler.on('fallbackExtraction', (payload) => events.push(payload));
+
+        const lens = await crawler.getLensByHash('example-hash');
+        assert(!(lens instanceof CrawlerFailure), 'Lens should not be an instance of CrawlerFailure');
+        assert.strictEqual(lens.uuid, 'example-hash', 'Lens UUID should match');
+        assert.strictEqual(lens.lens_name, 'JSON-LD Lens', 'Earlier extractors should take precedence');
+        assert.strictEqual(lens.user_display_name, 'Creator', 'Creator should be read from JSON-LD');
+        assert.strictEqual(lens.thumbnail_media_url, 'https://example.com/og.jpg', 'Missing fields should be merged');
+        assert.deepStrictEqual(events[0].extractors, ['jsonLd', 'openGraph'], 'Extractors should be reported');
+    });
+
+    it('should prefer __NEXT_DATA__ over other page data sources', async () => {
+        const lensDisplayInfo = { scannableUuid: 'example-hash', lensId: '11234567890', lensName: 'Test Lens', lensPreviewImageUrl: 'https://example.com/preview.jpg', lensPreviewVideoUrl: 'https://example.com/preview.mp4' };
+        const lensPage = getMockPage({ props: { pageProps: { lensDisplayInfo } } })
+            .replace('<head>', '<head><meta property="og:title" content="Other Name"><meta property="og:image" content="https://example.com/og.jpg"><meta property="og:video" content="https://example.com/og.mp4">');
+
+        nock('https://lens.snapchat.com')
+            .get('/example-hash')
+            .reply(200, lensPage, { 'Content-Type': 'text/html' });
+
+        const lens = await crawler.getLensByHash('example-hash');
+        assert.strictEqual(lens.lens_name, 'Test Lens', '__NEXT_DATA__ name should win');
+        assert.strictEqual(lens.thumbnail_media_url, 'https://example.com/preview.jpg', '__NEXT_DATA__ preview image should win');
+        assert.strictEqual(lens.standard_media_url, 'https://example.com/preview.mp4', '__NEXT_DATA__ preview video should win');
+    });
+
+    it('should fall back to other page data sources when __NEXT_DATA__ is broken', async () => {
+        const lensPage = `<html>
+            <head><meta property="og:title" content="Open Graph Lens"></head>
+            <body><script id="__NEXT_DATA__" type="application/json">{ "props": </script></body>
+        </html>`;
+
+        nock('https://lens.snapchat.com')
+            .get('/example-hash')
+            .reply(200, lensPage, { 'Content-Type': 'text/html' });
+
+        const lens = await crawler.getLensByHash('example-hash');
+        assert(!(lens instanceof CrawlerFailure), 'Lens should not be an instance of CrawlerFailure');
+        assert.strictEqual(lens.lens_name, 'Open Graph Lens', 'Fallback data should be returned');
+    });
+
+    it('should report schema drift of parsed pages', async () => {
+        const mockJsonData = {
+            props: {
+                pageProps: {
+                    moreLenses: [
+                        { scannableUuid: 'example-hash1', lensId: '11234567890', lensName: 'Test Lens 1', newField: true },
+                        { scannableUuid: 'example-hash2', lensId: 21234567890, newField: true },
+                    ],
+                }
+            }
+        };
+
+        nock('https://lens.snapchat.com')
+            .get('/example-hash')
+            .reply(200, getMockPage(mockJsonData), { 'Content-Type': 'text/html' });
+
+        const events = [];
+        crawler.on('schemaDrift', (payload) => events.push(payload));
+
+        const lenses = await crawler.getMoreLensesByHash('example-hash');
+        assert.strictEqual(lenses.length, 2, 'Lenses should still be returned');
+
+        assert.strictEqual(events.length, 1, 'Should emit one event per page');
+        assert.strictEqual(events[0].pageType, 'moreLenses', 'Page type should match');
+        assert.strictEqual(events[0].url, 'https://lens.snapchat.com/example-hash', 'Event URL should match');
+        assert.deepStrictEqual(events[0].missing, ['moreLenses[].lensName'], 'Missing fields should be reported');
+        assert.deepStrictEqual(events[0].unknown, ['moreLenses[].newField'], 'Unknown fields should be reported once');
+        assert.deepStrictEqual(events[0].mismatched, [{ path: 'moreLenses[].lensId', expected: 'string', actual: 'number' }], 'Type changes should be reported');
+
+        const report = crawler.getSchemaReport();
+        assert.strictEqual(report.moreLenses.pages, 1, 'Report should count pages');
+        assert.strictEqual(report.moreLenses.unknown['moreLenses[].newField'], 1, 'Report should count unknown fields');
+    });
+
+    describe('downloadFile', () => {
+        let tmpDir;
+
+        beforeEach(async () => {
+            tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+        });
+
+        it('should not leave a partial file on a truncated download', async () => {
+            nock('https://example.com')
+                .get('/truncated.lns')
+                .reply(200, 'abc', { 'Content-Length': '6' });
+
+            const dest = path.join(tmpDir, 'lens.lns');
+            const result = await crawler.downloadFile('https://example.com/truncated.lns', dest);
+
+            assert(result instanceof CrawlerDownloadTruncatedFailure, 'Result should be a truncated download failure');
+            assert.strictEqual(result.expectedBytes, 6, 'Expected bytes should match');
+            assert.strictEqual(result.receivedBytes, 3, 'Received bytes should match');
+            await assert.rejects(fs.access(dest), 'Destination file should not exist');
+            assert.strictEqual(await fs.readFile(`${dest}.part`, 'utf8'), 'abc', 'Partial file should be kept');
+        });
+
+        it('should resume a partial download with a range request', async () => {
+            nock('https://example.com')
+                .get('/resume.lns')
+                .reply(200, 'abc', { 'Content-Length': '6', 'ETag': '"v1"' })
+                .get('/resume.lns')
+                .matchHeader('range', 'bytes=3-')
+                .matchHeader('if-range', '"v1"')
+                .reply(206, 'def', { 'Content-Range': 'bytes 3-5/6', 'Content-Length': '3', 'ETag': '"v1"' });
+
+            const resumeCrawler = new SnapLensWebCrawler({ maxRequestRetries: 1, failedRequestDelayMs: 100, verbose: false });
+            const events = [];
+            const resumes = [];
+            resumeCrawler.on('download', (payload) => events.push(payload));
+            resumeCrawler.on('downloadResumed', (payload) => resumes.push(payload));
+
+            const dest = path.join(tmpDir, 'lens.lns');
+            const result = await resumeCrawler.downloadFile('https://example.com/resume.lns', dest);
+            resumeCrawler.destroy();
+
+            assert.strictEqual(result, true, 'Download should succeed');
+            assert.strictEqual(await fs.readFile(dest, 'utf8'), 'abcdef', 'File content should be complete');
+            await assert.rejects(fs.access(`${dest}.part`), 'Partial file should be removed');
+            await assert.rejects(fs.access(`${dest}.part.validator`), 'Validator should be removed');
+            assert.strictEqual(events[0].bytes, 6, 'Event bytes should match');
+            assert.strictEqual(events[0].resumedFrom, 3, 'Event should report the resume offset');
+            assert.deepStrictEqual(resumes.map(({ url, offset }) => ({ url, offset })), [{ url: 'https://example.com/resume.lns', offset: 3 }], 'Resumed downloads should be emitted');
+        });
+
+        it('should restart a download when the range is not satisfiable', async () => {
+            const dest = path.join(tmpDir, 'lens.lns');
+            await fs.writeFile(`${dest}.part`, 'stale data');
+            await fs.writeFile(`${dest}.part.validator`, JSON.stringify({ etag: '"v1"', lastModified: null }));
+
+            nock('https://example.com')
+                .get('/restart.lns')
+                .matchHeader('range', 'bytes=10-')
+                .reply(416, 'Range Not Satisfiable')
+                .get('/restart.lns')
+                .reply(200, 'abcdef', { 'Content-Length': '6' });
+
+            const result = await crawler.downloadFile('https://example.com/restart.lns', dest);
+
+            assert.strictEqual(result, true, 'Download should succeed');
+            assert.strictEqual(await fs.readFile(dest, 'utf8'), 'abcdef', 'File content should be replaced');
+        });
+
+        it('should not append to a partial file of a changed file', async () => {
+            const dest = path.join(tmpDir, 'lens.lns');
+
+            // server honors If-Range and sends the new file
+            await fs.writeFile(`${dest}.part`, 'abc');
+            await fs.writeFile(`${dest}.part.validator`, JSON.stringify({ etag: '"v1"', lastModified: null }));
+            nock('https://example.com')
+                .get('/changed.lns')
+                .matchHeader('if-range', '"v1"')
+                .reply(200, 'uvwxyz', { 'Content-Length': '6', 'ETag': '"v2"' });
+
+            assert.strictEqual(await crawler.downloadFile('https://example.com/changed.lns', dest), true, 'Download should succeed');
+            assert.strictEqual(await fs.readFile(dest, 'utf8'), 'uvwxyz', 'New file should replace the partial file');
+
+            // server ignores If-Range and sends partial content of the new file
+            await fs.writeFile(`${dest}.part`, 'abc');
+            await fs.writeFile(`${dest}.part.validator`, JSON.stringify({ etag: '"v1"', lastModified: null }));
+            nock('https://example.com')
+                .get('/ignored.lns')
+                .matchHeader('range', 'bytes=3-')
+                .reply(206, 'xyz', { 'Content-Range': 'bytes 3-5/6', 'Content-Length': '3', 'ETag': '"v2"' })
+                .get('/ignored.lns')
+                .reply(200, 'uvwxyz', { 'Content-Length': '6', 'ETag': '"v2"' });
+
+            assert.strictEqual(await crawler.downloadFile('https://example.com/ignored.lns', dest), true, 'Download should succeed');
+            assert.strictEqual(await fs.readFile(dest, 'utf8'), 'uvwxyz', 'Partial content of another version should be discarded');
+
+            // without a validator the partial file can not be trusted
+            await fs.writeFile(`${dest}.part`, 'abc');
+            nock('https://example.com')
+                .get('/unknown.lns')
+                .reply(200, 'uvwxyz', { 'Content-Length': '6' });
+
+            assert.strictEqual(await crawler.downloadFile('https://example.com/unknown.lns', dest), true, 'Download should succeed');
+            assert.strictEqual(await fs.readFile(dest, 'utf8'), 'uvwxyz', 'Partial file without validator should be discarded');
+            assert.deepStrictEqual(await fs.readdir(tmpDir), ['lens.lns'], 'No partial files should be left behind');
+        });
+
+        it('should reject HTML error pages and disallowed content types', async () => {
+            nock('https://example.com')
+                .get('/error.lns')
+                .reply(200, '<!DOCTYPE html><html><body>Error</body></html>', { 'Content-Type': 'application/octet-stream' })
+                .get('/text.lns')
+                .reply(200, 'abc', { 'Content-Type': 'text/plain' })
+                .get('/json.lns')
+                .reply(200, '{"error":"Forbidden"}', { 'Content-Type': 'application/json; charset=utf-8' })
+                .get('/binary.lns')
+                .reply(200, 'abc', { 'Content-Type': 'binary/octet-stream' });
+
+            const dest = path.join(tmpDir, 'lens.lns');
+            const options = { allowedContentTypes: ['application/octet-stream', 'application/zip', 'binary/*'] };
+
+            const markupResult = await crawler.downloadFile('https://example.com/error.lns', dest, options);
+            assert(markupResult instanceof CrawlerDownloadRejectedFailure, 'HTML body should be rejected');
+            assert.strictEqual(markupResult.reason, 'markup', 'Reject reason should match');
+
+            const typeResult = await crawler.downloadFile('https://example.com/text.lns', dest, options);
+            assert(typeResult instanceof CrawlerDownloadRejectedFailure, 'Content type should be rejected');
+            assert.strictEqual(typeResult.reason, 'contentType', 'Reject reason should match');
+
+            const jsonResult = await crawler.downloadFile('https://example.com/json.lns', dest, options);
+            assert(jsonResult instanceof CrawlerDownloadRejectedFailure, 'JSON error body should be rejected');
+            assert.strictEqual(jsonResult.reason, 'contentType', 'Reject reason should match');
+
+            assert.deepStrictEqual(await fs.readdir(tmpDir), [], 'No files should be left behind');
+
+            assert.strictEqual(await crawler.downloadFile('https://example.com/binary.lns', dest, options), true, 'Wildcard content types should be allowed');
+        });
+
+        it('should enforce the size limit and report progress', async () => {
+            nock('https://example.com')
+                .get('/large.lns')
+                .reply(200, 'abcdef', { 'Content-Length': '6' })
+                .get('/small.lns')
+                .reply(200, 'abc', { 'Content-Length': '3' });
+
+            const dest = path.join(tmpDir, 'lens.lns');
+
+            const largeResult = await crawler.downloadFile('https://example.com/large.lns', dest, { maxBytes: 5 });
+            assert(largeResult instanceof CrawlerDownloadRejectedFailure, 'Large file should be rejected');
+            assert.strictEqual(largeResult.reason, 'maxBytes', 'Reject reason should match');
+
+            const progress = [];
+            const smallResult = await crawler.downloadFile('https://example.com/small.lns', dest, { maxBytes: 5, onProgress: (bytes, total) => progress.push([bytes, total]) });
+            assert.strictEqual(smallResult, true, 'Small file should be downloaded');
+            assert.deepStrictEqual(progress[progress.length - 1], [3, 3], 'Progress should report bytes and total');
+        });
+    });
+
+    describe('AbortSignal', () => {
+        it('should not start a request with an aborted signal', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            const result = await crawler.getLensByHash('example-hash', { signal: controller.signal });
+            assert(result instanceof CrawlerAbortedFailure, 'Result should be an aborted failure');
+        });
+
+        it('should cancel an in-flight request', async () => {
+            nock('https://example.com')
+                .get('/slow')
+                .delay(2000)
+                .reply(200, getMockPage({ props: { pageProps: { lenses: [] } } }), { 'Content-Type': 'text/html' });
+
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 50);
+
+            const startTime = Date.now();
+            const result = await crawler.getLensesFromUrl('https://example.com/slow', {}, { signal: controller.signal });
+            assert(result instanceof CrawlerAbortedFailure, 'Result should be an aborted failure');
+            assert(Date.now() - startTime < 1000, 'Request should be cancelled immediately');
+        });
+
+        it('should remove abort listeners of settled requests without AbortSignal.any', async () => {
+            nock('https://example.com')
+                .get('/settled')
+                .times(3)
+                .reply(200, getMockPage({ props: { pageProps: { lenses: [] } } }), { 'Content-Type': 'text/html' })
+                .get('/slow')
+                .delay(2000)
+                .reply(200, getMockPage({ props: { pageProps: { lenses: [] } } }), { 'Content-Type': 'text/html' });
+
+            const any = AbortSignal.any;
+            AbortSignal.any = undefined;
+            try {
+                const controller = new AbortController();
+                const fallbackCrawler = new SnapLensWebCrawler({ cacheTTL: 0, minRequestDelayMs: 0, maxRequestRetries: 0, verbose: false });
+                for (let i = 0; i < 3; i++) {
+                    await fallbackCrawler.getLensesFromUrl('https://example.com/settled', {}, { signal: controller.signal });
+                }
+                assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0, 'Listeners should be removed');
+
+                setTimeout(() => controller.abort(), 50);
+                const result = await fallbackCrawler.getLensesFromUrl('https://example.com/slow', {}, { signal: controller.signal });
+                fallbackCrawler.destroy();
+
+                assert(result instanceof CrawlerAbortedFailure, 'In-flight requests should still be cancelled');
+            } finally {
+                AbortSignal.any = any;
+            }
+        });
+
+        it('should cancel retry delays and pagination', async () => {
+            nock('https://lensstudio.snapchat.com')
+                .get('/v1/creator/lenses/')
+                .query(true)
+                .reply(500, 'Internal Server Error');
+
+            const retryCrawler = new SnapLensWebCrawler({ maxRequestRetries: 3, failedRequestDelayMs: 5000, verbose: false });
+            const controller = new AbortController();
+            retryCrawler.once('retry', () => controller.abort());
+
+            const startTime = Date.now();
+            const pages = [];
+            for await (const page of retryCrawler.iterateLensesByCreator('example-slug', { signal: controller.signal })) {
+                pages.push(page);
+            }
+            retryCrawler.destroy();
+
+            assert.strictEqual(pages.length, 1, 'Iteration should end after the failure');
+            assert(pages[0] instanceof CrawlerAbortedFailure, 'Page should be an aborted failure');
+            assert(Date.now() - startTime < 1000, 'Retry delay should be cancelled');
+        });
+    });
+
     it('should handle a HTTP 400 request gracefully', async () => {
         nock('https://example.com')
             .get('/should-fail-with-400')
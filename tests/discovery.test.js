@@ -0,0 +1,88 @@
+import assert from 'assert';
+import { LensDiscovery } from '../src/lib/discovery.js';
+import { CrawlerFailure, CrawlerAbortedFailure } from '../src/lib/failure.js';
+
+const lens = (uuid, creator = '', userName = '') => ({ uuid, obfuscated_user_slug: creator, user_name: userName });
+
+function createGraphCrawler(graph, calls = []) {
+    // answers discovery requests from a fixed lens graph
+    const answer = (key) => {
+        calls.push(key);
+        return graph[key] ?? new CrawlerFailure(`Not found: ${key}`);
+    };
+
+    return {
+        getMoreLensesByHash: async (hash) => answer(`lens:${hash}`),
+        getLensesByCreator: async (slug) => answer(`creator:${slug}`),
+        getLensesByUsername: async (userName) => answer(`user:${userName}`),
+    };
+}
+
+describe('LensDiscovery', () => {
+    const graph = {
+        'lens:a': [lens('b', 'creator-b')],
+        'creator:creator-b': [lens('b', 'creator-b'), lens('c', 'creator-b', 'user-c')],
+        'lens:b': [lens('a'), lens('d')],
+        'lens:c': [],
+        'user:user-c': [lens('e')],
+        'lens:d': [lens('f')],
+        'lens:e': [],
+    };
+
+    it('should follow related lenses, creators and users breadth first', async () => {
+        const calls = [];
+        const discovery = new LensDiscovery({ crawler: createGraphCrawler(graph, calls), maxDepth: 2 });
+
+        const discovered = [];
+        for await (const result of discovery.discover([lens('a')])) {
+            discovered.push(...(result.lenses || []).map((item) => item.uuid));
+        }
+
+        assert.deepStrictEqual(discovered, ['b', 'd', 'c', 'f', 'e'], 'Should discover new lenses once');
+        assert.deepStrictEqual(calls, ['lens:a', 'lens:b', 'creator:creator-b', 'lens:d', 'lens:c', 'user:user-c'], 'Should visit nodes breadth first');
+        assert(!calls.includes('lens:f') && !calls.includes('lens:e'), 'Should not expand beyond max depth');
+        assert(discovery.getSeen().has('a'), 'Seeds should be marked as seen');
+    });
+
+    it('should stop after max lenses and bound the frontier', async () => {
+        const discovery = new LensDiscovery({ crawler: createGraphCrawler(graph), maxLenses: 2, maxQueueSize: 2 });
+
+        const discovered = [];
+        for await (const result of discovery.discover([lens('a')])) {
+            discovered.push(...(result.lenses || []).map((item) => item.uuid));
+            assert(discovery.getQueueSize() <= 2, 'Queue should not exceed its limit');
+        }
+
+        assert.deepStrictEqual(discovered, ['b', 'd']);
+    });
+
+    it('should skip visited nodes and report failures', async () => {
+        const discovery = new LensDiscovery({
+            crawler: createGraphCrawler(graph),
+            seen: new Set(['a', 'b']),
+            visited: new Set(['lens:a']),
+        });
+
+        const results = [];
+        for await (const result of discovery.discover(['a', { type: 'creator', value: 'unknown' }, { type: 'lens', value: 'b', depth: 0 }])) {
+            results.push(result);
+        }
+
+        assert.strictEqual(results[0].node.key, 'creator:unknown', 'Visited nodes should be skipped');
+        assert(results[0].failure instanceof CrawlerFailure, 'Failures should be reported');
+        assert.deepStrictEqual(results[1].lenses.map((item) => item.uuid), ['d'], 'Seen lenses should be skipped');
+    });
+
+    it('should end on an aborted failure', async () => {
+        const crawler = { getMoreLensesByHash: async () => new CrawlerAbortedFailure('Operation was aborted') };
+        const discovery = new LensDiscovery({ crawler });
+
+        const results = [];
+        for await (const result of discovery.discover(['a', 'b'])) {
+            results.push(result);
+        }
+
+        assert.strictEqual(results.length, 1, 'Iteration should end');
+        assert(results[0] instanceof CrawlerAbortedFailure);
+    });
+});
@@ -0,0 +1,69 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import LensStorage from '../src/scripts/utils/storage.js';
+import { exportLensBundle } from '../src/scripts/utils/exporter.js';
+
+describe('exportLensBundle', () => {
+    let tmpDir;
+    let storage;
+
+    const lenses = [
+        { uuid: 'a'.repeat(32), lens_name: 'Mirrored, "quoted"', lens_url: 'https://bolt.example.com/a', is_mirrored: true, is_backed_up: true, bolt_summary: { is_supported: true } },
+        { uuid: 'b'.repeat(32), lens_name: 'Unmirrored', lens_url: 'https://bolt.example.com/b', is_mirrored: false },
+        { uuid: 'c'.repeat(32), lens_name: 'Missing bolt', lens_url: 'https://bolt.example.com/c', is_mirrored: true },
+        { uuid: 'd'.repeat(32), lens_name: 'Unsupported', lens_url: 'https://bolt.example.com/d', is_mirrored: true, bolt_summary: { is_supported: false } },
+    ];
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'exporter-test-'));
+        storage = new LensStorage({ outputDir: path.join(tmpDir, 'output'), layout: 'sharded' });
+
+        for (const [uuid, files] of [[lenses[0].uuid, ['lens.lns', 'lens.sha256', 'lens.zip']], [lenses[3].uuid, ['lens.lns']]]) {
+            const boltFolderPath = await storage.getBoltFolderPath({ uuid });
+            await fs.mkdir(boltFolderPath, { recursive: true });
+            for (const file of files) {
+                await fs.writeFile(path.join(boltFolderPath, file), `${file} of ${uuid}`);
+            }
+        }
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should export mirrored lenses with bolts, JSON and CSV', async () => {
+        const bundleDir = path.join(tmpDir, 'bundle');
+        const result = await exportLensBundle(lenses, { storage, bundleDir, columns: ['uuid', 'lens_name'], baseUrl: 'https://example.com/lenses/' });
+
+        assert.deepStrictEqual(result, { exported: 2, skipped: 1, missing: 1, unsupported: 0, unknown: 0 }, 'Result should count all lenses');
+
+        const exported = JSON.parse(await fs.readFile(path.join(bundleDir, 'lenses.json'), 'utf8'));
+        assert.deepStrictEqual(exported.map((lens) => lens.uuid), [lenses[0].uuid, lenses[3].uuid], 'Mirrored lenses should be exported');
+        assert.strictEqual(exported[0].lens_url, `https://example.com/lenses/bolts/${lenses[0].uuid}/lens.lns`, 'Lens URL should point to the bundle');
+        assert.strictEqual(exported[0].lens_backup_url, `https://example.com/lenses/bolts/${lenses[0].uuid}/lens.zip`, 'Backup URL should point to the bundle');
+
+        const bolt = await fs.readFile(path.join(bundleDir, 'bolts', lenses[0].uuid, 'lens.lns'), 'utf8');
+        assert.strictEqual(bolt, `lens.lns of ${lenses[0].uuid}`, 'Bolt files should be copied');
+        await assert.rejects(fs.access(path.join(bundleDir, 'bolts', lenses[2].uuid)), 'Folders of missing bolts should be removed');
+
+        const csv = (await fs.readFile(path.join(bundleDir, 'lenses.csv'), 'utf8')).trim().split('\r\n');
+        assert.strictEqual(csv.length, 3, 'CSV should have a header and one row per lens');
+        assert(csv[0].startsWith('uuid,lens_name,lens_url'), 'Given columns should come first');
+        assert(csv[1].includes('"Mirrored, ""quoted"""'), 'CSV values should be quoted');
+    });
+
+    it('should leave out unsupported lenses on request', async () => {
+        const bundleDir = path.join(tmpDir, 'bundle');
+        const unknown = [
+            { uuid: 'e'.repeat(32), is_mirrored: true, bolt_summary: { is_supported: null } },
+            { uuid: 'f'.repeat(32), is_mirrored: true },
+        ];
+        const result = await exportLensBundle([lenses[0], lenses[3], ...unknown], { storage, bundleDir, supportedOnly: true });
+
+        assert.strictEqual(result.exported, 1, 'Only supported lenses should be exported');
+        assert.strictEqual(result.unsupported, 1, 'Unsupported lenses should be counted');
+        assert.strictEqual(result.unknown, 2, 'Lenses of unknown support should be left out');
+    });
+});
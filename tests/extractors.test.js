@@ -0,0 +1,65 @@
+import assert from 'assert';
+import * as cheerio from 'cheerio';
+import { NextDataExtractor, FlightDataExtractor, JsonLdExtractor, OpenGraphExtractor } from '../src/lib/extractors.js';
+
+const LENS_UUID = '0123456789abcdef0123456789abcdef';
+
+function getFlightPage(rows) {
+    // split the payload across chunks like the Next.js runtime does
+    const payload = rows.join('\n') + '\n';
+    const middle = Math.floor(payload.length / 2);
+    return `<html><body>
+        <script>self.__next_f.push([1,${JSON.stringify(payload.substring(0, middle))}])</script>
+        <script>self.__next_f.push([1,${JSON.stringify(payload.substring(middle))}])</script>
+    </body></html>`;
+}
+
+describe('Extractors', () => {
+    it('should read lens items from __NEXT_DATA__', () => {
+        const nextData = { props: { pageProps: { lensDisplayInfo: { scannableUuid: LENS_UUID, lensId: '1', lensName: 'Test Lens' }, moreLenses: [{ scannableUuid: 'example-hash2', lensId: '2', lensName: 'Test Lens 2' }] } } };
+        const $ = cheerio.load(`<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script>`);
+
+        const items = new NextDataExtractor().extract($, {});
+        assert.deepStrictEqual(items.map((item) => item.lensId), ['1', '2']);
+    });
+
+    it('should read lens items from flight data', () => {
+        const $ = cheerio.load(getFlightPage([
+            '1:I["123",["static/chunks/app.js"],"default"]',
+            `2:["$","div",null,{"children":["$","$L3",null,{"lens":{"scannableUuid":"${LENS_UUID}","lensId":"1","lensName":"Flight Lens","iconUrl":"https://example.com/icon.png"}}]}]`,
+            `3:{"encodedSearchResponse":${JSON.stringify(JSON.stringify({ sections: [{ results: [{ result: { lens: { lensId: '2', name: 'Search Lens', deeplinkUrl: 'https://www.snapchat.com/unlock/?type=SNAPCODE&uuid=fedcba9876543210fedcba9876543210&metadata=01' } } }] }] }))}}`,
+            '4:T12,plain text row',
+        ]));
+
+        const items = new FlightDataExtractor().extract($, {});
+        assert.strictEqual(items.length, 2, 'Should find 2 lens items');
+        assert.strictEqual(items[0].lensName, 'Flight Lens');
+        assert.strictEqual(items[1].name, 'Search Lens', 'Encoded search responses should be decoded');
+    });
+
+    it('should read lens items from JSON-LD', () => {
+        const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify({
+            '@context': 'https://schema.org',
+            '@graph': [
+                { '@type': 'WebSite', name: 'Snapchat', url: 'https://www.snapchat.com' },
+                { '@type': 'CreativeWork', name: 'JSON-LD Lens', url: `https://lens.snapchat.com/${LENS_UUID}`, image: [{ url: 'https://example.com/thumb.jpg' }], author: { name: 'Creator' } },
+            ]
+        })}</script><script type="application/ld+json">{ invalid</script>`);
+
+        const items = new JsonLdExtractor().extract($, {});
+        assert.deepStrictEqual(items, [{ scannableUuid: LENS_UUID, lensName: 'JSON-LD Lens', thumbnailUrl: 'https://example.com/thumb.jpg', previewVideoUrl: '', lensCreatorDisplayName: 'Creator' }]);
+    });
+
+    it('should read the page lens from Open Graph tags', () => {
+        const $ = cheerio.load(`<head>
+            <meta property="og:title" content="Open Graph Lens">
+            <meta property="og:image" content="https://example.com/og.jpg">
+        </head>`);
+
+        assert.deepStrictEqual(new OpenGraphExtractor().extract($, { pageUuid: '' }), [], 'Should not guess the lens UUID');
+
+        const items = new OpenGraphExtractor().extract($, { pageUuid: LENS_UUID });
+        assert.strictEqual(items[0].scannableUuid, LENS_UUID);
+        assert.strictEqual(items[0].thumbnailUrl, 'https://example.com/og.jpg');
+    });
+});
@@ -0,0 +1,115 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { BoltInspector } from '../src/lib/inspector.js';
+import { CrawlerFailure, CrawlerBoltFormatFailure } from '../src/lib/failure.js';
+
+function createZip(files) {
+    // minimal ZIP writer, JSON files are deflated and everything else is stored
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBuffer = Buffer.from(name);
+        const data = Buffer.from(content);
+        const method = name.endsWith('.json') ? 8 : 0;
+        const compressed = (method === 8) ? zlib.deflateRawSync(data) : data;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+describe('BoltInspector', () => {
+    const inspector = new BoltInspector();
+
+    it('should summarize entries, assets and metadata of a bolt', async () => {
+        const bolt = createZip({
+            'manifest.json': JSON.stringify({ lensStudioVersion: '4.55.1', requiredFeatures: ['FaceTracking'], tracking: { trackingTypes: ['Face'] } }),
+            'Public/texture.png': 'png',
+            'Public/head.mesh': 'mesh',
+            'Scripts/main.js': 'script.createEvent("UpdateEvent");',
+        });
+
+        const summary = await inspector.inspect(bolt, { includeEntries: true });
+        assert(!(summary instanceof CrawlerFailure), 'Summary should not be an instance of CrawlerFailure');
+        assert.strictEqual(summary.format, 'zip', 'Format should be zip');
+        assert.strictEqual(summary.entry_count, 4, 'All entries should be counted');
+        assert.deepStrictEqual(summary.asset_counts, { data: 1, image: 1, mesh: 1, script: 1 }, 'Assets should be counted by type');
+        assert.strictEqual(summary.version, '4.55.1', 'Version should be read from the manifest');
+        assert.deepStrictEqual(summary.required_features, ['FaceTracking'], 'Required features should be extracted');
+        assert.deepStrictEqual(summary.tracking_types, ['Face'], 'Tracking types should be extracted');
+        assert.strictEqual(summary.is_supported, true, 'Face lenses should be supported');
+        assert.strictEqual(summary.entries.find((entry) => entry.name === 'Scripts/main.js').size, 34, 'Entry sizes should be listed');
+    });
+
+    it('should flag bolts requiring features Snap Camera does not have', async () => {
+        const bolt = createZip({ 'metadata.json': JSON.stringify({ features: { world_tracking: true, face_tracking: false } }) });
+
+        const summary = await inspector.inspect(bolt);
+        assert.deepStrictEqual(summary.unsupported_features, ['world_tracking'], 'Unsupported features should be listed');
+        assert.strictEqual(summary.is_supported, false, 'Bolt should not be supported');
+        assert.strictEqual(summary.entries, undefined, 'Entries should only be listed on request');
+    });
+
+    it('should inspect files and handle unknown or broken archives', async () => {
+        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'inspector-test-'));
+        try {
+            const boltFilePath = path.join(tmpDir, 'lens.lns');
+            await fs.writeFile(boltFilePath, createZip({ 'lens.json': '{}' }));
+
+            const summary = await inspector.inspect(boltFilePath);
+            assert.strictEqual(summary.format, 'zip', 'Files should be inspected');
+            assert.deepStrictEqual(summary.metadata_files, ['lens.json'], 'Metadata files should be listed');
+            assert.strictEqual(summary.is_supported, true, 'Bolts with recognized metadata should be decided');
+
+            const unrecognized = await inspector.inspect(createZip({ 'Public/texture.png': 'png', 'Scripts/main.js': '' }));
+            assert.strictEqual(unrecognized.format, 'zip', 'Archives without metadata should be summarized');
+            assert.strictEqual(unrecognized.is_supported, null, 'Support of archives without metadata should be undecided');
+
+            const unknown = await inspector.inspect(Buffer.from('not a zip archive at all'));
+            assert.strictEqual(unknown.format, 'unknown', 'Other formats should be summarized as unknown');
+            assert.strictEqual(unknown.is_supported, null, 'Support of unknown formats should be undecided');
+
+            const truncated = await inspector.inspect(createZip({ 'lens.json': '{}' }).subarray(0, 40));
+            assert(truncated instanceof CrawlerBoltFormatFailure, 'Truncated archives should return a CrawlerBoltFormatFailure');
+
+            const missing = await inspector.inspect(path.join(tmpDir, 'missing.lns'));
+            assert(missing instanceof CrawlerFailure, 'Missing files should return a CrawlerFailure');
+        } finally {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
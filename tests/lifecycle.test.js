@@ -0,0 +1,147 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import nock from 'nock';
+import os from 'os';
+import path from 'path';
+import SnapLensWebCrawler from '../src/lib/crawler.js';
+import LensCatalog from '../src/scripts/utils/catalog.js';
+import LensStorage from '../src/scripts/utils/storage.js';
+import { crawlLenses } from '../src/scripts/utils/functions.js';
+
+const UUID = 'a'.repeat(32);
+
+describe('Lens lifecycle', () => {
+    let tmpDir;
+    let crawler;
+    let storage;
+    let crawled;
+    let archiveQueries;
+
+    const crawlOptions = () => ({ crawler, storage, queryRelayServer: false, saveIncompleteLensInfo: true, checkLensStatus: true, removalThreshold: 3 });
+
+    async function readLensInfo(uuid) {
+        return JSON.parse(await fs.readFile(path.join(await storage.getInfoFolderPath({ uuid }), 'lens.json'), 'utf8'));
+    }
+
+    async function writeLensInfo(lensInfo) {
+        const infoFolderPath = await storage.getInfoFolderPath(lensInfo);
+        await fs.mkdir(infoFolderPath, { recursive: true });
+        await fs.writeFile(path.join(infoFolderPath, 'lens.json'), JSON.stringify(lensInfo));
+    }
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lifecycle-test-'));
+        storage = new LensStorage({ outputDir: tmpDir });
+        crawler = new SnapLensWebCrawler({ cacheTTL: 0, maxRequestRetries: 0, minRequestDelayMs: 0, rateLimits: { 'archive.org': null }, verbose: false });
+
+        crawled = [];
+        archiveQueries = 0;
+
+        nock('https://lens.snapchat.com')
+            .persist()
+            .get(/^\/[0-9a-f]{32}$/)
+            .reply((uri) => {
+                crawled.push(uri.slice(1));
+                return [404, 'Not Found'];
+            });
+
+        nock('https://archive.org')
+            .persist()
+            .get('/wayback/available')
+            .query(true)
+            .reply(() => {
+                archiveQueries++;
+                return [200, { archived_snapshots: {} }];
+            });
+    });
+
+    afterEach(async () => {
+        nock.cleanAll();
+        crawler.destroy();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should mark a lens as removed once the threshold is reached', async () => {
+        for (const notFoundCount of [1, 2]) {
+            await crawlLenses([{ uuid: UUID }], { ...crawlOptions(), queryArchive: false });
+
+            const lensInfo = await readLensInfo(UUID);
+            assert.strictEqual(lensInfo.not_found_count, notFoundCount, 'Not found count should be increased on every run');
+            assert.notStrictEqual(lensInfo.lens_status, 'Removed', 'Lens should not be removed below the threshold');
+            assert.strictEqual(lensInfo.removed_at, '', 'Removal time should not be set below the threshold');
+        }
+
+        const before = Date.now();
+        await crawlLenses([{ uuid: UUID }], { ...crawlOptions(), queryArchive: false });
+
+        const lensInfo = await readLensInfo(UUID);
+        assert.strictEqual(lensInfo.not_found_count, 3, 'Not found count should reach the threshold');
+        assert.strictEqual(lensInfo.lens_status, 'Removed', 'Lens should be marked as removed');
+        assert(lensInfo.removed_at >= before, 'Removal time should be set');
+        assert.strictEqual(crawled.length, 3, 'Lens page should be crawled on every run');
+    });
+
+    it('should query archives again when a lens was just removed', async () => {
+        await writeLensInfo({ uuid: UUID, lens_status: 'Live', not_found_count: 2, has_archived_snapshots: false });
+        await writeLensInfo({ uuid: 'b'.repeat(32), lens_status: 'Live', not_found_count: 0, has_archived_snapshots: false });
+
+        await crawlLenses([{ uuid: 'b'.repeat(32) }], crawlOptions());
+        assert.strictEqual(archiveQueries, 0, 'Archives without snapshots should not be queried again');
+
+        await crawlLenses([{ uuid: UUID }], crawlOptions());
+        assert.strictEqual((await readLensInfo(UUID)).lens_status, 'Removed', 'Lens should be marked as removed');
+        assert(archiveQueries > 0, 'Archives should be queried again after a removal');
+    });
+
+    it('should crawl removed lenses first, most recently removed first', async () => {
+        const uuids = ['b', 'c', 'd', 'e'].map((char) => char.repeat(32));
+        await writeLensInfo({ uuid: uuids[1], lens_status: 'Removed', removed_at: 1000, not_found_count: 3, is_mirrored: false });
+        await writeLensInfo({ uuid: uuids[2], lens_status: 'Removed', removed_at: 2000, not_found_count: 3, is_mirrored: false });
+        await writeLensInfo({ uuid: uuids[3], lens_status: 'Removed', removed_at: 3000, not_found_count: 3, is_mirrored: true });
+
+        await crawlLenses(uuids.map((uuid) => ({ uuid })), { ...crawlOptions(), prioritizeRemoved: true });
+        assert.deepStrictEqual(crawled, [uuids[2], uuids[1], uuids[0], uuids[3]], 'Unmirrored removed lenses should be crawled first');
+
+        crawled = [];
+        await crawlLenses(uuids.map((uuid) => ({ uuid })), crawlOptions());
+        assert.deepStrictEqual(crawled, uuids, 'Lens info files should not be read in advance by default');
+
+        const lensInfo = await readLensInfo(uuids[2]);
+        assert.strictEqual(lensInfo.removed_at, 2000, 'Removal time should be kept for removed lenses');
+        assert.strictEqual(lensInfo.not_found_count, 5, 'Not found count should keep increasing');
+    });
+
+    it('should prioritize removed lenses of a catalog', async () => {
+        const catalog = new LensCatalog({ filePath: path.join(tmpDir, 'catalog.sqlite') });
+        await catalog.open();
+
+        const uuids = ['b', 'c', 'd', 'e'].map((char) => char.repeat(32));
+        catalog.saveLens({ uuid: uuids[1], lens_status: 'Removed', removed_at: 1000, not_found_count: 3, is_mirrored: false });
+        catalog.saveLens({ uuid: uuids[2], lens_status: 'Removed', removed_at: 2000, not_found_count: 3, is_mirrored: false });
+        catalog.saveLens({ uuid: uuids[3], lens_status: 'Removed', removed_at: 3000, not_found_count: 3, is_mirrored: true });
+        catalog.saveLens({ uuid: 'f'.repeat(32), lens_status: 'Removed', removed_at: 4000, not_found_count: 3 });
+
+        await crawlLenses(uuids.map((uuid) => ({ uuid: uuid.toUpperCase() })), { ...crawlOptions(), catalog });
+        catalog.close();
+
+        assert.deepStrictEqual(crawled, [uuids[2], uuids[1], uuids[0], uuids[3]], 'Unmirrored removed lenses should be crawled first');
+    });
+
+    it('should mark a removed lens as live once it is found again', async () => {
+        await writeLensInfo({ uuid: UUID, lens_status: 'Removed', removed_at: 1000, not_found_count: 3, first_seen: 500 });
+
+        nock.cleanAll();
+        nock('https://lens.snapchat.com')
+            .get(`/${UUID}`)
+            .reply(200, `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { lensDisplayInfo: { scannableUuid: UUID, lensId: '11234567890', lensName: 'Test Lens' } } } })}</script>`, { 'Content-Type': 'text/html' });
+
+        await crawlLenses([{ uuid: UUID }], { ...crawlOptions(), queryArchive: false });
+
+        const lensInfo = await readLensInfo(UUID);
+        assert.strictEqual(lensInfo.lens_status, 'Live', 'Lens should be marked as live');
+        assert.strictEqual(lensInfo.removed_at, '', 'Removal time should be reset');
+        assert.strictEqual(lensInfo.not_found_count, 0, 'Not found count should be reset');
+        assert.strictEqual(lensInfo.first_seen, 500, 'First seen time should be kept');
+        assert(lensInfo.last_seen > 1000, 'Last seen time should be set');
+    });
+});
@@ -66,4 +66,11 @@ describe('SnapLensWebCrawler [Live Test]', () => {
         assert(Array.isArray(lenses), 'Result should be an array');
         assert.strictEqual(lenses.length, 24, 'Should return 24 lenses');
     });
+
+    it('should search lenses, creators and search terms', async () => {
+        const result = await crawler.search('cute', { maxPages: 2 });
+        assert(!(result instanceof CrawlerFailure), 'Result should not be an instance of CrawlerFailure');
+        assert.ok(result.lenses.length >= 24, 'Should return at least the first page of lenses');
+        assert.ok(result.pages >= 1, 'Should fetch at least one page');
+    });
 });
\ No newline at end of file
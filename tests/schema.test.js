@@ -0,0 +1,66 @@
+import assert from 'assert';
+import { SchemaValidator } from '../src/lib/schema.js';
+
+describe('SchemaValidator', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new SchemaValidator();
+    });
+
+    it('should accept the expected structure', () => {
+        const drift = validator.validate('lensDisplayInfo', {
+            scannableUuid: 'example-hash',
+            lensId: '11234567890',
+            lensName: 'Test Lens',
+            lensResource: { archiveLink: 'https://example.com/lens.lns', checkSum: 'abc', lastUpdated: 1700000000 },
+            thumbnailSequence: { urlPattern: 'https://example.com/%d.jpg', numThumbnails: '10' },
+        });
+
+        assert.strictEqual(drift.hasDrift, false, 'Should not report drift');
+    });
+
+    it('should report missing, unknown and mismatched fields', () => {
+        const drift = validator.validate('lensDisplayInfo', {
+            scannableUuid: 'example-hash',
+            lensId: 11234567890,
+            lensResource: { archiveLink: 'https://example.com/lens.lns', boltFormat: 'lns' },
+        });
+
+        assert.strictEqual(drift.hasDrift, true, 'Should report drift');
+        assert.deepStrictEqual(drift.missing, ['lensDisplayInfo.lensName']);
+        assert.deepStrictEqual(drift.unknown, ['lensDisplayInfo.lensResource.boltFormat']);
+        assert.deepStrictEqual(drift.mismatched, [{ path: 'lensDisplayInfo.lensId', expected: 'string', actual: 'number' }]);
+    });
+
+    it('should ignore other sections of search responses', () => {
+        const drift = validator.validate('encodedSearchResponse', {
+            sections: [
+                { title: 'Creators', sectionType: 2, results: [{ resultType: 2, result: { user: { username: 'example' } } }] },
+                { title: 'Lenses', sectionType: 6, results: [{ resultType: 6, result: { lens: { lensId: '1', name: 'Test', deeplinkUrl: 'https://example.com' } } }] },
+            ],
+        });
+
+        assert.strictEqual(drift.hasDrift, false, 'Should not report drift');
+    });
+
+    it('should aggregate a report per page type', () => {
+        validator.validate('topLenses', [{ scannableUuid: 'a', lensId: '1', lensName: 'A', newField: 1 }, { scannableUuid: 'b', lensId: '2', lensName: 'B', newField: 2 }]);
+        validator.validate('topLenses', [{ scannableUuid: 'c', lensId: '3', lensName: 'C' }]);
+
+        const report = validator.getReport();
+        assert.strictEqual(report.topLenses.pages, 2, 'Should count pages');
+        assert.strictEqual(report.topLenses.drifted, 1, 'Should count drifted pages');
+        assert.deepStrictEqual(report.topLenses.unknown, { 'topLenses[].newField': 1 }, 'Should count fields per page');
+
+        validator.resetReport();
+        assert.deepStrictEqual(validator.getReport(), {}, 'Report should be empty after reset');
+    });
+
+    it('should validate registered page types', () => {
+        validator.register('lenses', { type: 'array', items: validator.getSchema('lensDisplayInfo') });
+        assert(validator.getPageTypes().includes('lenses'), 'Page type should be registered');
+        assert.strictEqual(validator.validate('lenses', [{ scannableUuid: 'a', lensId: '1' }]).missing[0], 'lenses[].lensName');
+        assert.throws(() => validator.validate('unknown', {}), TypeError);
+    });
+});
@@ -0,0 +1,127 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import LensStorage from '../src/scripts/utils/storage.js';
+
+const UUID = '0123456789abcdef0123456789abcdef';
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+describe('LensStorage', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should resolve folders of all layouts', async () => {
+        const lens = { uuid: UUID.toUpperCase(), obfuscated_user_slug: 'creator/slug' };
+
+        const flat = new LensStorage({ outputDir: tmpDir });
+        assert.strictEqual(await flat.getInfoFolderPath(lens), path.join(tmpDir, 'info', UUID), 'Flat layout should use the UUID');
+
+        const sharded = new LensStorage({ outputDir: tmpDir, layout: 'sharded' });
+        assert.strictEqual(await sharded.getBoltFolderPath(lens), path.join(tmpDir, 'bolts', '01', UUID), 'Sharded layout should use the UUID prefix');
+
+        const creator = new LensStorage({ outputDir: tmpDir, layout: 'creator' });
+        assert.strictEqual(await creator.getBoltFolderPath(lens), path.join(tmpDir, 'bolts', 'creator_slug', UUID), 'Creator layout should use the sanitized slug');
+        assert.strictEqual(await creator.getInfoFolderPath({ uuid: UUID }), path.join(tmpDir, 'info', '_unknown', UUID), 'Lenses without slug should be stored as unknown');
+
+        assert.throws(() => new LensStorage({ layout: 'nested' }), TypeError, 'Unknown layouts should throw a TypeError');
+    });
+
+    it('should write and iterate lens info', async () => {
+        const storage = new LensStorage({ outputDir: tmpDir, layout: 'sharded' });
+        for (const uuid of [UUID, 'f'.repeat(32)]) {
+            const { infoFolderPath } = await storage.locate({ uuid });
+            await fs.mkdir(infoFolderPath, { recursive: true });
+            await fs.writeFile(path.join(infoFolderPath, 'lens.json'), JSON.stringify({ uuid }));
+        }
+
+        const uuids = [];
+        for await (const lensInfo of storage.iterateLensInfo()) {
+            uuids.push(lensInfo.uuid);
+        }
+        assert.deepStrictEqual(uuids.sort(), [UUID, 'f'.repeat(32)], 'All lens info files should be read');
+    });
+
+    it('should move lenses out of the unknown folder once the creator is known', async () => {
+        const unknownBoltPath = path.join(tmpDir, 'bolts', '_unknown', UUID);
+        const unknownInfoPath = path.join(tmpDir, 'info', '_unknown', UUID);
+        await fs.mkdir(unknownBoltPath, { recursive: true });
+        await fs.mkdir(unknownInfoPath, { recursive: true });
+        await fs.writeFile(path.join(unknownBoltPath, 'lens.lns'), 'bolt');
+        await fs.writeFile(path.join(unknownInfoPath, 'lens.json'), '{}');
+
+        const storage = new LensStorage({ outputDir: tmpDir, layout: 'creator' });
+        const { infoFolderPath, boltFolderPath } = await storage.locate({ uuid: UUID, obfuscated_user_slug: 'slug' });
+
+        assert.strictEqual(boltFolderPath, path.join(tmpDir, 'bolts', 'slug', UUID), 'Bolt folder should use the creator');
+        assert(await exists(path.join(boltFolderPath, 'lens.lns')), 'Bolt should be moved');
+        assert(await exists(path.join(infoFolderPath, 'lens.json')), 'Lens info should be moved');
+        assert(!await exists(unknownBoltPath), 'Unknown bolt folder should be gone');
+    });
+
+    it('should merge lens folders stored in both places', async () => {
+        const oldInfoPath = path.join(tmpDir, 'info', 'old_slug', UUID);
+        const oldBoltPath = path.join(tmpDir, 'bolts', 'old_slug', UUID);
+        const newBoltPath = path.join(tmpDir, 'bolts', 'slug', UUID);
+        await fs.mkdir(oldInfoPath, { recursive: true });
+        await fs.mkdir(oldBoltPath, { recursive: true });
+        await fs.mkdir(newBoltPath, { recursive: true });
+        await fs.writeFile(path.join(oldInfoPath, 'lens.json'), '{}');
+        await fs.writeFile(path.join(newBoltPath, 'lens.lns'), 'old bolt');
+        await fs.writeFile(path.join(newBoltPath, 'lens.sha256'), 'checksum');
+        await fs.utimes(path.join(newBoltPath, 'lens.lns'), new Date(1000), new Date(1000));
+        await fs.writeFile(path.join(oldBoltPath, 'lens.lns'), 'new bolt');
+        await fs.writeFile(path.join(oldBoltPath, 'lens.zip'), 'backup');
+
+        const storage = new LensStorage({ outputDir: tmpDir, layout: 'creator' });
+        const { boltFolderPath } = await storage.locate({ uuid: UUID, obfuscated_user_slug: 'slug' });
+
+        assert.strictEqual(boltFolderPath, newBoltPath, 'Bolt folder should use the creator');
+        assert.strictEqual(await fs.readFile(path.join(boltFolderPath, 'lens.lns'), 'utf8'), 'new bolt', 'Most recent files should be kept');
+        assert.deepStrictEqual((await fs.readdir(boltFolderPath)).sort(), ['lens.lns', 'lens.sha256', 'lens.zip'], 'Folders should be merged');
+        assert(!await exists(oldBoltPath), 'Old bolt folder should be gone');
+        assert(!await exists(oldInfoPath), 'Old info folder should be gone');
+    });
+
+    it('should refuse output directories of another layout', async () => {
+        await fs.mkdir(path.join(tmpDir, 'info', UUID), { recursive: true });
+        await fs.mkdir(path.join(tmpDir, 'bolts', UUID), { recursive: true });
+
+        const flat = new LensStorage({ outputDir: tmpDir });
+        assert.deepStrictEqual(await flat.detectLayouts(), ['flat'], 'Flat layout should be detected');
+        await flat.checkLayout();
+
+        await assert.rejects(new LensStorage({ outputDir: tmpDir, layout: 'sharded' }).checkLayout(), /uses the flat layout, not sharded/, 'Other layouts should be refused');
+        await new LensStorage({ outputDir: path.join(tmpDir, 'new'), layout: 'sharded' }).checkLayout();
+    });
+
+    it('should find bolts of lenses without info folder', async () => {
+        // catalogs store lens info in SQLite, only the bolt folder exists
+        const unknownBoltPath = path.join(tmpDir, 'bolts', '_unknown', UUID);
+        await fs.mkdir(unknownBoltPath, { recursive: true });
+        await fs.writeFile(path.join(unknownBoltPath, 'lens.lns'), 'bolt');
+
+        const lens = { uuid: UUID, obfuscated_user_slug: 'slug' };
+        const storage = new LensStorage({ outputDir: tmpDir, layout: 'creator' });
+        assert.strictEqual(await storage.getBoltFolderPath(lens), unknownBoltPath, 'Existing bolt folder should be found');
+
+        const { boltFolderPath } = await storage.locate(lens);
+        assert(await exists(path.join(boltFolderPath, 'lens.lns')), 'Bolt should be moved to the creator folder');
+        assert.strictEqual(await new LensStorage({ outputDir: tmpDir, layout: 'creator' }).getBoltFolderPath({ uuid: UUID }), boltFolderPath, 'Moved bolt should be found by later runs');
+    });
+});
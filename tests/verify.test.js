@@ -0,0 +1,90 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import LensCatalog from '../src/scripts/utils/catalog.js';
+
+const execFileAsync = promisify(execFile);
+const verifyScript = path.resolve('src/scripts/verify.js');
+const inspectScript = path.resolve('src/scripts/inspect.js');
+
+async function runScript(script, args) {
+    try {
+        const { stdout, stderr } = await execFileAsync(process.execPath, [script, ...args], { timeout: 20000 });
+        return { code: 0, stdout, stderr };
+    } catch (e) {
+        return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+    }
+}
+
+describe('verify and inspect scripts', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should update lenses in a catalog while iterating it', async () => {
+        const catalogFilePath = path.join(tmpDir, 'catalog.sqlite');
+        const bolt = Buffer.from('bolt');
+        const sha256 = crypto.createHash('sha256').update(bolt).digest('hex').toUpperCase();
+
+        const lenses = ['a', 'b', 'c'].map((char) => ({ uuid: char.repeat(32), lens_url: `https://bolt.example.com/${char}`, sha256, is_mirrored: true }));
+        await fs.mkdir(path.join(tmpDir, 'bolts', lenses[1].uuid), { recursive: true });
+        await fs.writeFile(path.join(tmpDir, 'bolts', lenses[1].uuid, 'lens.lns'), bolt);
+
+        const catalog = new LensCatalog({ filePath: catalogFilePath });
+        await catalog.open();
+        lenses.forEach((lens) => catalog.saveLens(lens));
+        catalog.close();
+
+        const result = await runScript(verifyScript, [`--output=${tmpDir}`, `--catalog=${catalogFilePath}`]);
+        assert.strictEqual(result.code, 1, 'Missing bolts should set exit code 1');
+        assert.match(result.stdout, /Verified 1 files, 0 checksum mismatches, 2 missing files/, 'All lenses should be verified');
+
+        await catalog.open();
+        assert.deepStrictEqual(lenses.map((lens) => catalog.getLens(lens.uuid).is_mirrored), [false, true, false], 'Lenses with missing bolts should be updated');
+        catalog.close();
+    });
+
+    it('should store bolt summaries in a catalog while iterating it', async () => {
+        const catalogFilePath = path.join(tmpDir, 'catalog.sqlite');
+        const lenses = ['a', 'b'].map((char) => ({ uuid: char.repeat(32), lens_url: `https://bolt.example.com/${char}`, is_mirrored: true }));
+
+        for (const lens of lenses) {
+            await fs.mkdir(path.join(tmpDir, 'bolts', lens.uuid), { recursive: true });
+            await fs.writeFile(path.join(tmpDir, 'bolts', lens.uuid, 'lens.lns'), 'opaque bolt');
+        }
+
+        const catalog = new LensCatalog({ filePath: catalogFilePath });
+        await catalog.open();
+        lenses.forEach((lens) => catalog.saveLens(lens));
+        catalog.close();
+
+        const result = await runScript(inspectScript, [`--output=${tmpDir}`, `--catalog=${catalogFilePath}`]);
+        assert.strictEqual(result.code, 0, 'Inspect should succeed');
+        assert.match(result.stdout, /Inspected 2 files/, 'All bolts should be inspected');
+
+        await catalog.open();
+        assert.deepStrictEqual(lenses.map((lens) => catalog.getLens(lens.uuid).bolt_summary?.format), ['unknown', 'unknown'], 'Summaries should be stored in the catalog');
+        catalog.close();
+    });
+
+    it('should print single files without truncating the output', async () => {
+        const filePath = path.join(tmpDir, 'lens.lns');
+        await fs.writeFile(filePath, 'opaque bolt');
+
+        const result = await runScript(inspectScript, [filePath, filePath]);
+        assert.strictEqual(result.code, 0, 'Inspect should succeed');
+
+        const summaries = JSON.parse(`[${result.stdout.replace(/\}\n\{/g, '},{')}]`);
+        assert.deepStrictEqual(summaries.map((summary) => summary.file), [filePath, filePath], 'Every file should be printed');
+    });
+});
@@ -0,0 +1,149 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import SnapLensWebCrawler from '../src/lib/crawler.js';
+import { WarcArchiveProvider, readWarcRecords } from '../src/lib/warc.js';
+import { CrawlerFailure } from '../src/lib/failure.js';
+
+const LENS_UUID = '0123456789abcdef0123456789abcdef';
+
+function getMockPage(mockJsonData) {
+    return `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(mockJsonData)}</script></body></html>`;
+}
+
+function createRecord(targetUri, date, httpHead, body) {
+    const block = Buffer.concat([Buffer.from(`${httpHead}\r\n\r\n`, 'latin1'), body]);
+    const header = [
+        'WARC/1.0',
+        'WARC-Type: response',
+        `WARC-Target-URI: ${targetUri}`,
+        `WARC-Date: ${date}`,
+        'Content-Type: application/http; msgtype=response',
+        `Content-Length: ${block.length}`,
+    ].join('\r\n');
+
+    return Buffer.concat([Buffer.from(`${header}\r\n\r\n`), block, Buffer.from('\r\n\r\n')]);
+}
+
+function chunked(buffer, size) {
+    const parts = [];
+    for (let i = 0; i < buffer.length; i += size) {
+        const chunk = buffer.subarray(i, i + size);
+        parts.push(Buffer.from(`${chunk.length.toString(16)}\r\n`), chunk, Buffer.from('\r\n'));
+    }
+    parts.push(Buffer.from('0\r\n\r\n'));
+    return Buffer.concat(parts);
+}
+
+describe('WARC', () => {
+    let tmpDir;
+    let warcFilePath;
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'warc-test-'));
+        warcFilePath = path.join(tmpDir, 'lenses.warc.gz');
+
+        const lensPage = getMockPage({
+            props: {
+                pageProps: {
+                    lensDisplayInfo: {
+                        scannableUuid: LENS_UUID,
+                        lensId: '11234567890',
+                        lensName: 'Test Lens',
+                        lensResource: { archiveLink: 'https://bolt.example.com/lens.lns' }
+                    },
+                    moreLenses: [{ scannableUuid: 'example-hash2', lensId: '21234567890', lensName: 'Test Lens 2' }],
+                }
+            }
+        });
+
+        const records = [
+            // gzip encoded and chunked lens page
+            createRecord(`https://lens.snapchat.com/${LENS_UUID}`, '2023-03-01T00:00:00Z',
+                'HTTP/1.1 200 OK\r\nContent-Type: text/html; charset=utf-8\r\nContent-Encoding: gzip\r\nTransfer-Encoding: chunked',
+                chunked(zlib.gzipSync(lensPage), 100)),
+            createRecord('https://bolt.example.com/lens.lns', '2023-03-01T00:00:01Z',
+                'HTTP/1.1 200 OK\r\nContent-Type: application/octet-stream',
+                Buffer.from('bolt data')),
+            createRecord('https://www.snapchat.com/robots.txt', '2023-03-01T00:00:02Z',
+                'HTTP/1.1 200 OK\r\nContent-Type: text/plain',
+                Buffer.from('User-agent: *')),
+        ];
+
+        // one gzip member per record
+        await fs.writeFile(warcFilePath, Buffer.concat(records.map((record) => zlib.gzipSync(record))));
+    });
+
+    after(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should read records and decode HTTP responses', async () => {
+        const records = [];
+        for await (const record of readWarcRecords(warcFilePath)) {
+            records.push(record);
+        }
+
+        assert.strictEqual(records.length, 3, 'Should read 3 records');
+        assert.strictEqual(records[1].targetUri, 'https://bolt.example.com/lens.lns', 'Target URI should match');
+        assert.strictEqual(records[1].timestamp, 20230301000001, 'Timestamp should match');
+        assert.strictEqual(records[1].getHttpResponse().body.toString(), 'bolt data', 'Body should match');
+        assert(records[0].getHttpResponse().body.toString().includes('__NEXT_DATA__'), 'Chunked and gzip encoded body should be decoded');
+    });
+
+    it('should read records spanning many stream chunks', async () => {
+        const warcFile = path.join(tmpDir, 'large.warc');
+        const bolt = crypto.randomBytes(1024 * 1024);
+        await fs.writeFile(warcFile, Buffer.concat([
+            createRecord('https://bolt.example.com/large.lns', '2023-03-01T00:00:00Z', 'HTTP/1.1 200 OK\r\nContent-Type: application/octet-stream', bolt),
+            createRecord('https://bolt.example.com/small.lns', '2023-03-01T00:00:01Z', 'HTTP/1.1 200 OK\r\nContent-Type: application/octet-stream', Buffer.from('small')),
+        ]));
+
+        const records = [];
+        for await (const record of readWarcRecords(warcFile)) {
+            records.push(record);
+        }
+
+        assert.strictEqual(records.length, 2, 'Should read 2 records');
+        assert(records[0].getHttpResponse().body.equals(bolt), 'Large body should match');
+        assert.strictEqual(records[1].getHttpResponse().body.toString(), 'small', 'Following record should match');
+    });
+
+    it('should return a failure for missing WARC files', async () => {
+        const crawler = new SnapLensWebCrawler({ verbose: false });
+        const result = await crawler.getLensesFromWarc(path.join(tmpDir, 'missing.warc'));
+        crawler.destroy();
+
+        // stream errors surface asynchronously and would crash the process
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert(result instanceof CrawlerFailure, 'Result should be an instance of CrawlerFailure');
+    });
+
+    it('should get lenses from a WARC file', async () => {
+        const crawler = new SnapLensWebCrawler({ verbose: false });
+        const lenses = await crawler.getLensesFromWarc(warcFilePath);
+        crawler.destroy();
+
+        assert(Array.isArray(lenses), 'Result should be an array');
+        assert.deepStrictEqual(lenses.map((lens) => lens.uuid).sort(), [LENS_UUID, 'example-hash2'].sort(), 'Should find all lenses');
+        assert.strictEqual(lenses.find((lens) => lens.uuid === LENS_UUID).lens_url, 'https://bolt.example.com/lens.lns', 'Lens URL should match');
+        assert(lenses.every((lens) => lens.lens_status === ''), 'Archived lens status should be unknown');
+    });
+
+    it('should find archived snapshots in WARC files', async () => {
+        const crawler = new SnapLensWebCrawler({
+            verbose: false,
+            archiveProviders: [new WarcArchiveProvider({ files: [warcFilePath] })],
+        });
+        const lens = await crawler.getLensByArchivedSnapshot(LENS_UUID);
+        crawler.destroy();
+
+        assert(!(lens instanceof CrawlerFailure), 'Lens should not be an instance of CrawlerFailure');
+        assert.strictEqual(lens.lens_url, 'https://bolt.example.com/lens.lns', 'Lens URL should match');
+        assert.strictEqual(lens.snapshot.provider, 'warc', 'Snapshot should name its provider');
+        assert.strictEqual(lens.snapshot.url, `https://lens.snapchat.com/${LENS_UUID}`, 'Snapshot URL should match');
+    });
+});